@@ -11,6 +11,11 @@ const userRoutes = require('../routes/users');
 const fileRoutes = require('../routes/files');
 const vitalRoutes = require('../routes/vitals');
 const aiRoutes = require('../routes/ai');
+const jobRoutes = require('../routes/jobs');
+const storageRoutes = require('../routes/storage');
+const collectionRoutes = require('../routes/collections');
+const tagRoutes = require('../routes/tags');
+const { startWorker } = require('../services/jobQueue');
 
 const app = express();
 
@@ -73,6 +78,10 @@ app.use('/api/users', userRoutes);
 app.use('/api/files', fileRoutes);
 app.use('/api/vitals', vitalRoutes);
 app.use('/api/ai', aiRoutes);
+app.use('/api/jobs', jobRoutes);
+app.use('/api/storage', storageRoutes);
+app.use('/api/collections', collectionRoutes);
+app.use('/api/tags', tagRoutes);
 
 // Health check
 app.get('/api/health', (req, res) => {
@@ -110,4 +119,9 @@ if (process.env.NODE_ENV !== 'production') {
   app.listen(PORT, () => {
     console.log(`🚀 HealthMate server running on port ${PORT}`);
   });
+
+  // Process background jobs in-process; on Vercel the cron route does this
+  if (process.env.JOB_WORKER !== 'false') {
+    startWorker();
+  }
 }
@@ -54,9 +54,9 @@ const uploadToCloudinary = async (file, options = {}) => {
 };
 
 // Delete file from Cloudinary
-const deleteFromCloudinary = async (publicId) => {
+const deleteFromCloudinary = async (publicId, options = {}) => {
     try {
-        const result = await cloudinary.uploader.destroy(publicId);
+        const result = await cloudinary.uploader.destroy(publicId, options);
         return {
             success: result.result === 'ok',
             data: result
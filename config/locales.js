@@ -0,0 +1,50 @@
+// Languages AI output is written in. Codes are BCP 47 tags, with the script spelled out
+// where a language is commonly written in more than one.
+const LOCALES = {
+    'en': { name: 'English', prompt: 'English' },
+    'ur-Latn': { name: 'Roman Urdu', prompt: 'Roman Urdu (Urdu written in the Latin alphabet, not Urdu script)' },
+    'ur-Arab': { name: 'Urdu', prompt: 'Urdu in Urdu (Nastaliq) script', rtl: true },
+    'pa-Arab': { name: 'Punjabi', prompt: 'Punjabi in Shahmukhi script', rtl: true },
+    'sd': { name: 'Sindhi', prompt: 'Sindhi in Sindhi (Perso-Arabic) script', rtl: true },
+    'ar': { name: 'Arabic', prompt: 'Modern Standard Arabic', rtl: true }
+};
+
+const LOCALE_CODES = Object.keys(LOCALES);
+
+// Every insight is written in English first; other locales can be translated from it
+const BASE_LOCALE = 'en';
+
+// Locales generated for users who have not chosen any
+const DEFAULT_LOCALES = ['en', 'ur-Latn'];
+
+// Keys models (and documents from before locales) use for the two original languages
+const LEGACY_KEYS = {
+    english: 'en',
+    urdu: 'ur-Latn'
+};
+
+const isLocale = (code) => LOCALE_CODES.includes(code);
+
+// Locales to generate for a user: English, their display language, then the others they chose
+const getUserLocales = (user) => {
+    const preferences = (user && user.preferences) || {};
+    const chosen = preferences.locales && preferences.locales.length > 0 ? preferences.locales : DEFAULT_LOCALES;
+    return [...new Set([BASE_LOCALE, preferences.language, ...chosen])].filter(isLocale);
+};
+
+// The locale a user reads AI output in
+const getDisplayLocale = (user) => {
+    const language = user && user.preferences && user.preferences.language;
+    return isLocale(language) ? language : BASE_LOCALE;
+};
+
+module.exports = {
+    LOCALES,
+    LOCALE_CODES,
+    BASE_LOCALE,
+    DEFAULT_LOCALES,
+    LEGACY_KEYS,
+    isLocale,
+    getUserLocales,
+    getDisplayLocale
+};
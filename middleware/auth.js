@@ -18,7 +18,7 @@ const authenticateToken = async (req, res, next) => {
 
         // Get user from database
         const user = await User.findById(decoded.id).select('-password');
-        if (!user) {
+        if (!user || user.deletionRequestedAt) {
             return res.status(401).json({
                 success: false,
                 message: 'User not found'
@@ -58,7 +58,7 @@ const optionalAuth = async (req, res, next) => {
         if (token) {
             const decoded = jwt.verify(token, process.env.JWT_SECRET);
             const user = await User.findById(decoded.id).select('-password');
-            if (user) {
+            if (user && !user.deletionRequestedAt) {
                 req.user = user;
             }
         }
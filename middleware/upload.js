@@ -1,109 +1,235 @@
 const multer = require('multer');
 const path = require('path');
+const crypto = require('crypto');
 const sharp = require('sharp');
-const { uploadToCloudinary } = require('../config/cloudinary');
+const File = require('../models/File');
+const { getStorage, getFileStorage, getStorageOptions } = require('../services/storage');
+const { inspectUpload } = require('../services/contentSafety');
+const UploadError = require('../services/uploadError');
 
 // Configure multer for memory storage
 const storage = multer.memoryStorage();
 
+// Allowed file types
+const ALLOWED_MIME_TYPES = [
+    'application/pdf',
+    'image/jpeg',
+    'image/jpg',
+    'image/png',
+    'image/gif',
+    'image/webp',
+    'image/tiff',
+    'image/bmp'
+];
+
 // File filter
 const fileFilter = (req, file, cb) => {
-    // Allowed file types
-    const allowedTypes = [
-        'application/pdf',
-        'image/jpeg',
-        'image/jpg',
-        'image/png',
-        'image/gif',
-        'image/webp',
-        'image/tiff',
-        'image/bmp'
-    ];
-
-    if (allowedTypes.includes(file.mimetype)) {
+    if (ALLOWED_MIME_TYPES.includes(file.mimetype)) {
         cb(null, true);
     } else {
-        cb(new Error('Invalid file type. Only PDF and image files are allowed.'), false);
+        cb(new UploadError(400, 'INVALID_FILE_TYPE', 'Invalid file type. Only PDF and image files are allowed.'), false);
     }
 };
 
+// Most pages accepted for one report
+const MAX_PAGES = parseInt(process.env.MAX_UPLOAD_PAGES) || 20;
+
 // Configure multer
 const upload = multer({
     storage: storage,
     fileFilter: fileFilter,
     limits: {
-        fileSize: 10 * 1024 * 1024, // 10MB limit
-        files: 1 // Single file upload
+        fileSize: 10 * 1024 * 1024, // 10MB limit per page
+        files: MAX_PAGES // Pages of one report
     }
 });
 
-// Process and upload file
+// Uploaded pages, whether sent as one file or several
+const getUploadedPages = (req) => req.files || (req.file ? [req.file] : []);
+
+const hashBuffer = (buffer) => crypto.createHash('sha256').update(buffer).digest('hex');
+
+// Check every page's real content before anything is stored; the claimed type is
+// replaced by the sniffed one
+const inspectPages = (files) => {
+    files.forEach(file => {
+        file.mimetype = inspectUpload(file.buffer, file.mimetype);
+    });
+};
+
+// Optimize an uploaded page and write it to the configured storage backend
+const storePage = async (file, userId, storage) => {
+    const fileType = file.mimetype.startsWith('image/') ? 'image' : 'pdf';
+
+    let processedFile = file.buffer;
+    let fileName = file.originalname;
+    let mimeType = file.mimetype;
+
+    // Re-encode images, which also drops EXIF, GPS and other metadata. BMP files carry
+    // no metadata and sharp can't read them, so they are stored as uploaded.
+    if (fileType === 'image' && file.mimetype !== 'image/bmp') {
+        try {
+            // Optimize image with Sharp
+            processedFile = await sharp(file.buffer)
+                .rotate() // Apply EXIF orientation before the metadata is dropped
+                .resize(2048, 2048, {
+                    fit: 'inside',
+                    withoutEnlargement: true
+                })
+                .jpeg({ quality: 85 })
+                .toBuffer();
+
+            // Update file info
+            fileName = path.parse(file.originalname).name + '.jpg';
+            mimeType = 'image/jpeg';
+        } catch (sharpError) {
+            // Never store an image with its location and device metadata intact
+            console.warn('Sharp processing failed:', sharpError.message);
+            throw new UploadError(422, 'IMAGE_PROCESSING_FAILED', 'The image could not be processed. It may be corrupt.');
+        }
+    }
+
+    const stored = await storage.put(processedFile, {
+        name: `healthmate_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
+        folder: `healthmate/${userId}`,
+        resourceType: fileType === 'image' ? 'image' : 'raw',
+        mimeType: mimeType
+    });
+
+    return {
+        originalName: file.originalname,
+        fileName: fileName,
+        filePath: stored.key,
+        fileType: fileType,
+        mimeType: mimeType,
+        fileSize: stored.bytes,
+        storageProvider: storage.name,
+        resourceType: stored.resourceType,
+        storageAccess: stored.access,
+        // Hash of the original upload so re-uploads of the same report are caught
+        contentHash: hashBuffer(file.buffer)
+    };
+};
+
+// Delete stored pages, e.g. after a failed upload. Failures are logged; the sweeper catches leftovers.
+const deleteStoredPages = async (pages) => {
+    for (const page of pages) {
+        const result = await getFileStorage(page).delete(page.filePath, getStorageOptions(page));
+        if (!result.success) {
+            console.warn(`Failed to delete page ${page.filePath}:`, result.error);
+        }
+    }
+};
+
+// Store uploaded pages in order, removing any already stored if one fails
+const storePages = async (files, userId) => {
+    const storage = getStorage();
+    const pages = [];
+
+    try {
+        for (const file of files) {
+            pages.push(await storePage(file, userId, storage));
+        }
+    } catch (error) {
+        await deleteStoredPages(pages);
+        throw error;
+    }
+
+    return pages;
+};
+
+// Describe stored pages as one upload; the file's own storage fields mirror the first page
+const toUploadedFile = (pages, contentHash) => {
+    const [first] = pages;
+    return {
+        originalName: first.originalName,
+        fileName: first.fileName,
+        filePath: first.filePath,
+        fileType: File.getReportFileType(pages),
+        mimeType: first.mimeType,
+        fileSize: pages.reduce((sum, page) => sum + page.fileSize, 0),
+        storageProvider: first.storageProvider,
+        resourceType: first.resourceType,
+        storageAccess: first.storageAccess,
+        contentHash,
+        pages
+    };
+};
+
+// Answer 409 when the user already has a report with this content, in the trash or not.
+// Returns true when a response was sent.
+const respondIfDuplicate = async (req, res, contentHash) => {
+    const existingFile = await File.findOne({ user: req.user._id, contentHash })
+        .setOptions({ withDeleted: true })
+        .select('originalName reportType testDate processingStatus aiInsight createdAt deletedAt');
+    if (existingFile && existingFile.deletedAt) {
+        res.status(409).json({
+            success: false,
+            code: 'DUPLICATE_FILE_IN_TRASH',
+            message: 'This file is in your trash. Restore it instead of uploading again.',
+            data: {
+                file: existingFile,
+                url: `/api/files/${existingFile._id}/restore`
+            }
+        });
+        return true;
+    }
+    if (existingFile) {
+        res.status(409).json({
+            success: false,
+            code: 'DUPLICATE_FILE',
+            message: 'You have already uploaded this file',
+            data: {
+                file: existingFile,
+                url: `/api/files/${existingFile._id}`
+            }
+        });
+        return true;
+    }
+    return false;
+};
+
+// Process and upload a report of one or more pages
 const processAndUpload = async (req, res, next) => {
     try {
-        console.log('Upload middleware - req.file:', req.file);
+        const files = getUploadedPages(req);
 
-        if (!req.file) {
+        if (files.length === 0) {
             return res.status(400).json({
                 success: false,
                 message: 'No file uploaded'
             });
         }
 
-        const file = req.file;
-        const fileType = file.mimetype.startsWith('image/') ? 'image' : 'pdf';
-
-        let processedFile = file.buffer;
-        let fileName = file.originalname;
-        let mimeType = file.mimetype;
-
-        // Process images for optimization
-        if (fileType === 'image') {
-            try {
-                // Optimize image with Sharp
-                processedFile = await sharp(file.buffer)
-                    .resize(2048, 2048, {
-                        fit: 'inside',
-                        withoutEnlargement: true
-                    })
-                    .jpeg({ quality: 85 })
-                    .toBuffer();
-
-                // Update file info
-                fileName = path.parse(file.originalname).name + '.jpg';
-                mimeType = 'image/jpeg';
-            } catch (sharpError) {
-                console.warn('Sharp processing failed, using original file:', sharpError.message);
-                // Continue with original file if Sharp fails
-            }
+        try {
+            inspectPages(files);
+        } catch (error) {
+            return handleUploadError(error, req, res, next);
         }
 
-        // Upload to Cloudinary
-        const uploadResult = await uploadToCloudinary(processedFile, {
-            public_id: `healthmate_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
-            folder: `healthmate/${req.user._id}`,
-            resource_type: fileType === 'image' ? 'image' : 'raw',
-            mimeType: mimeType // Pass the mimeType for proper data URI conversion
-        });
+        // Hash the original upload so re-uploads of the same report are caught
+        const contentHash = File.combinePageHashes(files.map(file => hashBuffer(file.buffer)));
 
-        if (!uploadResult.success) {
+        if (await respondIfDuplicate(req, res, contentHash)) return;
+
+        // Upload to the configured storage backend
+        let pages;
+        try {
+            pages = await storePages(files, req.user._id);
+        } catch (uploadError) {
+            if (uploadError instanceof UploadError) {
+                return handleUploadError(uploadError, req, res, next);
+            }
+            console.error('Storage upload error:', uploadError);
             return res.status(500).json({
                 success: false,
                 message: 'File upload failed',
-                error: uploadResult.error
+                error: uploadError.message
             });
         }
 
         // Attach file info to request
-        req.uploadedFile = {
-            originalName: file.originalname,
-            fileName: fileName,
-            filePath: uploadResult.data.public_id,
-            fileUrl: uploadResult.data.secure_url,
-            fileType: fileType,
-            mimeType: mimeType,
-            fileSize: uploadResult.data.bytes,
-            cloudinaryData: uploadResult.data
-        };
+        req.uploadedFile = toUploadedFile(pages, contentHash);
 
         next();
     } catch (error) {
@@ -116,33 +242,77 @@ const processAndUpload = async (req, res, next) => {
     }
 };
 
-// Error handler for multer
+// Process and upload pages being added to an existing report
+const processAndUploadPages = async (req, res, next) => {
+    try {
+        const files = getUploadedPages(req);
+
+        if (files.length === 0) {
+            return res.status(400).json({
+                success: false,
+                message: 'No pages uploaded'
+            });
+        }
+
+        try {
+            inspectPages(files);
+            req.uploadedPages = await storePages(files, req.user._id);
+        } catch (uploadError) {
+            if (uploadError instanceof UploadError) {
+                return handleUploadError(uploadError, req, res, next);
+            }
+            console.error('Storage upload error:', uploadError);
+            return res.status(500).json({
+                success: false,
+                message: 'Page upload failed',
+                error: uploadError.message
+            });
+        }
+
+        next();
+    } catch (error) {
+        console.error('Page processing error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Page processing failed',
+            error: process.env.NODE_ENV === 'development' ? error.message : undefined
+        });
+    }
+};
+
+// Error handler for multer and upload content checks. Every rejection carries a
+// machine-readable code alongside the message.
 const handleUploadError = (error, req, res, next) => {
     if (error instanceof multer.MulterError) {
         if (error.code === 'LIMIT_FILE_SIZE') {
             return res.status(400).json({
                 success: false,
-                message: 'File too large. Maximum size is 10MB.'
+                code: 'FILE_TOO_LARGE',
+                message: 'File too large. Maximum size is 10MB; use a resumable upload for larger files.'
             });
         }
         if (error.code === 'LIMIT_FILE_COUNT') {
             return res.status(400).json({
                 success: false,
-                message: 'Too many files. Only one file allowed.'
+                code: 'TOO_MANY_FILES',
+                message: `Too many files. A report can have at most ${MAX_PAGES} pages.`
             });
         }
         if (error.code === 'LIMIT_UNEXPECTED_FILE') {
             return res.status(400).json({
                 success: false,
+                code: 'UNEXPECTED_FIELD',
                 message: 'Unexpected field. Please use the correct field name.'
             });
         }
     }
 
-    if (error.message.includes('Invalid file type')) {
-        return res.status(400).json({
+    if (error instanceof UploadError) {
+        return res.status(error.status).json({
             success: false,
-            message: error.message
+            code: error.code,
+            message: error.message,
+            data: error.data
         });
     }
 
@@ -150,7 +320,15 @@ const handleUploadError = (error, req, res, next) => {
 };
 
 module.exports = {
+    ALLOWED_MIME_TYPES,
+    MAX_PAGES,
     upload,
+    storePage,
+    inspectPages,
+    toUploadedFile,
+    respondIfDuplicate,
     processAndUpload,
+    processAndUploadPages,
+    deleteStoredPages,
     handleUploadError
 };
@@ -1,4 +1,17 @@
 const mongoose = require('mongoose');
+const softDelete = require('./plugins/softDelete');
+const { BASE_LOCALE } = require('../config/locales');
+
+// AI-written text, by locale code (see config/locales), e.g. { en: '...', 'ur-Latn': '...' }
+const localizedText = {
+    type: Map,
+    of: String
+};
+
+const localizedList = {
+    type: Map,
+    of: [String]
+};
 
 const aiInsightSchema = new mongoose.Schema({
     file: {
@@ -15,14 +28,34 @@ const aiInsightSchema = new mongoose.Schema({
         type: String,
         required: true
     },
-    summary: {
-        english: {
-            type: String,
+    pages: [{
+        pageNumber: {
+            type: Number,
             required: true
         },
-        urdu: {
-            type: String,
-            required: true
+        text: String,
+        confidence: {
+            type: Number,
+            min: 0,
+            max: 100
+        }
+    }],
+    extractionMethod: {
+        type: String,
+        enum: ['pdf-text', 'ocr']
+    },
+    ocrLanguages: [String],
+    extractionConfidence: {
+        type: Number,
+        min: 0,
+        max: 100
+    },
+    summary: {
+        ...localizedText,
+        required: true,
+        validate: {
+            validator: (summary) => Boolean(summary && summary.get(BASE_LOCALE)),
+            message: `Summary must include ${BASE_LOCALE} text`
         }
     },
     keyFindings: [{
@@ -41,19 +74,10 @@ const aiInsightSchema = new mongoose.Schema({
             required: true
         },
         normalRange: String,
-        significance: {
-            english: String,
-            urdu: String
-        }
+        significance: localizedText
     }],
-    recommendations: {
-        english: [String],
-        urdu: [String]
-    },
-    doctorQuestions: {
-        english: [String],
-        urdu: [String]
-    },
+    recommendations: localizedList,
+    doctorQuestions: localizedList,
     riskFactors: [{
         factor: String,
         level: {
@@ -61,10 +85,7 @@ const aiInsightSchema = new mongoose.Schema({
             enum: ['low', 'medium', 'high'],
             required: true
         },
-        description: {
-            english: String,
-            urdu: String
-        }
+        description: localizedText
     }],
     followUpRequired: {
         type: Boolean,
@@ -80,18 +101,88 @@ const aiInsightSchema = new mongoose.Schema({
         max: 100,
         required: true
     },
+    // Analysis template used for the report type (see services/reportTemplates)
+    template: {
+        type: String,
+        default: 'general'
+    },
+    // Radiology reports (x-ray, CT, MRI, ultrasound); findings are in keyFindings
+    imaging: {
+        technique: String,
+        comparison: String,
+        impression: localizedText
+    },
+    // ECGs; intervals in milliseconds
+    ecg: {
+        rhythm: String,
+        heartRate: Number,
+        intervals: {
+            pr: Number,
+            qrs: Number,
+            qt: Number,
+            qtc: Number
+        },
+        axis: String,
+        interpretation: localizedText
+    },
+    prescription: {
+        diagnosis: String,
+        prescriber: String,
+        medications: [{
+            _id: false,
+            name: {
+                type: String,
+                required: true
+            },
+            strength: String,
+            form: String,
+            dose: String,
+            frequency: String,
+            route: String,
+            duration: String,
+            instructions: localizedText,
+            purpose: localizedText
+        }]
+    },
     processingTime: {
         type: Number, // in milliseconds
         required: true
     },
+    // LLM provider and model that produced the analysis
+    provider: String,
     model: {
         type: String,
         default: 'gemini-2.0-flash'
     },
+    // Fields of the model output that failed validation and were fixed before saving
+    outputRepairs: [{
+        _id: false,
+        path: String,
+        action: {
+            type: String,
+            enum: ['coerced', 'clamped', 'renamed', 'dropped', 'defaulted']
+        },
+        from: mongoose.Schema.Types.Mixed,
+        to: mongoose.Schema.Types.Mixed,
+        reason: String
+    }],
+    // Model calls made, counting re-prompts to correct invalid output
+    outputAttempts: Number,
     version: {
         type: String,
         default: '1.0'
     },
+    previousVersion: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'AiInsight'
+    },
+    // Set when a re-analysis replaces this insight; current insights have no value
+    supersededAt: Date,
+    // Revision of the file this insight analyzed
+    fileVersion: {
+        type: Number,
+        default: 1
+    },
     isReviewed: {
         type: Boolean,
         default: false
@@ -106,10 +197,21 @@ const aiInsightSchema = new mongoose.Schema({
     timestamps: true
 });
 
+aiInsightSchema.plugin(softDelete);
+
 // Index for efficient queries
 aiInsightSchema.index({ user: 1, createdAt: -1 });
-aiInsightSchema.index({ file: 1 });
+aiInsightSchema.index({ file: 1, createdAt: -1 });
 aiInsightSchema.index({ 'keyFindings.status': 1 });
+// Full-text search over report contents, ranking finding names above free text
+aiInsightSchema.index(
+    { 'keyFindings.parameter': 'text', 'summary.en': 'text', rawText: 'text' },
+    {
+        name: 'insight_text_search',
+        weights: { 'keyFindings.parameter': 10, 'summary.en': 5, rawText: 1 },
+        default_language: 'none'
+    }
+);
 
 // Virtual for risk level
 aiInsightSchema.virtual('overallRiskLevel').get(function () {
@@ -0,0 +1,70 @@
+const mongoose = require('mongoose');
+
+// A record the assistant drew on for a reply: a report and its insight, a vitals
+// reading, or the user's profile
+const citationSchema = new mongoose.Schema({
+    // Number the assistant used to cite the source in its reply, e.g. [2]
+    source: {
+        type: Number,
+        required: true
+    },
+    kind: {
+        type: String,
+        enum: ['file', 'vitals', 'profile'],
+        required: true
+    },
+    file: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'File'
+    },
+    insight: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'AiInsight'
+    },
+    vitals: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Vitals'
+    },
+    label: String,
+    date: Date
+}, {
+    _id: false
+});
+
+const chatMessageSchema = new mongoose.Schema({
+    session: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'ChatSession',
+        required: true
+    },
+    user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    role: {
+        type: String,
+        enum: ['user', 'assistant'],
+        required: true
+    },
+    content: {
+        type: String,
+        required: true
+    },
+    // Sources cited in an assistant reply
+    citations: [citationSchema],
+    // LLM provider and model that wrote an assistant reply
+    provider: String,
+    model: String,
+    usage: {
+        inputTokens: Number,
+        outputTokens: Number
+    }
+}, {
+    timestamps: true
+});
+
+chatMessageSchema.index({ session: 1, _id: 1 });
+chatMessageSchema.index({ user: 1 });
+
+module.exports = mongoose.model('ChatMessage', chatMessageSchema);
@@ -0,0 +1,30 @@
+const mongoose = require('mongoose');
+
+// A conversation between a user and the health assistant. Messages are stored
+// separately in ChatMessage so long conversations do not grow one document.
+const chatSessionSchema = new mongoose.Schema({
+    user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    title: {
+        type: String,
+        trim: true,
+        maxlength: [100, 'Title cannot exceed 100 characters']
+    },
+    messageCount: {
+        type: Number,
+        default: 0
+    },
+    lastMessageAt: {
+        type: Date,
+        default: Date.now
+    }
+}, {
+    timestamps: true
+});
+
+chatSessionSchema.index({ user: 1, lastMessageAt: -1 });
+
+module.exports = mongoose.model('ChatSession', chatSessionSchema);
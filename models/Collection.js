@@ -0,0 +1,105 @@
+const mongoose = require('mongoose');
+
+// One entry in a collection: a report, a vitals reading or a free-text note
+const itemSchema = new mongoose.Schema({
+    kind: {
+        type: String,
+        enum: ['file', 'vitals', 'note'],
+        required: true
+    },
+    file: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'File'
+    },
+    vitals: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Vitals'
+    },
+    note: {
+        title: {
+            type: String,
+            trim: true,
+            maxlength: [100, 'Note title cannot exceed 100 characters']
+        },
+        text: {
+            type: String,
+            trim: true,
+            maxlength: [2000, 'Note cannot exceed 2000 characters']
+        },
+        // When the noted event happened; defaults to when the note was added
+        date: Date
+    },
+    addedAt: {
+        type: Date,
+        default: Date.now
+    }
+});
+
+// A named group of reports, vitals and notes, e.g. "Pregnancy 2026" or "Knee surgery".
+// Items are kept in the order the user arranged them.
+const collectionSchema = new mongoose.Schema({
+    user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    name: {
+        type: String,
+        required: [true, 'Name is required'],
+        trim: true,
+        maxlength: [100, 'Name cannot exceed 100 characters']
+    },
+    description: {
+        type: String,
+        trim: true,
+        maxlength: [500, 'Description cannot exceed 500 characters']
+    },
+    color: {
+        type: String,
+        trim: true
+    },
+    // Report shown on the collection's cover; the first report when not chosen
+    coverFile: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'File'
+    },
+    startDate: Date,
+    endDate: Date,
+    // Place in the user's list of collections
+    position: {
+        type: Number,
+        default: 0
+    },
+    items: [itemSchema],
+    // Sharing a collection shares every report in it; see services/collections.js
+    sharedWith: [{
+        user: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User'
+        },
+        permission: {
+            type: String,
+            enum: ['view', 'download'],
+            default: 'view'
+        },
+        sharedAt: {
+            type: Date,
+            default: Date.now
+        }
+    }]
+}, {
+    timestamps: true
+});
+
+collectionSchema.index({ user: 1, position: 1 });
+collectionSchema.index({ 'sharedWith.user': 1 });
+collectionSchema.index({ 'items.file': 1 });
+
+// Ids of the reports or vitals readings in the collection
+collectionSchema.methods.getItemIds = function (kind) {
+    return this.items
+        .filter(item => item.kind === kind && item[kind])
+        .map(item => item[kind]);
+};
+
+module.exports = mongoose.model('Collection', collectionSchema);
@@ -1,4 +1,123 @@
 const mongoose = require('mongoose');
+const crypto = require('crypto');
+const softDelete = require('./plugins/softDelete');
+const tags = require('./plugins/tags');
+
+// Authorized download path for a file
+const getDownloadUrl = (fileId) => `/api/files/${fileId}/download`;
+
+// Never hand out storage URLs in API responses, only the authorized download path
+const exposeDownloadUrl = (ret) => {
+    if (ret._id) {
+        ret.fileUrl = getDownloadUrl(ret._id);
+    }
+    if (ret._id && Array.isArray(ret.pages)) {
+        ret.pages.forEach((page, index) => {
+            page.url = `${getDownloadUrl(ret._id)}?page=${index + 1}`;
+        });
+    }
+    if (ret._id && ret.preview && ret.preview.filePath) {
+        delete ret.preview.filePath;
+        ret.previewUrl = `/api/files/${ret._id}/preview`;
+    }
+    return ret;
+};
+
+// Page storage keys stay internal like the file's own
+const hidePagePath = (ret) => {
+    delete ret.filePath;
+    return ret;
+};
+
+// One stored page of a report. Multi-page reports keep their pages in reading order;
+// the File's own storage fields mirror the first page.
+const pageSchema = new mongoose.Schema({
+    originalName: {
+        type: String,
+        required: true,
+        trim: true
+    },
+    fileName: String,
+    filePath: {
+        type: String,
+        required: true
+    },
+    storageProvider: {
+        type: String,
+        enum: ['cloudinary', 'local', 's3'],
+        default: 'cloudinary'
+    },
+    resourceType: {
+        type: String,
+        enum: ['image', 'raw']
+    },
+    storageAccess: {
+        type: String,
+        enum: ['public', 'private']
+    },
+    fileType: {
+        type: String,
+        required: true,
+        enum: ['pdf', 'image']
+    },
+    mimeType: {
+        type: String,
+        required: true
+    },
+    fileSize: {
+        type: Number,
+        required: true
+    },
+    contentHash: String,
+    addedAt: {
+        type: Date,
+        default: Date.now
+    }
+}, {
+    toObject: { transform: (doc, ret) => hidePagePath(ret) },
+    toJSON: { transform: (doc, ret) => hidePagePath(ret) }
+});
+
+// An earlier revision of a report, kept when a corrected one is uploaded
+const versionSchema = new mongoose.Schema({
+    number: {
+        type: Number,
+        required: true
+    },
+    note: {
+        type: String,
+        trim: true
+    },
+    originalName: String,
+    fileType: String,
+    mimeType: String,
+    fileSize: Number,
+    contentHash: String,
+    pages: [pageSchema],
+    // The insight that was current for this revision
+    aiInsight: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'AiInsight'
+    },
+    uploadedAt: Date,
+    replacedAt: {
+        type: Date,
+        default: Date.now
+    }
+});
+
+// Fingerprint of a whole report: the page hash for single files, else a hash of the ordered page hashes
+const combinePageHashes = (hashes) => {
+    if (hashes.some(hash => !hash)) return undefined;
+    if (hashes.length === 1) return hashes[0];
+    return crypto.createHash('sha256').update(hashes.join(':')).digest('hex');
+};
+
+// File type of a report made of the given pages
+const getReportFileType = (pages) => {
+    if (pages.length === 1) return pages[0].fileType;
+    return pages.every(page => page.fileType === 'image') ? 'image' : 'document';
+};
 
 const fileSchema = new mongoose.Schema({
     user: {
@@ -23,6 +142,19 @@ const fileSchema = new mongoose.Schema({
         type: String,
         required: true
     },
+    storageProvider: {
+        type: String,
+        enum: ['cloudinary', 'local', 's3'],
+        default: 'cloudinary'
+    },
+    resourceType: {
+        type: String,
+        enum: ['image', 'raw']
+    },
+    storageAccess: {
+        type: String,
+        enum: ['public', 'private']
+    },
     fileType: {
         type: String,
         required: true,
@@ -36,6 +168,10 @@ const fileSchema = new mongoose.Schema({
         type: Number,
         required: true
     },
+    // SHA-256 of the original upload, used to detect duplicates
+    contentHash: {
+        type: String
+    },
     reportType: {
         type: String,
         required: true,
@@ -74,6 +210,52 @@ const fileSchema = new mongoose.Schema({
         type: String,
         trim: true
     }],
+    // Pages of the report in reading order; empty for files uploaded before multi-page support
+    pages: [pageSchema],
+    // Revision number of the current pages; earlier revisions are kept in versions
+    currentVersion: {
+        type: Number,
+        default: 1
+    },
+    versionNote: {
+        type: String,
+        trim: true
+    },
+    versionUploadedAt: Date,
+    versions: [versionSchema],
+    // Thumbnail of the current revision's first page, generated during processing
+    preview: {
+        fileName: String,
+        filePath: String,
+        storageProvider: String,
+        resourceType: String,
+        storageAccess: String,
+        fileType: String,
+        mimeType: String,
+        fileSize: Number,
+        width: Number,
+        height: Number,
+        version: Number,
+        generatedAt: Date
+    },
+    // Metadata detected from the report's text, offered to the user as suggestions
+    metadataSuggestions: {
+        reportType: { value: String, confidence: Number },
+        testDate: { value: Date, confidence: Number },
+        labName: { value: String, confidence: Number },
+        doctorName: { value: String, confidence: Number },
+        detectedAt: Date
+    },
+    // Where each metadata field came from. 'pending' fields were left blank at
+    // upload and are filled from confident suggestions once text is available.
+    // 'default' marks the upload placeholders (report type 'other', test date of
+    // upload) kept when detection found nothing, for the user to fill in.
+    metadataSource: {
+        reportType: { type: String, enum: ['user', 'pending', 'detected', 'default'], default: 'user' },
+        testDate: { type: String, enum: ['user', 'pending', 'detected', 'default'], default: 'user' },
+        labName: { type: String, enum: ['user', 'pending', 'detected'] },
+        doctorName: { type: String, enum: ['user', 'pending', 'detected'] }
+    },
     isProcessed: {
         type: Boolean,
         default: false
@@ -101,19 +283,125 @@ const fileSchema = new mongoose.Schema({
             enum: ['view', 'download'],
             default: 'view'
         },
+        // Set when the share comes from sharing a collection holding this file
+        sourceCollection: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'Collection'
+        },
         sharedAt: {
             type: Date,
             default: Date.now
         }
     }]
 }, {
-    timestamps: true
+    timestamps: true,
+    toObject: { transform: (doc, ret) => exposeDownloadUrl(ret) },
+    toJSON: { transform: (doc, ret) => exposeDownloadUrl(ret) }
 });
 
+fileSchema.plugin(softDelete);
+fileSchema.plugin(tags);
+
 // Index for efficient queries
 fileSchema.index({ user: 1, testDate: -1 });
 fileSchema.index({ user: 1, reportType: 1 });
 fileSchema.index({ user: 1, tags: 1 });
+fileSchema.index(
+    { user: 1, contentHash: 1 },
+    { unique: true, partialFilterExpression: { contentHash: { $exists: true } } }
+);
+// Full-text search over file details
+fileSchema.index(
+    { originalName: 'text', labName: 'text', doctorName: 'text', description: 'text', tags: 'text' },
+    {
+        name: 'file_text_search',
+        weights: { originalName: 3, labName: 2, doctorName: 2, description: 1, tags: 3 },
+        default_language: 'none'
+    }
+);
+
+// Pages of the report, treating older single-file records as one page
+fileSchema.methods.getPages = function () {
+    if (this.pages && this.pages.length > 0) return this.pages;
+
+    return [{
+        _id: this._id,
+        originalName: this.originalName,
+        fileName: this.fileName,
+        filePath: this.filePath,
+        storageProvider: this.storageProvider,
+        resourceType: this.resourceType,
+        storageAccess: this.storageAccess,
+        fileType: this.fileType,
+        mimeType: this.mimeType,
+        fileSize: this.fileSize,
+        contentHash: this.contentHash
+    }];
+};
+
+// Give an older single-file record an explicit first page so pages can be added to it
+fileSchema.methods.ensurePages = function () {
+    if (this.pages.length === 0) {
+        const [page] = this.getPages();
+        delete page._id;
+        this.pages.push(page);
+    }
+    return this.pages;
+};
+
+// Pages of a revision, or null when the file has no such revision
+fileSchema.methods.getVersionPages = function (number) {
+    if (number === this.currentVersion) return this.getPages();
+
+    const version = this.versions.find(entry => entry.number === number);
+    return version ? version.pages : null;
+};
+
+// Every stored page across all revisions, e.g. to delete a file's assets
+fileSchema.methods.getAllPages = function () {
+    return [
+        ...this.getPages(),
+        ...this.versions.flatMap(version => version.pages)
+    ];
+};
+
+// Move the current pages and insight into the version history, ready for a new revision
+fileSchema.methods.archiveCurrentVersion = function () {
+    const pages = this.getPages().map(page => {
+        const copy = typeof page.toObject === 'function' ? page.toObject({ transform: false }) : { ...page };
+        delete copy._id;
+        return copy;
+    });
+
+    this.versions.push({
+        number: this.currentVersion,
+        note: this.versionNote,
+        originalName: this.originalName,
+        fileType: this.fileType,
+        mimeType: this.mimeType,
+        fileSize: this.fileSize,
+        contentHash: this.contentHash,
+        pages,
+        aiInsight: this.aiInsight,
+        uploadedAt: this.versionUploadedAt || this.createdAt
+    });
+};
+
+// Copy the first page's storage fields and the combined size, type and hash onto the file
+fileSchema.methods.syncPages = function () {
+    const [first] = this.pages;
+    if (!first) return;
+
+    this.filePath = first.filePath;
+    this.fileName = first.fileName;
+    this.storageProvider = first.storageProvider;
+    this.resourceType = first.resourceType;
+    this.storageAccess = first.storageAccess;
+    this.mimeType = first.mimeType;
+    this.fileType = getReportFileType(this.pages);
+    this.fileSize = this.pages.reduce((sum, page) => sum + page.fileSize, 0);
+    this.contentHash = combinePageHashes(this.pages.map(page => page.contentHash));
+};
 
 // Virtual for file age
 fileSchema.virtual('ageInDays').get(function () {
@@ -130,4 +418,8 @@ fileSchema.methods.getExtension = function () {
     return this.originalName.split('.').pop().toLowerCase();
 };
 
+fileSchema.statics.getDownloadUrl = getDownloadUrl;
+fileSchema.statics.combinePageHashes = combinePageHashes;
+fileSchema.statics.getReportFileType = getReportFileType;
+
 module.exports = mongoose.model('File', fileSchema);
@@ -0,0 +1,69 @@
+const mongoose = require('mongoose');
+
+const jobSchema = new mongoose.Schema({
+    type: {
+        type: String,
+        required: true,
+        enum: ['analyze-file', 'delete-account']
+    },
+    user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    file: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'File'
+    },
+    payload: {
+        type: mongoose.Schema.Types.Mixed,
+        default: {}
+    },
+    status: {
+        type: String,
+        enum: ['queued', 'running', 'completed', 'dead', 'cancelled'],
+        default: 'queued'
+    },
+    attempts: {
+        type: Number,
+        default: 0
+    },
+    maxAttempts: {
+        type: Number,
+        default: 5
+    },
+    runAt: {
+        type: Date,
+        default: Date.now
+    },
+    lockedBy: String,
+    lockedUntil: Date,
+    startedAt: Date,
+    completedAt: Date,
+    lastError: String,
+    failures: [{
+        attempt: Number,
+        message: String,
+        at: {
+            type: Date,
+            default: Date.now
+        }
+    }]
+}, {
+    timestamps: true
+});
+
+// Index for claiming due jobs and recovering expired leases
+jobSchema.index({ status: 1, runAt: 1 });
+jobSchema.index({ status: 1, lockedUntil: 1 });
+jobSchema.index({ file: 1, status: 1 });
+// At most one queued or running job per file, so concurrent requests cannot analyze it twice
+jobSchema.index(
+    { file: 1 },
+    {
+        unique: true,
+        partialFilterExpression: { file: { $exists: true }, status: { $in: ['queued', 'running'] } }
+    }
+);
+
+module.exports = mongoose.model('Job', jobSchema);
@@ -0,0 +1,40 @@
+const mongoose = require('mongoose');
+
+// One received chunk of a resumable upload
+const uploadChunkSchema = new mongoose.Schema({
+    session: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'UploadSession',
+        required: true
+    },
+    offset: {
+        type: Number,
+        required: true
+    },
+    size: {
+        type: Number,
+        required: true
+    },
+    // SHA-256 (hex) of the chunk, checked when it was received
+    checksum: {
+        type: String,
+        required: true
+    },
+    data: {
+        type: Buffer,
+        required: true
+    },
+    // Expires with its session
+    expiresAt: {
+        type: Date,
+        required: true
+    }
+}, {
+    timestamps: true
+});
+
+// One chunk per offset, so a retried chunk can't be stored twice
+uploadChunkSchema.index({ session: 1, offset: 1 }, { unique: true });
+uploadChunkSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('UploadChunk', uploadChunkSchema);
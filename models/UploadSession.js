@@ -0,0 +1,61 @@
+const mongoose = require('mongoose');
+
+// A resumable upload in progress. Chunks are stored in UploadChunk until the
+// upload is completed and turned into a File.
+const uploadSessionSchema = new mongoose.Schema({
+    user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    originalName: {
+        type: String,
+        required: true,
+        trim: true
+    },
+    mimeType: {
+        type: String,
+        required: true
+    },
+    totalSize: {
+        type: Number,
+        required: true
+    },
+    // SHA-256 (hex) of the whole file, declared by the client and verified on completion
+    checksum: {
+        type: String,
+        required: true,
+        lowercase: true
+    },
+    chunkSize: {
+        type: Number,
+        required: true
+    },
+    // Bytes received so far; the next chunk must start here
+    receivedBytes: {
+        type: Number,
+        default: 0
+    },
+    status: {
+        type: String,
+        enum: ['uploading', 'completing', 'completed', 'failed'],
+        default: 'uploading'
+    },
+    file: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'File'
+    },
+    error: String,
+    expiresAt: {
+        type: Date,
+        required: true
+    }
+}, {
+    timestamps: true
+});
+
+// MongoDB removes abandoned sessions once they expire
+uploadSessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+uploadSessionSchema.index({ user: 1, status: 1 });
+
+module.exports = mongoose.model('UploadSession', uploadSessionSchema);
@@ -1,5 +1,6 @@
 const mongoose = require('mongoose');
 const bcrypt = require('bcryptjs');
+const { LOCALE_CODES, DEFAULT_LOCALES } = require('../config/locales');
 
 const userSchema = new mongoose.Schema({
     name: {
@@ -50,12 +51,25 @@ const userSchema = new mongoose.Schema({
     lastLogin: {
         type: Date
     },
+    // Set when the user deletes their account; the account is unusable while data is purged
+    deletionRequestedAt: {
+        type: Date
+    },
     preferences: {
+        // Locale AI output is shown in, e.g. 'ur-Arab'
         language: {
             type: String,
-            enum: ['en', 'ur'],
+            enum: LOCALE_CODES,
             default: 'en'
         },
+        // Locales insights are written in, besides English and the display language
+        locales: {
+            type: [{
+                type: String,
+                enum: LOCALE_CODES
+            }],
+            default: DEFAULT_LOCALES
+        },
         notifications: {
             email: { type: Boolean, default: true },
             push: { type: Boolean, default: true }
@@ -1,4 +1,6 @@
 const mongoose = require('mongoose');
+const softDelete = require('./plugins/softDelete');
+const tags = require('./plugins/tags');
 
 const vitalsSchema = new mongoose.Schema({
     user: {
@@ -159,6 +161,9 @@ const vitalsSchema = new mongoose.Schema({
     timestamps: true
 });
 
+vitalsSchema.plugin(softDelete);
+vitalsSchema.plugin(tags);
+
 // Index for efficient queries
 vitalsSchema.index({ user: 1, date: -1 });
 vitalsSchema.index({ user: 1, 'bloodPressure.systolic': 1 });
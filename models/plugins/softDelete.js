@@ -0,0 +1,61 @@
+// Soft delete: documents with a deletedAt date are in the trash and hidden from queries.
+// Pass { withDeleted: true } via setOptions() (or as the aggregate option) to include them,
+// or filter on deletedAt explicitly to query the trash.
+const queryHooks = [
+    'find',
+    'findOne',
+    'countDocuments',
+    'distinct',
+    'findOneAndUpdate',
+    'updateOne',
+    'updateMany'
+];
+
+// Stages MongoDB only accepts first in a pipeline; the trash filter goes after them
+const LEADING_STAGES = ['$geoNear', '$search', '$vectorSearch'];
+
+// Hide trashed documents from an aggregation pipeline, in place. A leading $match (which
+// may hold a $text search that has to stay first) takes the condition itself.
+const excludeDeleted = (pipeline) => {
+    const firstStage = pipeline[0];
+
+    if (firstStage && firstStage.$match) {
+        if (!('deletedAt' in firstStage.$match)) {
+            pipeline[0] = { ...firstStage, $match: { ...firstStage.$match, deletedAt: null } };
+        }
+        return;
+    }
+
+    const leading = firstStage && LEADING_STAGES.includes(Object.keys(firstStage)[0]);
+    pipeline.splice(leading ? 1 : 0, 0, { $match: { deletedAt: null } });
+};
+
+const softDelete = (schema) => {
+    schema.add({
+        deletedAt: {
+            type: Date,
+            default: null
+        }
+    });
+
+    schema.index({ deletedAt: 1 });
+
+    queryHooks.forEach(hook => {
+        schema.pre(hook, function () {
+            if (this.getOptions().withDeleted || 'deletedAt' in this.getFilter()) return;
+            this.where({ deletedAt: null });
+        });
+    });
+
+    schema.pre('aggregate', function () {
+        if (this.options.withDeleted) return;
+        excludeDeleted(this.pipeline());
+    });
+
+    schema.methods.isDeleted = function () {
+        return Boolean(this.deletedAt);
+    };
+};
+
+module.exports = softDelete;
+module.exports.excludeDeleted = excludeDeleted;
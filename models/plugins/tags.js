@@ -0,0 +1,18 @@
+// Tags: stored trimmed, lowercased and with single spaces, so "Blood Test" and
+// " blood  test" are the same tag. Writes accept an array or a comma-separated string.
+
+const normalizeTag = (tag) => String(tag).trim().replace(/\s+/g, ' ').toLowerCase();
+
+const normalizeTags = (tags) => {
+    const list = typeof tags === 'string' ? tags.split(',') : (tags || []);
+    return [...new Set(list.map(normalizeTag).filter(Boolean))];
+};
+
+const tags = (schema) => {
+    schema.path('tags').set(normalizeTags);
+};
+
+tags.normalizeTag = normalizeTag;
+tags.normalizeTags = normalizeTags;
+
+module.exports = tags;
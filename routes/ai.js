@@ -1,17 +1,25 @@
 const express = require('express');
-const { body, validationResult } = require('express-validator');
+const { body, query, validationResult } = require('express-validator');
 const AiInsight = require('../models/AiInsight');
 const File = require('../models/File');
+const ChatSession = require('../models/ChatSession');
+const ChatMessage = require('../models/ChatMessage');
 const { authenticateToken } = require('../middleware/auth');
-const { analyzeMedicalReport, analyzeVitals } = require('../config/gemini');
+const { enqueueJob, runJobNow, getActiveJobForFile, isActiveJobConflict } = require('../services/jobQueue');
+const { sendChatMessage, deleteChatSession, DISCLAIMER } = require('../services/healthChat');
+const { openEventStream } = require('../services/eventStream');
+const { translateInsight } = require('../services/translation');
+const { compareReports } = require('../services/reportComparison');
+const { LOCALE_CODES, getUserLocales } = require('../config/locales');
 
 const router = express.Router();
 
-// @route   POST /api/ai/analyze-file/:fileId
-// @desc    Manually trigger AI analysis for a file
-// @access  Private
-router.post('/analyze-file/:fileId', authenticateToken, async (req, res) => {
+// Check a file can be analyzed now and queue the analysis job, setting req.analysisFile
+// and req.analysisJob. force=true re-analyzes a processed file.
+const queueFileAnalysis = async (req, res, next) => {
     try {
+        const force = req.query.force === 'true' || req.body.force === true || req.body.force === 'true';
+
         const file = await File.findOne({
             _id: req.params.fileId,
             user: req.user._id
@@ -25,111 +33,87 @@ router.post('/analyze-file/:fileId', authenticateToken, async (req, res) => {
         }
 
         // Check if already processed
-        if (file.isProcessed && file.aiInsight) {
+        if (file.isProcessed && file.aiInsight && !force) {
             return res.status(400).json({
                 success: false,
-                message: 'File already processed'
+                message: 'File already processed. Use force=true to re-analyze.'
+            });
+        }
+
+        try {
+            req.analysisJob = await enqueueJob('analyze-file', {
+                user: req.user._id,
+                file: file._id,
+                payload: { force, trigger: 'manual' }
+            });
+        } catch (error) {
+            // Only one analysis per file at a time
+            if (!isActiveJobConflict(error)) throw error;
+
+            const activeJob = await getActiveJobForFile(file._id);
+            return res.status(409).json({
+                success: false,
+                message: 'Analysis already in progress for this file',
+                data: {
+                    job: activeJob ? {
+                        id: activeJob._id,
+                        status: activeJob.status,
+                        attempts: activeJob.attempts
+                    } : undefined
+                }
             });
         }
 
-        // Update processing status
-        await File.findByIdAndUpdate(file._id, {
-            processingStatus: 'processing'
+        req.analysisFile = file;
+        next();
+    } catch (error) {
+        console.error('AI analysis error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'AI analysis failed',
+            error: process.env.NODE_ENV === 'development' ? error.message : undefined
         });
+    }
+};
+
+// Body for an analysis a worker claimed before the request could run it
+const backgroundAnalysis = (job) => ({
+    success: true,
+    message: 'AI analysis is running in the background',
+    data: {
+        job: {
+            id: job._id,
+            status: job.status
+        }
+    }
+});
 
-        // Start AI analysis (this would be implemented with actual file processing)
-        // For now, we'll simulate the process
-        const startTime = Date.now();
+// @route   POST /api/ai/analyze-file/:fileId
+// @desc    Manually trigger AI analysis for a file (force=true re-analyzes a processed file)
+// @access  Private
+router.post('/analyze-file/:fileId', authenticateToken, queueFileAnalysis, async (req, res) => {
+    try {
+        // Run the analysis as a tracked job, inline in this request
+        const { job: finishedJob, result: aiInsight, error, unclaimed } = await runJobNow(req.analysisJob._id);
 
-        // Simulate AI processing
-        await new Promise(resolve => setTimeout(resolve, 3000));
+        if (unclaimed) {
+            return res.status(202).json(backgroundAnalysis(finishedJob));
+        }
 
-        // Create AI insight
-        const aiInsight = new AiInsight({
-            file: file._id,
-            user: req.user._id,
-            rawText: "Sample extracted text from medical report",
-            summary: {
-                english: "This is a comprehensive analysis of your medical report. The results show normal ranges for most parameters with a few areas that may need attention.",
-                urdu: "Ye aapke medical report ka comprehensive analysis hai. Results show karte hain ke most parameters normal range mein hain lekin kuch areas hain jo attention ki zarurat hai."
-            },
-            keyFindings: [
-                {
-                    parameter: "Hemoglobin",
-                    value: "12.5",
-                    unit: "g/dL",
-                    status: "normal",
-                    normalRange: "12-16 g/dL",
-                    significance: {
-                        english: "Within normal range, indicates good oxygen-carrying capacity",
-                        urdu: "Normal range mein hai, oxygen carrying capacity acchi hai"
-                    }
-                },
-                {
-                    parameter: "Blood Sugar (Fasting)",
-                    value: "110",
-                    unit: "mg/dL",
-                    status: "high",
-                    normalRange: "70-100 mg/dL",
-                    significance: {
-                        english: "Slightly elevated, may indicate pre-diabetes",
-                        urdu: "Thoda high hai, pre-diabetes ka indication ho sakta hai"
-                    }
-                }
-            ],
-            recommendations: {
-                english: [
-                    "Monitor blood sugar levels regularly",
-                    "Follow a balanced diet with reduced sugar intake",
-                    "Exercise regularly for at least 30 minutes daily",
-                    "Schedule follow-up with your doctor in 3 months"
-                ],
-                urdu: [
-                    "Blood sugar levels regular monitor karein",
-                    "Balanced diet follow karein with reduced sugar",
-                    "Regular exercise karein at least 30 minutes daily",
-                    "3 months mein doctor ke saath follow-up schedule karein"
-                ]
-            },
-            doctorQuestions: {
-                english: [
-                    "Should I be concerned about my blood sugar levels?",
-                    "What dietary changes should I make?",
-                    "Do I need any additional tests?",
-                    "How often should I monitor my blood sugar?"
-                ],
-                urdu: [
-                    "Kya mujhe blood sugar levels ke baare mein concern karna chahiye?",
-                    "Kya dietary changes karne chahiye?",
-                    "Kya mujhe koi additional tests chahiye?",
-                    "Kitni baar blood sugar monitor karna chahiye?"
-                ]
-            },
-            riskFactors: [
-                {
-                    factor: "Elevated Blood Sugar",
-                    level: "medium",
-                    description: {
-                        english: "Slightly elevated blood sugar may indicate pre-diabetes risk",
-                        urdu: "Thoda high blood sugar pre-diabetes risk indicate kar sakta hai"
+        if (error) {
+            return res.status(500).json({
+                success: false,
+                message: 'AI analysis failed',
+                error: process.env.NODE_ENV === 'development' ? error.message : undefined,
+                data: {
+                    job: {
+                        id: finishedJob._id,
+                        status: finishedJob.status,
+                        runAt: finishedJob.runAt
                     }
                 }
-            ],
-            followUpRequired: true,
-            followUpTimeframe: "3-months",
-            confidence: 88,
-            processingTime: Date.now() - startTime,
-            model: "gemini-1.5-pro"
-        });
-
-        await aiInsight.save();
-
-        // Update file with AI insight
-        await File.findByIdAndUpdate(file._id, {
-            aiInsight: aiInsight._id,
-            isProcessed: true,
-            processingStatus: 'completed'
-        });
+            });
+        }
 
         res.json({
             success: true,
@@ -141,17 +125,98 @@ router.post('/analyze-file/:fileId', authenticateToken, async (req, res) => {
 
     } catch (error) {
         console.error('AI analysis error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'AI analysis failed',
+            error: process.env.NODE_ENV === 'development' ? error.message : undefined
+        });
+    }
+});
 
-        // Update file processing status to failed
-        await File.findByIdAndUpdate(req.params.fileId, {
-            processingStatus: 'failed'
+// @route   POST /api/ai/analyze-file/:fileId/stream
+// @desc    Analyze a file, streaming progress and the model's output as Server-Sent Events:
+//          progress { stage, attempt? }, delta { text }, then done { aiInsight } or error { message },
+//          or accepted { job } when a worker runs it in the background instead.
+//          Disconnecting cancels the analysis.
+// @access  Private
+router.post('/analyze-file/:fileId/stream', authenticateToken, queueFileAnalysis, async (req, res) => {
+    const stream = openEventStream(req, res);
+
+    try {
+        const job = req.analysisJob;
+        stream.send('progress', { stage: 'queued', job: { id: job._id } });
+
+        const { job: finishedJob, result: aiInsight, error, cancelled, unclaimed } = await runJobNow(job._id, {
+            signal: stream.signal,
+            onProgress: (progress) => stream.send('progress', progress),
+            onDelta: (text) => stream.send('delta', { text })
         });
 
-        res.status(500).json({
-            success: false,
+        if (cancelled) return;
+
+        if (unclaimed) {
+            const { message, data } = backgroundAnalysis(finishedJob);
+            stream.send('accepted', { message, ...data });
+        } else if (error) {
+            stream.send('error', {
+                message: 'AI analysis failed',
+                error: process.env.NODE_ENV === 'development' ? error.message : undefined,
+                job: {
+                    id: finishedJob._id,
+                    status: finishedJob.status,
+                    runAt: finishedJob.runAt
+                }
+            });
+        } else {
+            stream.send('done', { aiInsight });
+        }
+
+    } catch (error) {
+        console.error('AI analysis stream error:', error);
+        stream.send('error', {
             message: 'AI analysis failed',
             error: process.env.NODE_ENV === 'development' ? error.message : undefined
         });
+    } finally {
+        stream.end();
+    }
+});
+
+// @route   GET /api/ai/files/:fileId/insights
+// @desc    Get all insight versions for a file, newest first
+// @access  Private
+router.get('/files/:fileId/insights', authenticateToken, async (req, res) => {
+    try {
+        const file = await File.findOne({
+            _id: req.params.fileId,
+            user: req.user._id
+        }).select('aiInsight');
+
+        if (!file) {
+            return res.status(404).json({
+                success: false,
+                message: 'File not found'
+            });
+        }
+
+        const versions = await AiInsight.find({ file: file._id, user: req.user._id })
+            .select('-rawText -pages')
+            .sort({ createdAt: -1 });
+
+        res.json({
+            success: true,
+            data: {
+                currentInsight: file.aiInsight,
+                versions
+            }
+        });
+
+    } catch (error) {
+        console.error('Get insight versions error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to get insight versions'
+        });
     }
 });
 
@@ -170,13 +235,13 @@ router.get('/insights', authenticateToken, async (req, res) => {
         const sortOptions = {};
         sortOptions[sortBy] = sortOrder === 'desc' ? -1 : 1;
 
-        const insights = await AiInsight.find({ user: req.user._id })
+        const insights = await AiInsight.find({ user: req.user._id, supersededAt: null })
             .populate('file', 'originalName reportType testDate')
             .sort(sortOptions)
             .limit(limit * 1)
             .skip((page - 1) * limit);
 
-        const total = await AiInsight.countDocuments({ user: req.user._id });
+        const total = await AiInsight.countDocuments({ user: req.user._id, supersededAt: null });
 
         res.json({
             success: true,
@@ -200,10 +265,24 @@ router.get('/insights', authenticateToken, async (req, res) => {
 });
 
 // @route   GET /api/ai/insights/:id
-// @desc    Get specific AI insight
+// @desc    Get specific AI insight, translating it into ?locale= if needed
 // @access  Private
-router.get('/insights/:id', authenticateToken, async (req, res) => {
+router.get('/insights/:id', authenticateToken, [
+    query('locale')
+        .optional()
+        .isIn(LOCALE_CODES)
+        .withMessage('Invalid locale')
+], async (req, res) => {
     try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                message: 'Validation failed',
+                errors: errors.array()
+            });
+        }
+
         const insight = await AiInsight.findOne({
             _id: req.params.id,
             user: req.user._id
@@ -216,6 +295,20 @@ router.get('/insights/:id', authenticateToken, async (req, res) => {
             });
         }
 
+        // Text the analysis did not write in the requested locale is translated now
+        if (req.query.locale) {
+            try {
+                await translateInsight(insight, req.query.locale);
+            } catch (modelError) {
+                console.error('AI insight translation error:', modelError);
+                return res.status(502).json({
+                    success: false,
+                    message: 'Translation is temporarily unavailable. Please try again.',
+                    error: process.env.NODE_ENV === 'development' ? modelError.message : undefined
+                });
+            }
+        }
+
         res.json({
             success: true,
             data: { insight }
@@ -286,6 +379,70 @@ router.put('/insights/:id/review', authenticateToken, [
     }
 });
 
+// @route   GET /api/ai/compare?fileA=&fileB=
+// @desc    Compare the key findings of two analyzed reports and explain what changed
+// @access  Private
+router.get('/compare', authenticateToken, [
+    query('fileA')
+        .isMongoId()
+        .withMessage('Valid fileA is required'),
+    query('fileB')
+        .isMongoId()
+        .withMessage('Valid fileB is required')
+        .custom((fileB, { req }) => fileB !== req.query.fileA)
+        .withMessage('Choose two different reports to compare')
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                message: 'Validation failed',
+                errors: errors.array()
+            });
+        }
+
+        const files = await File.find({
+            _id: { $in: [req.query.fileA, req.query.fileB] },
+            user: req.user._id
+        })
+            .select('originalName reportType testDate aiInsight')
+            .populate('aiInsight', 'keyFindings');
+
+        const fileA = files.find(file => file._id.equals(req.query.fileA));
+        const fileB = files.find(file => file._id.equals(req.query.fileB));
+        if (!fileA || !fileB) {
+            return res.status(404).json({
+                success: false,
+                message: 'File not found'
+            });
+        }
+
+        const unanalyzed = [fileA, fileB].filter(file => !file.aiInsight);
+        if (unanalyzed.length > 0) {
+            return res.status(400).json({
+                success: false,
+                message: 'Both reports must be analyzed before they can be compared',
+                data: { files: unanalyzed.map(file => file._id) }
+            });
+        }
+
+        const comparison = await compareReports(fileA, fileB, { locales: getUserLocales(req.user) });
+
+        res.json({
+            success: true,
+            data: { comparison }
+        });
+
+    } catch (error) {
+        console.error('Compare reports error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to compare reports'
+        });
+    }
+});
+
 // @route   GET /api/ai/dashboard
 // @desc    Get AI-powered dashboard data
 // @access  Private
@@ -299,6 +456,7 @@ router.get('/dashboard', authenticateToken, async (req, res) => {
         // Get recent insights
         const recentInsights = await AiInsight.find({
             user: req.user._id,
+            supersededAt: null,
             createdAt: { $gte: daysAgo }
         })
             .populate('file', 'originalName reportType testDate')
@@ -308,6 +466,7 @@ router.get('/dashboard', authenticateToken, async (req, res) => {
         // Get critical findings
         const criticalInsights = await AiInsight.find({
             user: req.user._id,
+            supersededAt: null,
             'keyFindings.status': { $in: ['critical', 'abnormal'] }
         })
             .populate('file', 'originalName reportType testDate')
@@ -317,6 +476,7 @@ router.get('/dashboard', authenticateToken, async (req, res) => {
         // Get follow-up required insights
         const followUpInsights = await AiInsight.find({
             user: req.user._id,
+            supersededAt: null,
             followUpRequired: true,
             isReviewed: false
         })
@@ -324,19 +484,21 @@ router.get('/dashboard', authenticateToken, async (req, res) => {
             .sort({ createdAt: -1 });
 
         // Calculate statistics
-        const totalInsights = await AiInsight.countDocuments({ user: req.user._id });
+        const totalInsights = await AiInsight.countDocuments({ user: req.user._id, supersededAt: null });
         const reviewedInsights = await AiInsight.countDocuments({
             user: req.user._id,
+            supersededAt: null,
             isReviewed: true
         });
         const criticalCount = await AiInsight.countDocuments({
             user: req.user._id,
+            supersededAt: null,
             'keyFindings.status': { $in: ['critical', 'abnormal'] }
         });
 
         // Get risk factors summary
         const riskFactors = await AiInsight.aggregate([
-            { $match: { user: req.user._id } },
+            { $match: { user: req.user._id, supersededAt: null } },
             { $unwind: '$riskFactors' },
             {
                 $group: {
@@ -372,15 +534,19 @@ router.get('/dashboard', authenticateToken, async (req, res) => {
     }
 });
 
-// @route   POST /api/ai/chat
-// @desc    Chat with AI about health data
-// @access  Private
-router.post('/chat', authenticateToken, [
+const chatValidation = [
     body('message')
         .trim()
         .isLength({ min: 1, max: 1000 })
-        .withMessage('Message must be between 1 and 1000 characters')
-], async (req, res) => {
+        .withMessage('Message must be between 1 and 1000 characters'),
+    body('sessionId')
+        .optional()
+        .isMongoId()
+        .withMessage('Invalid chat session ID')
+];
+
+// Validate a chat message and load the session it continues, if any, into req.chatSession
+const loadChatSession = async (req, res, next) => {
     try {
         // Check validation errors
         const errors = validationResult(req);
@@ -392,40 +558,51 @@ router.post('/chat', authenticateToken, [
             });
         }
 
-        const { message } = req.body;
+        req.chatSession = null;
+        if (req.body.sessionId) {
+            req.chatSession = await ChatSession.findOne({ _id: req.body.sessionId, user: req.user._id });
+            if (!req.chatSession) {
+                return res.status(404).json({
+                    success: false,
+                    message: 'Chat session not found'
+                });
+            }
+        }
 
-        // Get user's recent health data for context
-        const recentInsights = await AiInsight.find({ user: req.user._id })
-            .populate('file', 'reportType testDate')
-            .sort({ createdAt: -1 })
-            .limit(5);
+        next();
+    } catch (error) {
+        console.error('AI chat error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'AI chat failed'
+        });
+    }
+};
 
-        // Create context for AI
-        const context = recentInsights.map(insight => ({
-            reportType: insight.file.reportType,
-            testDate: insight.file.testDate,
-            summary: insight.summary.english,
-            keyFindings: insight.keyFindings.slice(0, 3) // Top 3 findings
-        }));
-
-        // This would integrate with a chat model
-        // For now, we'll provide a structured response
-        const response = {
-            message: "I understand you're asking about your health data. Based on your recent reports, I can help you understand your results better. However, please remember that I'm an AI assistant and cannot replace professional medical advice.",
-            suggestions: [
-                "What do my recent blood test results mean?",
-                "Should I be concerned about any of my values?",
-                "What lifestyle changes should I consider?",
-                "When should I see my doctor next?"
-            ],
-            disclaimer: "This is AI-generated information for educational purposes only. Always consult with your healthcare provider for medical advice."
-        };
+// @route   POST /api/ai/chat
+// @desc    Ask the health assistant a question, starting a new conversation or continuing sessionId
+// @access  Private
+router.post('/chat', authenticateToken, chatValidation, loadChatSession, async (req, res) => {
+    try {
+        let result;
+        try {
+            result = await sendChatMessage(req.user, req.body.message, req.chatSession);
+        } catch (modelError) {
+            console.error('AI chat model error:', modelError);
+            return res.status(502).json({
+                success: false,
+                message: 'AI assistant is temporarily unavailable. Please try again.',
+                error: process.env.NODE_ENV === 'development' ? modelError.message : undefined
+            });
+        }
 
         res.json({
             success: true,
             data: {
-                response,
-                context: context.length > 0 ? context : null
+                session: result.session,
+                message: result.userMessage,
+                reply: result.assistantMessage,
+                disclaimer: DISCLAIMER
             }
         });
 
@@ -438,4 +615,148 @@ router.post('/chat', authenticateToken, [
     }
 });
 
+// @route   POST /api/ai/chat/stream
+// @desc    Ask the health assistant a question, streaming the reply as Server-Sent Events:
+//          progress { stage }, delta { text }, then done (same data as POST /chat) or error { message }.
+//          Disconnecting stops the reply, and nothing is saved.
+// @access  Private
+router.post('/chat/stream', authenticateToken, chatValidation, loadChatSession, async (req, res) => {
+    const stream = openEventStream(req, res);
+
+    try {
+        const result = await sendChatMessage(req.user, req.body.message, req.chatSession, {
+            signal: stream.signal,
+            onProgress: (progress) => stream.send('progress', progress),
+            onDelta: (text) => stream.send('delta', { text })
+        });
+
+        stream.send('done', {
+            session: result.session,
+            message: result.userMessage,
+            reply: result.assistantMessage,
+            disclaimer: DISCLAIMER
+        });
+
+    } catch (error) {
+        if (stream.signal.aborted) {
+            console.log('AI chat stream closed by client');
+        } else {
+            console.error('AI chat stream error:', error);
+            stream.send('error', {
+                message: 'AI assistant is temporarily unavailable. Please try again.',
+                error: process.env.NODE_ENV === 'development' ? error.message : undefined
+            });
+        }
+    } finally {
+        stream.end();
+    }
+});
+
+// @route   GET /api/ai/chats
+// @desc    Get the user's chat sessions, most recently active first
+// @access  Private
+router.get('/chats', authenticateToken, async (req, res) => {
+    try {
+        const { page = 1, limit = 20 } = req.query;
+
+        const sessions = await ChatSession.find({ user: req.user._id })
+            .sort({ lastMessageAt: -1 })
+            .limit(limit * 1)
+            .skip((page - 1) * limit);
+
+        const total = await ChatSession.countDocuments({ user: req.user._id });
+
+        res.json({
+            success: true,
+            data: {
+                sessions,
+                pagination: {
+                    current: parseInt(page),
+                    pages: Math.ceil(total / limit),
+                    total
+                }
+            }
+        });
+
+    } catch (error) {
+        console.error('Get chats error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to get chats'
+        });
+    }
+});
+
+// @route   GET /api/ai/chats/:id
+// @desc    Get a chat session with its messages, oldest first
+// @access  Private
+router.get('/chats/:id', authenticateToken, async (req, res) => {
+    try {
+        const session = await ChatSession.findOne({
+            _id: req.params.id,
+            user: req.user._id
+        });
+
+        if (!session) {
+            return res.status(404).json({
+                success: false,
+                message: 'Chat session not found'
+            });
+        }
+
+        const messages = await ChatMessage.find({ session: session._id })
+            .populate('citations.file', 'originalName reportType testDate')
+            .sort({ _id: 1 });
+
+        res.json({
+            success: true,
+            data: {
+                session,
+                messages,
+                disclaimer: DISCLAIMER
+            }
+        });
+
+    } catch (error) {
+        console.error('Get chat error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to get chat'
+        });
+    }
+});
+
+// @route   DELETE /api/ai/chats/:id
+// @desc    Delete a chat session and its messages
+// @access  Private
+router.delete('/chats/:id', authenticateToken, async (req, res) => {
+    try {
+        const session = await ChatSession.findOne({
+            _id: req.params.id,
+            user: req.user._id
+        });
+
+        if (!session) {
+            return res.status(404).json({
+                success: false,
+                message: 'Chat session not found'
+            });
+        }
+
+        await deleteChatSession(session);
+
+        res.json({
+            success: true,
+            message: 'Chat deleted successfully'
+        });
+
+    } catch (error) {
+        console.error('Delete chat error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to delete chat'
+        });
+    }
+});
+
 module.exports = router;
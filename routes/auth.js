@@ -121,7 +121,7 @@ router.post('/login', [
 
         // Find user and include password for comparison
         const user = await User.findOne({ email }).select('+password');
-        if (!user) {
+        if (!user || user.deletionRequestedAt) {
             return res.status(401).json({
                 success: false,
                 message: 'Invalid email or password'
@@ -0,0 +1,719 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const Collection = require('../models/Collection');
+const File = require('../models/File');
+const Vitals = require('../models/Vitals');
+const User = require('../models/User');
+const { authenticateToken } = require('../middleware/auth');
+const {
+    getCollectionPermission,
+    findAccessibleCollection,
+    syncCollectionShares,
+    unshareCollection,
+    loadItemRecords,
+    resolveItems,
+    buildCoverSummary,
+    getCollectionStatistics
+} = require('../services/collections');
+
+const router = express.Router();
+
+// Collection details accepted on create and update
+const collectionDetailsValidation = [
+    body('name')
+        .optional()
+        .trim()
+        .isLength({ min: 1, max: 100 })
+        .withMessage('Name must be between 1 and 100 characters'),
+    body('description')
+        .optional()
+        .trim()
+        .isLength({ max: 500 })
+        .withMessage('Description too long'),
+    body('color')
+        .optional()
+        .trim()
+        .isLength({ max: 20 })
+        .withMessage('Invalid color'),
+    body('startDate')
+        .optional({ values: 'null' })
+        .isISO8601()
+        .withMessage('Invalid start date'),
+    body('endDate')
+        .optional({ values: 'null' })
+        .isISO8601()
+        .withMessage('Invalid end date')
+];
+
+const respondIfInvalid = (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        res.status(400).json({
+            success: false,
+            message: 'Validation failed',
+            errors: errors.array()
+        });
+        return true;
+    }
+    return false;
+};
+
+// Load a collection the user owns into req.collection
+const loadOwnCollection = async (req, res, next) => {
+    try {
+        req.collection = await Collection.findOne({
+            _id: req.params.id,
+            user: req.user._id
+        });
+
+        if (!req.collection) {
+            return res.status(404).json({
+                success: false,
+                message: 'Collection not found'
+            });
+        }
+
+        next();
+    } catch (error) {
+        console.error('Load collection error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to get collection'
+        });
+    }
+};
+
+// Load a collection the user owns or that was shared with them into req.collection
+const loadAccessibleCollection = async (req, res, next) => {
+    try {
+        const collection = await findAccessibleCollection(req.params.id, req.user._id);
+
+        if (!collection) {
+            return res.status(404).json({
+                success: false,
+                message: 'Collection not found'
+            });
+        }
+
+        req.collection = collection;
+        req.collectionPermission = getCollectionPermission(collection, req.user._id);
+        next();
+    } catch (error) {
+        console.error('Load collection error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to get collection'
+        });
+    }
+};
+
+// Client-facing view of a collection, with its items resolved and a cover summary
+const describeCollection = async (collection, permission) => {
+    const items = resolveItems(collection, await loadItemRecords(collection));
+
+    return {
+        id: collection._id,
+        name: collection.name,
+        description: collection.description,
+        color: collection.color,
+        position: collection.position,
+        permission,
+        // Only the owner sees who else has access
+        sharedWith: permission === 'owner' ? collection.sharedWith : undefined,
+        summary: buildCoverSummary(collection, items),
+        items,
+        createdAt: collection.createdAt,
+        updatedAt: collection.updatedAt
+    };
+};
+
+// @route   POST /api/collections
+// @desc    Create a collection, e.g. "Pregnancy 2026" or "Knee surgery"
+// @access  Private
+router.post('/', authenticateToken, [
+    body('name')
+        .trim()
+        .notEmpty()
+        .withMessage('Name is required'),
+    ...collectionDetailsValidation
+], async (req, res) => {
+    try {
+        if (respondIfInvalid(req, res)) return;
+
+        const { name, description, color, startDate, endDate } = req.body;
+
+        // New collections go to the end of the list
+        const last = await Collection.findOne({ user: req.user._id }).sort({ position: -1 }).select('position');
+
+        const collection = await Collection.create({
+            user: req.user._id,
+            name,
+            description,
+            color,
+            startDate,
+            endDate,
+            position: last ? last.position + 1 : 0
+        });
+
+        res.status(201).json({
+            success: true,
+            message: 'Collection created',
+            data: { collection: await describeCollection(collection, 'owner') }
+        });
+
+    } catch (error) {
+        console.error('Create collection error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to create collection'
+        });
+    }
+});
+
+// @route   GET /api/collections
+// @desc    List the user's collections in their arranged order; shared=true lists
+//          collections shared with the user instead
+// @access  Private
+router.get('/', authenticateToken, async (req, res) => {
+    try {
+        const shared = req.query.shared === 'true';
+        const query = shared ? { 'sharedWith.user': req.user._id } : { user: req.user._id };
+
+        const collections = await Collection.find(query)
+            .sort(shared ? { updatedAt: -1 } : { position: 1, createdAt: 1 });
+
+        // Shared collections show whose they are
+        const owners = shared
+            ? await User.find({ _id: { $in: collections.map(collection => collection.user) } }).select('name')
+            : [];
+        const ownersById = new Map(owners.map(owner => [owner._id.toString(), owner]));
+
+        const data = [];
+        for (const collection of collections) {
+            const permission = getCollectionPermission(collection, req.user._id);
+            const { items, ...summary } = await describeCollection(collection, permission);
+            data.push({
+                ...summary,
+                owner: shared ? ownersById.get(collection.user.toString()) : undefined,
+                itemCount: items.length
+            });
+        }
+
+        res.json({
+            success: true,
+            data: { collections: data }
+        });
+
+    } catch (error) {
+        console.error('Get collections error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to get collections'
+        });
+    }
+});
+
+// @route   PUT /api/collections/order
+// @desc    Reorder the user's collections; 'order' lists every collection id in the new order
+// @access  Private
+router.put('/order', authenticateToken, [
+    body('order')
+        .isArray({ min: 1 })
+        .withMessage('Order must be a list of collection ids')
+], async (req, res) => {
+    try {
+        if (respondIfInvalid(req, res)) return;
+
+        const order = req.body.order.map(String);
+        const collections = await Collection.find({ user: req.user._id }).select('_id');
+        const ids = new Set(collections.map(collection => collection._id.toString()));
+
+        if (order.length !== ids.size || new Set(order).size !== order.length || !order.every(id => ids.has(id))) {
+            return res.status(400).json({
+                success: false,
+                message: 'Order must list each of your collections exactly once'
+            });
+        }
+
+        await Collection.bulkWrite(order.map((id, position) => ({
+            updateOne: {
+                filter: { _id: id, user: req.user._id },
+                update: { position }
+            }
+        })));
+
+        res.json({
+            success: true,
+            message: 'Collections reordered',
+            data: { order }
+        });
+
+    } catch (error) {
+        console.error('Reorder collections error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to reorder collections'
+        });
+    }
+});
+
+// @route   GET /api/collections/:id
+// @desc    Get a collection with its items and cover summary
+// @access  Private (owner, or shared with the user)
+router.get('/:id', authenticateToken, loadAccessibleCollection, async (req, res) => {
+    try {
+        res.json({
+            success: true,
+            data: { collection: await describeCollection(req.collection, req.collectionPermission) }
+        });
+
+    } catch (error) {
+        console.error('Get collection error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to get collection'
+        });
+    }
+});
+
+// @route   PUT /api/collections/:id
+// @desc    Update a collection's details or cover report
+// @access  Private
+router.put('/:id', authenticateToken, [
+    ...collectionDetailsValidation,
+    body('coverFile')
+        .optional({ values: 'null' })
+        .isMongoId()
+        .withMessage('Invalid cover file')
+], loadOwnCollection, async (req, res) => {
+    try {
+        if (respondIfInvalid(req, res)) return;
+
+        const collection = req.collection;
+        const { coverFile } = req.body;
+
+        if (coverFile && !collection.getItemIds('file').some(id => id.toString() === coverFile)) {
+            return res.status(400).json({
+                success: false,
+                message: 'The cover must be a report in this collection'
+            });
+        }
+
+        ['name', 'description', 'color', 'startDate', 'endDate', 'coverFile'].forEach(field => {
+            if (req.body[field] !== undefined) {
+                collection[field] = req.body[field];
+            }
+        });
+
+        await collection.save();
+
+        res.json({
+            success: true,
+            message: 'Collection updated',
+            data: { collection: await describeCollection(collection, 'owner') }
+        });
+
+    } catch (error) {
+        console.error('Update collection error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to update collection'
+        });
+    }
+});
+
+// @route   DELETE /api/collections/:id
+// @desc    Delete a collection; its reports, vitals and shares of them outside the collection are kept
+// @access  Private
+router.delete('/:id', authenticateToken, loadOwnCollection, async (req, res) => {
+    try {
+        await unshareCollection(req.collection._id);
+        await Collection.deleteOne({ _id: req.collection._id });
+
+        res.json({
+            success: true,
+            message: 'Collection deleted'
+        });
+
+    } catch (error) {
+        console.error('Delete collection error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to delete collection'
+        });
+    }
+});
+
+// @route   POST /api/collections/:id/items
+// @desc    Add a report (kind=file, id), vitals reading (kind=vitals, id) or note
+//          (kind=note, note: { title, text, date }). 'position' (1-based) inserts before
+//          that item; default is the end.
+// @access  Private
+router.post('/:id/items', authenticateToken, [
+    body('kind')
+        .isIn(['file', 'vitals', 'note'])
+        .withMessage('Kind must be file, vitals or note'),
+    body('id')
+        .if(body('kind').isIn(['file', 'vitals']))
+        .isMongoId()
+        .withMessage('Invalid id'),
+    body('note.text')
+        .if(body('kind').equals('note'))
+        .trim()
+        .isLength({ min: 1, max: 2000 })
+        .withMessage('Note text must be between 1 and 2000 characters'),
+    body('note.title')
+        .optional()
+        .trim()
+        .isLength({ max: 100 })
+        .withMessage('Note title too long'),
+    body('note.date')
+        .optional()
+        .isISO8601()
+        .withMessage('Invalid note date')
+], loadOwnCollection, async (req, res) => {
+    try {
+        if (respondIfInvalid(req, res)) return;
+
+        const collection = req.collection;
+        const { kind, id, note } = req.body;
+        const item = { kind };
+
+        if (kind === 'file' || kind === 'vitals') {
+            const Model = kind === 'file' ? File : Vitals;
+            const record = await Model.findOne({ _id: id, user: req.user._id }).select('_id');
+            if (!record) {
+                return res.status(404).json({
+                    success: false,
+                    message: kind === 'file' ? 'File not found' : 'Vitals not found'
+                });
+            }
+            if (collection.getItemIds(kind).some(existing => existing.equals(record._id))) {
+                return res.status(409).json({
+                    success: false,
+                    message: 'Already in this collection'
+                });
+            }
+            item[kind] = record._id;
+        } else {
+            item.note = {
+                title: note.title,
+                text: note.text,
+                date: note.date ? new Date(note.date) : undefined
+            };
+        }
+
+        const position = req.body.position === undefined ? collection.items.length + 1 : parseInt(req.body.position);
+        if (!Number.isInteger(position) || position < 1 || position > collection.items.length + 1) {
+            return res.status(400).json({
+                success: false,
+                message: `Position must be between 1 and ${collection.items.length + 1}`
+            });
+        }
+
+        collection.items.splice(position - 1, 0, item);
+        await collection.save();
+
+        if (kind === 'file') {
+            await syncCollectionShares(collection);
+        }
+
+        res.status(201).json({
+            success: true,
+            message: 'Added to collection',
+            data: { collection: await describeCollection(collection, 'owner') }
+        });
+
+    } catch (error) {
+        console.error('Add collection item error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to add to collection'
+        });
+    }
+});
+
+// @route   PUT /api/collections/:id/items/order
+// @desc    Reorder a collection's items; 'order' lists every item id in the new order
+// @access  Private
+router.put('/:id/items/order', authenticateToken, [
+    body('order')
+        .isArray({ min: 1 })
+        .withMessage('Order must be a list of item ids')
+], loadOwnCollection, async (req, res) => {
+    try {
+        if (respondIfInvalid(req, res)) return;
+
+        const collection = req.collection;
+        const order = req.body.order.map(String);
+        const itemsById = new Map(collection.items.map(item => [item._id.toString(), item]));
+
+        if (order.length !== itemsById.size || new Set(order).size !== order.length ||
+            !order.every(id => itemsById.has(id))) {
+            return res.status(400).json({
+                success: false,
+                message: 'Order must list each item of the collection exactly once'
+            });
+        }
+
+        collection.items = order.map(id => itemsById.get(id).toObject());
+        await collection.save();
+
+        res.json({
+            success: true,
+            message: 'Items reordered',
+            data: { collection: await describeCollection(collection, 'owner') }
+        });
+
+    } catch (error) {
+        console.error('Reorder collection items error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to reorder items'
+        });
+    }
+});
+
+// @route   DELETE /api/collections/:id/items/:itemId
+// @desc    Remove an item from a collection; the report or reading itself is kept
+// @access  Private
+router.delete('/:id/items/:itemId', authenticateToken, loadOwnCollection, async (req, res) => {
+    try {
+        const collection = req.collection;
+        const item = collection.items.id(req.params.itemId);
+
+        if (!item) {
+            return res.status(404).json({
+                success: false,
+                message: 'Item not found'
+            });
+        }
+
+        const removedFile = item.kind === 'file' ? item.file : null;
+        item.deleteOne();
+        if (removedFile && collection.coverFile && collection.coverFile.equals(removedFile)) {
+            collection.coverFile = undefined;
+        }
+        await collection.save();
+
+        if (removedFile) {
+            await syncCollectionShares(collection);
+        }
+
+        res.json({
+            success: true,
+            message: 'Removed from collection',
+            data: { collection: await describeCollection(collection, 'owner') }
+        });
+
+    } catch (error) {
+        console.error('Remove collection item error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to remove from collection'
+        });
+    }
+});
+
+// @route   GET /api/collections/:id/files
+// @desc    List the reports in a collection, in collection order or by test date (sortBy=testDate)
+// @access  Private (owner, or shared with the user)
+router.get('/:id/files', authenticateToken, loadAccessibleCollection, async (req, res) => {
+    try {
+        const { page = 1, limit = 10, reportType, sortBy, sortOrder = 'desc' } = req.query;
+
+        const records = await loadItemRecords(req.collection);
+        let files = resolveItems(req.collection, records)
+            .filter(item => item.kind === 'file')
+            .map(item => item.file);
+
+        if (reportType) {
+            files = files.filter(file => file.reportType === reportType);
+        }
+        if (sortBy === 'testDate') {
+            const direction = sortOrder === 'desc' ? -1 : 1;
+            files.sort((a, b) => (a.testDate - b.testDate) * direction);
+        }
+
+        const total = files.length;
+        const pageFiles = files.slice((page - 1) * limit, page * limit);
+
+        res.json({
+            success: true,
+            data: {
+                files: pageFiles,
+                pagination: {
+                    current: parseInt(page),
+                    pages: Math.ceil(total / limit),
+                    total
+                }
+            }
+        });
+
+    } catch (error) {
+        console.error('Get collection files error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to get collection files'
+        });
+    }
+});
+
+// @route   GET /api/collections/:id/timeline
+// @desc    Get a collection's reports, vitals and notes by date, grouped by month
+// @access  Private (owner, or shared with the user)
+router.get('/:id/timeline', authenticateToken, loadAccessibleCollection, async (req, res) => {
+    try {
+        const { startDate, endDate } = req.query;
+
+        let items = resolveItems(req.collection, await loadItemRecords(req.collection));
+
+        if (startDate) {
+            items = items.filter(item => item.date >= new Date(startDate));
+        }
+        if (endDate) {
+            items = items.filter(item => item.date <= new Date(endDate));
+        }
+
+        items.sort((a, b) => b.date - a.date);
+
+        // Group by month
+        const timeline = items.reduce((acc, item) => {
+            const month = new Date(item.date).toISOString().substring(0, 7); // YYYY-MM
+            if (!acc[month]) {
+                acc[month] = [];
+            }
+            acc[month].push(item);
+            return acc;
+        }, {});
+
+        res.json({
+            success: true,
+            data: { timeline }
+        });
+
+    } catch (error) {
+        console.error('Get collection timeline error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to get timeline'
+        });
+    }
+});
+
+// @route   GET /api/collections/:id/statistics
+// @desc    Get report, vitals and insight statistics for a collection
+// @access  Private (owner, or shared with the user)
+router.get('/:id/statistics', authenticateToken, loadAccessibleCollection, async (req, res) => {
+    try {
+        res.json({
+            success: true,
+            data: await getCollectionStatistics(req.collection)
+        });
+
+    } catch (error) {
+        console.error('Get collection statistics error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to get statistics'
+        });
+    }
+});
+
+// @route   POST /api/collections/:id/share
+// @desc    Share a collection, and every report in it, with another user by email
+// @access  Private
+router.post('/:id/share', authenticateToken, [
+    body('email')
+        .isEmail()
+        .normalizeEmail()
+        .withMessage('Please enter a valid email'),
+    body('permission')
+        .optional()
+        .isIn(['view', 'download'])
+        .withMessage('Permission must be view or download')
+], loadOwnCollection, async (req, res) => {
+    try {
+        if (respondIfInvalid(req, res)) return;
+
+        const collection = req.collection;
+        const recipient = await User.findOne({ email: req.body.email }).select('_id name email deletionRequestedAt');
+
+        if (!recipient || recipient.deletionRequestedAt) {
+            return res.status(404).json({
+                success: false,
+                message: 'No user with that email'
+            });
+        }
+        if (recipient._id.equals(req.user._id)) {
+            return res.status(400).json({
+                success: false,
+                message: 'You cannot share a collection with yourself'
+            });
+        }
+
+        const permission = req.body.permission || 'view';
+        const existing = collection.sharedWith.find(share => share.user && share.user.equals(recipient._id));
+        if (existing) {
+            existing.permission = permission;
+        } else {
+            collection.sharedWith.push({ user: recipient._id, permission });
+        }
+
+        await collection.save();
+        await syncCollectionShares(collection);
+
+        res.json({
+            success: true,
+            message: `Collection shared with ${recipient.name}`,
+            data: {
+                share: {
+                    user: { id: recipient._id, name: recipient.name, email: recipient.email },
+                    permission
+                }
+            }
+        });
+
+    } catch (error) {
+        console.error('Share collection error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to share collection'
+        });
+    }
+});
+
+// @route   DELETE /api/collections/:id/share/:userId
+// @desc    Stop sharing a collection with a user
+// @access  Private
+router.delete('/:id/share/:userId', authenticateToken, loadOwnCollection, async (req, res) => {
+    try {
+        const collection = req.collection;
+        const share = collection.sharedWith.find(entry => entry.user && entry.user.toString() === req.params.userId);
+
+        if (!share) {
+            return res.status(404).json({
+                success: false,
+                message: 'Collection is not shared with this user'
+            });
+        }
+
+        share.deleteOne();
+        await collection.save();
+        await syncCollectionShares(collection);
+
+        res.json({
+            success: true,
+            message: 'Sharing stopped'
+        });
+
+    } catch (error) {
+        console.error('Unshare collection error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to stop sharing'
+        });
+    }
+});
+
+module.exports = router;
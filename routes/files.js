@@ -1,229 +1,1256 @@
 const express = require('express');
 const { body, validationResult } = require('express-validator');
 const File = require('../models/File');
-const AiInsight = require('../models/AiInsight');
+const Job = require('../models/Job');
 const { authenticateToken } = require('../middleware/auth');
-const { upload, processAndUpload, handleUploadError } = require('../middleware/upload');
-const { analyzeMedicalReport } = require('../config/gemini');
-const { deleteFromCloudinary } = require('../config/cloudinary');
+const {
+    ALLOWED_MIME_TYPES,
+    MAX_PAGES,
+    upload,
+    toUploadedFile,
+    respondIfDuplicate,
+    processAndUpload,
+    processAndUploadPages,
+    deleteStoredPages,
+    handleUploadError
+} = require('../middleware/upload');
+const { getFileStorage, getStorageOptions } = require('../services/storage');
+const { enqueueJob, ensureAnalysisJob } = require('../services/jobQueue');
+const { trashFile, restoreFile, purgeFile, getPurgeDate, getRetentionDays } = require('../services/trash');
+const { searchFiles } = require('../services/search');
+const { METADATA_FIELDS } = require('../services/metadataDetection');
+const {
+    MAX_CHUNK_SIZE,
+    createSession,
+    getSession,
+    appendChunk,
+    beginCompletion,
+    verifyUpload,
+    storeSession,
+    discardStoredPage,
+    reopenSession,
+    finishSession,
+    cancelSession,
+    describeSession
+} = require('../services/resumableUpload');
+const UploadError = require('../services/uploadError');
+
+const router = express.Router();
+
+// Report details accepted with an upload
+const reportDetailsValidation = [
+    // Report type and test date may be left blank to have them detected from the report
+    body('reportType')
+        .optional({ values: 'falsy' })
+        .isIn(['blood-test', 'urine-test', 'x-ray', 'ct-scan', 'mri', 'ultrasound', 'ecg', 'prescription', 'discharge-summary', 'consultation', 'other'])
+        .withMessage('Invalid report type'),
+    body('testDate')
+        .optional({ values: 'falsy' })
+        .isISO8601()
+        .withMessage('Invalid test date'),
+    body('autoFillMetadata')
+        .optional()
+        .isBoolean()
+        .withMessage('autoFillMetadata must be true or false'),
+    body('labName')
+        .optional()
+        .trim()
+        .isLength({ max: 100 })
+        .withMessage('Lab name too long'),
+    body('doctorName')
+        .optional()
+        .trim()
+        .isLength({ max: 100 })
+        .withMessage('Doctor name too long'),
+    body('description')
+        .optional()
+        .trim()
+        .isLength({ max: 500 })
+        .withMessage('Description too long')
+];
+
+// Blank fields are filled from detected metadata unless the user opts out
+const isAutoFillEnabled = (details) => {
+    return details.autoFillMetadata === undefined || ['true', '1'].includes(String(details.autoFillMetadata));
+};
+
+// Answer 400 when the report details are invalid. Returns true when a response was sent.
+const respondIfInvalidDetails = (req, res) => {
+    // Check validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        res.status(400).json({
+            success: false,
+            message: 'Validation failed',
+            errors: errors.array()
+        });
+        return true;
+    }
+
+    const { reportType, testDate } = req.body;
+    if (!isAutoFillEnabled(req.body) && (!reportType || !testDate)) {
+        res.status(400).json({
+            success: false,
+            message: 'Validation failed',
+            errors: [{ msg: 'Report type and test date are required when autoFillMetadata is false' }]
+        });
+        return true;
+    }
+
+    return false;
+};
+
+// Reject invalid report details before any pages are stored
+const checkReportDetails = (req, res, next) => {
+    if (respondIfInvalidDetails(req, res)) return;
+    next();
+};
+
+// Create the File record for an upload and queue its analysis
+const createUploadedFile = async (userId, uploadedFile, details) => {
+    const { reportType, testDate, labName, doctorName, description, tags } = details;
+    const autoFill = isAutoFillEnabled(details);
+
+    const metadataSource = {
+        reportType: reportType ? 'user' : 'pending',
+        testDate: testDate ? 'user' : 'pending',
+        labName: labName ? 'user' : (autoFill ? 'pending' : undefined),
+        doctorName: doctorName ? 'user' : (autoFill ? 'pending' : undefined)
+    };
+
+    // Create file record
+    const file = new File({
+        user: userId,
+        originalName: uploadedFile.originalName,
+        fileName: uploadedFile.fileName,
+        filePath: uploadedFile.filePath,
+        fileType: uploadedFile.fileType,
+        mimeType: uploadedFile.mimeType,
+        fileSize: uploadedFile.fileSize,
+        storageProvider: uploadedFile.storageProvider,
+        resourceType: uploadedFile.resourceType,
+        storageAccess: uploadedFile.storageAccess,
+        contentHash: uploadedFile.contentHash,
+        pages: uploadedFile.pages,
+        // Placeholders until detection replaces them
+        reportType: reportType || 'other',
+        testDate: testDate ? new Date(testDate) : new Date(),
+        labName,
+        doctorName,
+        description,
+        // Comma-separated; normalized by the model
+        tags: tags || [],
+        metadataSource
+    });
+    file.fileUrl = File.getDownloadUrl(file._id);
+
+    await file.save();
+
+    // Queue AI processing; a worker picks it up after the response is sent
+    await enqueueJob('analyze-file', { user: userId, file: file._id });
+
+    return file;
+};
+
+// Response body for a newly uploaded file
+const uploadedFileResponse = (file) => ({
+    success: true,
+    message: 'File uploaded successfully',
+    data: {
+        file: {
+            id: file._id,
+            originalName: file.originalName,
+            fileName: file.fileName,
+            fileUrl: file.fileUrl,
+            fileType: file.fileType,
+            reportType: file.reportType,
+            testDate: file.testDate,
+            labName: file.labName,
+            doctorName: file.doctorName,
+            description: file.description,
+            tags: file.tags,
+            pages: file.toObject().pages,
+            metadataSource: file.metadataSource,
+            isProcessed: file.isProcessed,
+            processingStatus: file.processingStatus,
+            createdAt: file.createdAt
+        }
+    }
+});
+
+// A concurrent upload of the same file won the race
+const isDuplicateUploadError = (error) => error.code === 11000 && error.keyPattern && error.keyPattern.contentHash;
+
+const respondDuplicateUpload = async (req, res, contentHash) => {
+    const existingFile = await File.findOne({
+        user: req.user._id,
+        contentHash
+    }).select('originalName reportType testDate processingStatus aiInsight createdAt');
+
+    res.status(409).json({
+        success: false,
+        code: 'DUPLICATE_FILE',
+        message: 'You have already uploaded this file',
+        data: {
+            file: existingFile,
+            url: existingFile ? `/api/files/${existingFile._id}` : undefined
+        }
+    });
+};
+
+// @route   POST /api/files/upload
+// @desc    Upload medical report; send several 'file' parts for a multi-page report, in page order
+// @access  Private
+router.post('/upload',
+    authenticateToken,
+    upload.array('file', MAX_PAGES),
+    handleUploadError,
+    reportDetailsValidation,
+    checkReportDetails,
+    processAndUpload,
+    async (req, res) => {
+        try {
+            const file = await createUploadedFile(req.user._id, req.uploadedFile, req.body);
+
+            res.status(201).json(uploadedFileResponse(file));
+
+        } catch (error) {
+            if (isDuplicateUploadError(error)) {
+                await deleteStoredPages(req.uploadedFile.pages);
+                return respondDuplicateUpload(req, res, req.uploadedFile.contentHash);
+            }
+
+            console.error('File upload error:', error);
+            res.status(500).json({
+                success: false,
+                message: 'File upload failed',
+                error: process.env.NODE_ENV === 'development' ? error.message : undefined
+            });
+        }
+    }
+);
+
+// Send an error raised by the resumable upload service
+const respondUploadError = (res, error, fallbackMessage) => {
+    if (error instanceof UploadError) {
+        return res.status(error.status).json({
+            success: false,
+            code: error.code,
+            message: error.message,
+            data: error.data
+        });
+    }
+
+    console.error(`${fallbackMessage}:`, error);
+    res.status(500).json({
+        success: false,
+        message: fallbackMessage,
+        error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+};
+
+// Load the user's upload session into req.uploadSession
+const loadUploadSession = async (req, res, next) => {
+    try {
+        req.uploadSession = await getSession(req.params.uploadId, req.user._id);
+
+        if (!req.uploadSession) {
+            return res.status(404).json({
+                success: false,
+                message: 'Upload not found or expired'
+            });
+        }
+
+        next();
+    } catch (error) {
+        console.error('Load upload error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to get upload'
+        });
+    }
+};
+
+// @route   POST /api/files/uploads
+// @desc    Start a resumable upload for a large file
+// @access  Private
+router.post('/uploads', authenticateToken, [
+    body('fileName')
+        .trim()
+        .notEmpty()
+        .isLength({ max: 255 })
+        .withMessage('File name is required'),
+    body('mimeType')
+        .isIn(ALLOWED_MIME_TYPES)
+        .withMessage('Invalid file type. Only PDF and image files are allowed.'),
+    body('totalSize')
+        .isInt({ min: 1 })
+        .withMessage('Total size must be a positive number of bytes'),
+    body('checksum')
+        .isHash('sha256')
+        .withMessage('Checksum must be the SHA-256 of the file, hex encoded'),
+    body('chunkSize')
+        .optional()
+        .isInt({ min: 64 * 1024, max: MAX_CHUNK_SIZE })
+        .withMessage(`Chunk size must be between 64KB and ${MAX_CHUNK_SIZE} bytes`)
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                message: 'Validation failed',
+                errors: errors.array()
+            });
+        }
+
+        const checksum = req.body.checksum.toLowerCase();
+        if (await respondIfDuplicate(req, res, checksum)) return;
+
+        const session = await createSession(req.user._id, {
+            originalName: req.body.fileName,
+            mimeType: req.body.mimeType,
+            totalSize: parseInt(req.body.totalSize),
+            checksum,
+            chunkSize: req.body.chunkSize ? parseInt(req.body.chunkSize) : undefined
+        });
+
+        res.status(201).json({
+            success: true,
+            message: 'Upload started',
+            data: { upload: describeSession(session) }
+        });
+
+    } catch (error) {
+        respondUploadError(res, error, 'Failed to start upload');
+    }
+});
+
+// @route   GET /api/files/uploads/:uploadId
+// @desc    Get a resumable upload's status and the offset to resume from
+// @access  Private
+router.get('/uploads/:uploadId', authenticateToken, loadUploadSession, (req, res) => {
+    res.json({
+        success: true,
+        data: { upload: describeSession(req.uploadSession) }
+    });
+});
+
+// @route   PUT /api/files/uploads/:uploadId/chunks
+// @desc    Upload the next chunk as a raw body. Headers: Upload-Offset (byte offset
+//          of the chunk) and Upload-Checksum (SHA-256 of the chunk, hex encoded).
+// @access  Private
+router.put('/uploads/:uploadId/chunks',
+    authenticateToken,
+    express.raw({ type: () => true, limit: MAX_CHUNK_SIZE }),
+    loadUploadSession,
+    async (req, res) => {
+        try {
+            const offset = Number(req.get('Upload-Offset'));
+            const checksum = (req.get('Upload-Checksum') || '').toLowerCase();
+
+            if (!Number.isInteger(offset) || offset < 0 || !/^[a-f0-9]{64}$/.test(checksum)) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Upload-Offset and Upload-Checksum headers are required'
+                });
+            }
+
+            const data = Buffer.isBuffer(req.body) ? req.body : Buffer.alloc(0);
+            const session = await appendChunk(req.uploadSession, offset, data, checksum);
+
+            res.json({
+                success: true,
+                data: { upload: describeSession(session) }
+            });
+
+        } catch (error) {
+            respondUploadError(res, error, 'Failed to store chunk');
+        }
+    }
+);
+
+// @route   POST /api/files/uploads/:uploadId/complete
+// @desc    Verify a fully received upload and create the file, with the same details as /upload
+// @access  Private
+router.post('/uploads/:uploadId/complete',
+    authenticateToken,
+    loadUploadSession,
+    reportDetailsValidation,
+    async (req, res) => {
+        let session = req.uploadSession;
+        let stored;
+
+        try {
+            if (respondIfInvalidDetails(req, res)) return;
+
+            // Completing again returns the file created the first time
+            if (session.status === 'completed' && session.file) {
+                const file = await File.findById(session.file);
+                if (file) {
+                    return res.status(201).json(uploadedFileResponse(file));
+                }
+            }
+
+            session = await beginCompletion(session);
+            await verifyUpload(session);
+
+            stored = await storeSession(session);
+            const file = await createUploadedFile(req.user._id, toUploadedFile([stored], session.checksum), req.body);
+            await finishSession(session, file._id);
+
+            res.status(201).json(uploadedFileResponse(file));
+
+        } catch (error) {
+            if (stored) {
+                await discardStoredPage(stored);
+            }
+            if (session.status === 'completing') {
+                await reopenSession(session);
+            }
+
+            if (isDuplicateUploadError(error)) {
+                return respondDuplicateUpload(req, res, session.checksum);
+            }
+
+            respondUploadError(res, error, 'Failed to complete upload');
+        }
+    }
+);
+
+// @route   DELETE /api/files/uploads/:uploadId
+// @desc    Cancel a resumable upload and discard received chunks
+// @access  Private
+router.delete('/uploads/:uploadId', authenticateToken, loadUploadSession, async (req, res) => {
+    try {
+        if (req.uploadSession.status === 'completing') {
+            return res.status(409).json({
+                success: false,
+                message: 'Upload is being completed'
+            });
+        }
+
+        await cancelSession(req.uploadSession);
+
+        res.json({
+            success: true,
+            message: 'Upload cancelled'
+        });
+
+    } catch (error) {
+        console.error('Cancel upload error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to cancel upload'
+        });
+    }
+});
+
+// @route   GET /api/files
+// @desc    Get user's files
+// @access  Private
+router.get('/', authenticateToken, async (req, res) => {
+    try {
+        const {
+            page = 1,
+            limit = 10,
+            reportType,
+            sortBy = 'testDate',
+            sortOrder = 'desc',
+            search
+        } = req.query;
+
+        // Ranked full-text search over file details and report contents
+        if (typeof search === 'string' && search.trim()) {
+            const { results, total } = await searchFiles(req.user._id, search.trim(), {
+                reportType,
+                page: parseInt(page) || 1,
+                limit: parseInt(limit) || 10
+            });
+
+            const transformedFiles = results.map(({ file, score, snippets }) => {
+                const fileData = file.toObject();
+                if (fileData.aiInsight) {
+                    fileData.aiInsights = fileData.aiInsight;
+                    delete fileData.aiInsight;
+                }
+                fileData.search = { score, snippets };
+                return fileData;
+            });
+
+            return res.json({
+                success: true,
+                data: {
+                    files: transformedFiles,
+                    pagination: {
+                        current: parseInt(page),
+                        pages: Math.ceil(total / limit),
+                        total
+                    }
+                }
+            });
+        }
+
+        const query = { user: req.user._id };
+
+        // Filter by report type
+        if (reportType) {
+            query.reportType = reportType;
+        }
+
+        const sortOptions = {};
+        sortOptions[sortBy] = sortOrder === 'desc' ? -1 : 1;
+
+        const files = await File.find(query)
+            .populate('aiInsight', 'summary keyFindings recommendations confidence')
+            .sort(sortOptions)
+            .limit(limit * 1)
+            .skip((page - 1) * limit)
+            .select('-filePath'); // Don't expose internal file path
+
+        // Transform files to match frontend expectations
+        const transformedFiles = files.map(file => {
+            const fileData = file.toObject();
+            if (fileData.aiInsight) {
+                fileData.aiInsights = fileData.aiInsight;
+                delete fileData.aiInsight;
+            }
+            return fileData;
+        });
+
+        const total = await File.countDocuments(query);
+
+        res.json({
+            success: true,
+            data: {
+                files: transformedFiles,
+                pagination: {
+                    current: parseInt(page),
+                    pages: Math.ceil(total / limit),
+                    total
+                }
+            }
+        });
+
+    } catch (error) {
+        console.error('Get files error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to get files'
+        });
+    }
+});
+
+// @route   GET /api/files/trash
+// @desc    Get files in the trash
+// @access  Private
+router.get('/trash', authenticateToken, async (req, res) => {
+    try {
+        const files = await File.find({
+            user: req.user._id,
+            deletedAt: { $ne: null }
+        })
+            .sort({ deletedAt: -1 })
+            .select('-filePath');
+
+        res.json({
+            success: true,
+            data: {
+                files: files.map(file => ({
+                    ...file.toObject(),
+                    purgeAt: getPurgeDate(file.deletedAt)
+                })),
+                retentionDays: getRetentionDays()
+            }
+        });
+
+    } catch (error) {
+        console.error('Get trash error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to get trash'
+        });
+    }
+});
+
+// @route   GET /api/files/:id
+// @desc    Get specific file
+// @access  Private
+router.get('/:id', authenticateToken, async (req, res) => {
+    try {
+        const file = await File.findOne({
+            _id: req.params.id,
+            user: req.user._id
+        })
+            .populate('aiInsight');
+
+        if (!file) {
+            return res.status(404).json({
+                success: false,
+                message: 'File not found'
+            });
+        }
+
+        // Transform the data to match frontend expectations
+        const fileData = file.toObject();
+        if (fileData.aiInsight) {
+            fileData.aiInsights = fileData.aiInsight;
+            delete fileData.aiInsight;
+        }
+
+        res.json({
+            success: true,
+            data: { file: fileData }
+        });
+
+    } catch (error) {
+        console.error('Get file error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to get file'
+        });
+    }
+});
+
+// Find a file the user owns, or one shared with them
+const findAccessibleFile = (fileId, userId) => {
+    return File.findOne({
+        _id: fileId,
+        $or: [
+            { user: userId },
+            { isPublic: true },
+            { 'sharedWith.user': userId }
+        ]
+    });
+};
+
+// What a user may do with a file: 'owner', 'download', 'view' or null
+const getFilePermission = (file, userId) => {
+    if (file.user.toString() === userId.toString()) return 'owner';
+
+    // A file can be shared directly and through collections; the broadest share applies
+    const shares = file.sharedWith.filter(entry => entry.user && entry.user.toString() === userId.toString());
+    if (shares.some(share => share.permission === 'download')) return 'download';
+    if (shares.length > 0) return 'view';
+
+    return file.isPublic ? 'view' : null;
+};
+
+// Stream a stored page, or redirect to a short-lived signed URL (mode=redirect)
+const sendPage = async (req, res, page, permission) => {
+    const { mode = 'stream', disposition = 'inline' } = req.query;
+
+    // 'view' shares may open the file in the browser but not save it
+    const attachment = disposition === 'attachment';
+    if (attachment && permission === 'view') {
+        return res.status(403).json({
+            success: false,
+            message: 'You do not have permission to download this file'
+        });
+    }
+
+    const storage = getFileStorage(page);
+    const storageOptions = getStorageOptions(page);
+
+    if (mode === 'redirect') {
+        const signedUrl = await storage.getSignedUrl(page.filePath, {
+            ...storageOptions,
+            attachment,
+            expiresIn: parseInt(process.env.DOWNLOAD_URL_TTL_SECONDS) || 5 * 60
+        });
+
+        res.setHeader('Cache-Control', 'private, no-store');
+        return res.redirect(302, signedUrl);
+    }
+
+    const stream = await storage.getStream(page.filePath, storageOptions);
+
+    res.setHeader('Content-Type', page.mimeType);
+    res.setHeader('Cache-Control', 'private, no-store');
+    res.setHeader(
+        'Content-Disposition',
+        `${attachment ? 'attachment' : 'inline'}; filename*=UTF-8''${encodeURIComponent(page.fileName || page.originalName)}`
+    );
+
+    stream.on('error', (error) => {
+        console.error('Download stream error:', error);
+        res.destroy(error);
+    });
+    stream.pipe(res);
+};
+
+// @route   GET /api/files/:id/download
+// @desc    Stream a file, or redirect to a short-lived signed URL (mode=redirect).
+//          Multi-page reports serve one page at a time (page=N, default 1).
+// @access  Private (owner, or shared with the user)
+router.get('/:id/download', authenticateToken, async (req, res) => {
+    try {
+        const file = await findAccessibleFile(req.params.id, req.user._id);
+        const permission = file && getFilePermission(file, req.user._id);
+
+        if (!file || !permission) {
+            return res.status(404).json({
+                success: false,
+                message: 'File not found'
+            });
+        }
+
+        const page = file.getPages()[(parseInt(req.query.page) || 1) - 1];
+        if (!page) {
+            return res.status(404).json({
+                success: false,
+                message: 'Page not found'
+            });
+        }
+
+        await sendPage(req, res, page, permission);
+
+    } catch (error) {
+        console.error('Download file error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'File download failed'
+        });
+    }
+});
+
+// @route   GET /api/files/:id/preview
+// @desc    Get a JPEG thumbnail of the report's first page, with the same options as /download
+// @access  Private (owner, or shared with the user)
+router.get('/:id/preview', authenticateToken, async (req, res) => {
+    try {
+        const file = await findAccessibleFile(req.params.id, req.user._id);
+        const permission = file && getFilePermission(file, req.user._id);
+
+        if (!file || !permission) {
+            return res.status(404).json({
+                success: false,
+                message: 'File not found'
+            });
+        }
+
+        if (!file.preview || !file.preview.filePath) {
+            return res.status(404).json({
+                success: false,
+                message: file.processingStatus === 'completed' || file.processingStatus === 'failed'
+                    ? 'No preview is available for this file'
+                    : 'Preview is not ready yet',
+                data: {
+                    processingStatus: file.processingStatus
+                }
+            });
+        }
+
+        await sendPage(req, res, file.preview, permission);
+
+    } catch (error) {
+        console.error('Get file preview error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to get file preview'
+        });
+    }
+});
+
+// @route   GET /api/files/:id/versions
+// @desc    List a report's revisions, newest first
+// @access  Private (owner, or shared with the user)
+router.get('/:id/versions', authenticateToken, async (req, res) => {
+    try {
+        const file = await findAccessibleFile(req.params.id, req.user._id)
+            .populate('aiInsight', 'summary confidence fileVersion createdAt')
+            .populate('versions.aiInsight', 'summary confidence fileVersion createdAt');
+        const permission = file && getFilePermission(file, req.user._id);
+
+        if (!file || !permission) {
+            return res.status(404).json({
+                success: false,
+                message: 'File not found'
+            });
+        }
+
+        const describe = (version, pages) => ({
+            number: version.number,
+            note: version.note,
+            originalName: version.originalName,
+            fileType: version.fileType,
+            fileSize: version.fileSize,
+            pageCount: pages.length,
+            uploadedAt: version.uploadedAt,
+            replacedAt: version.replacedAt,
+            isCurrent: version.number === file.currentVersion,
+            // An insight only belongs to a revision if it analyzed that revision
+            aiInsight: version.aiInsight && version.aiInsight.fileVersion === version.number ? version.aiInsight : null,
+            downloadUrl: `/api/files/${file._id}/versions/${version.number}/download`
+        });
+
+        const current = describe({
+            number: file.currentVersion,
+            note: file.versionNote,
+            originalName: file.originalName,
+            fileType: file.fileType,
+            fileSize: file.fileSize,
+            uploadedAt: file.versionUploadedAt || file.createdAt,
+            aiInsight: file.aiInsight
+        }, file.getPages());
+
+        const previous = [...file.versions]
+            .sort((a, b) => b.number - a.number)
+            .map(version => describe(version, version.pages));
+
+        res.json({
+            success: true,
+            data: {
+                currentVersion: file.currentVersion,
+                versions: [current, ...previous]
+            }
+        });
+
+    } catch (error) {
+        console.error('Get file versions error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to get file versions'
+        });
+    }
+});
+
+// @route   GET /api/files/:id/versions/:version/download
+// @desc    Download a page of a specific revision (page=N, default 1), with the same options as /download
+// @access  Private (owner, or shared with the user)
+router.get('/:id/versions/:version/download', authenticateToken, async (req, res) => {
+    try {
+        const file = await findAccessibleFile(req.params.id, req.user._id);
+        const permission = file && getFilePermission(file, req.user._id);
+
+        if (!file || !permission) {
+            return res.status(404).json({
+                success: false,
+                message: 'File not found'
+            });
+        }
+
+        const pages = file.getVersionPages(parseInt(req.params.version));
+        if (!pages) {
+            return res.status(404).json({
+                success: false,
+                message: 'Version not found'
+            });
+        }
+
+        const page = pages[(parseInt(req.query.page) || 1) - 1];
+        if (!page) {
+            return res.status(404).json({
+                success: false,
+                message: 'Page not found'
+            });
+        }
+
+        await sendPage(req, res, page, permission);
+
+    } catch (error) {
+        console.error('Download file version error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'File download failed'
+        });
+    }
+});
+
+// @route   GET /api/files/:id/processing
+// @desc    Get AI processing job status for a file
+// @access  Private
+router.get('/:id/processing', authenticateToken, async (req, res) => {
+    try {
+        const file = await File.findOne({
+            _id: req.params.id,
+            user: req.user._id
+        }).select('processingStatus isProcessed');
+
+        if (!file) {
+            return res.status(404).json({
+                success: false,
+                message: 'File not found'
+            });
+        }
+
+        const job = await Job.findOne({ file: file._id })
+            .sort({ createdAt: -1 })
+            .select('status attempts maxAttempts runAt lastError startedAt completedAt');
+
+        res.json({
+            success: true,
+            data: {
+                processingStatus: file.processingStatus,
+                isProcessed: file.isProcessed,
+                job
+            }
+        });
+
+    } catch (error) {
+        console.error('Get processing status error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to get processing status'
+        });
+    }
+});
+
+// @route   GET /api/files/:id/metadata
+// @desc    Get metadata detected from the report, with confidence and where each field came from
+// @access  Private
+router.get('/:id/metadata', authenticateToken, async (req, res) => {
+    try {
+        const file = await File.findOne({
+            _id: req.params.id,
+            user: req.user._id
+        }).select('reportType testDate labName doctorName metadataSuggestions metadataSource processingStatus');
+
+        if (!file) {
+            return res.status(404).json({
+                success: false,
+                message: 'File not found'
+            });
+        }
+
+        const suggestions = file.metadataSuggestions || {};
+        const fields = {};
+        METADATA_FIELDS.forEach(field => {
+            const suggestion = suggestions[field];
+            fields[field] = {
+                value: file[field],
+                source: file.metadataSource ? file.metadataSource[field] : undefined,
+                suggestion: suggestion && suggestion.value !== undefined && suggestion.value !== null
+                    ? { value: suggestion.value, confidence: suggestion.confidence }
+                    : null
+            };
+        });
+
+        res.json({
+            success: true,
+            data: {
+                fields,
+                detectedAt: suggestions.detectedAt,
+                processingStatus: file.processingStatus
+            }
+        });
+
+    } catch (error) {
+        console.error('Get file metadata error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to get file metadata'
+        });
+    }
+});
+
+// Load a file the user owns for the page endpoints, before any pages are stored
+const loadOwnFile = async (req, res, next) => {
+    try {
+        req.ownFile = await File.findOne({
+            _id: req.params.id,
+            user: req.user._id
+        });
+
+        if (!req.ownFile) {
+            return res.status(404).json({
+                success: false,
+                message: 'File not found'
+            });
+        }
+
+        next();
+    } catch (error) {
+        console.error('Load file error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to get file'
+        });
+    }
+};
 
-const router = express.Router();
+// Re-run analysis after a report's pages change. A run already in progress notices the
+// change and retries with the new pages (see analyzeFile).
+const queueReanalysis = (file) => ensureAnalysisJob({ user: file.user, file: file._id });
 
-// @route   POST /api/files/upload
-// @desc    Upload medical report
+// Save a file whose pages changed, answering 409 if it now matches another report
+const savePageChanges = async (file, res) => {
+    try {
+        await file.save();
+        return true;
+    } catch (error) {
+        if (error.code === 11000 && error.keyPattern && error.keyPattern.contentHash) {
+            res.status(409).json({
+                success: false,
+                code: 'DUPLICATE_FILE',
+                message: 'These pages match a report you have already uploaded'
+            });
+            return false;
+        }
+        throw error;
+    }
+};
+
+const pagesResponse = (file) => ({
+    id: file._id,
+    pages: file.toObject().pages,
+    fileType: file.fileType,
+    fileSize: file.fileSize,
+    processingStatus: file.processingStatus
+});
+
+// @route   POST /api/files/:id/pages
+// @desc    Add pages to a report; 'position' (1-based) inserts them before that page, default is the end
 // @access  Private
-router.post('/upload',
+router.post('/:id/pages',
     authenticateToken,
-    upload.single('file'), // Single file upload
+    loadOwnFile,
+    upload.array('file', MAX_PAGES),
     handleUploadError,
-    processAndUpload,
-    [
-        body('reportType')
-            .isIn(['blood-test', 'urine-test', 'x-ray', 'ct-scan', 'mri', 'ultrasound', 'ecg', 'prescription', 'discharge-summary', 'consultation', 'other'])
-            .withMessage('Invalid report type'),
-        body('testDate')
-            .isISO8601()
-            .withMessage('Invalid test date'),
-        body('labName')
-            .optional()
-            .trim()
-            .isLength({ max: 100 })
-            .withMessage('Lab name too long'),
-        body('doctorName')
-            .optional()
-            .trim()
-            .isLength({ max: 100 })
-            .withMessage('Doctor name too long'),
-        body('description')
-            .optional()
-            .trim()
-            .isLength({ max: 500 })
-            .withMessage('Description too long')
-    ],
+    processAndUploadPages,
     async (req, res) => {
+        const added = req.uploadedPages;
+
         try {
-            // Check validation errors
-            const errors = validationResult(req);
-            if (!errors.isEmpty()) {
+            const file = req.ownFile;
+            const pages = file.ensurePages();
+
+            if (pages.length + added.length > MAX_PAGES) {
+                await deleteStoredPages(added);
                 return res.status(400).json({
                     success: false,
-                    message: 'Validation failed',
-                    errors: errors.array()
+                    message: `A report can have at most ${MAX_PAGES} pages`
                 });
             }
 
-            const { reportType, testDate, labName, doctorName, description, tags } = req.body;
-
-            // Create file record
-            const file = new File({
-                user: req.user._id,
-                originalName: req.uploadedFile.originalName,
-                fileName: req.uploadedFile.fileName,
-                filePath: req.uploadedFile.filePath,
-                fileUrl: req.uploadedFile.fileUrl,
-                fileType: req.uploadedFile.fileType,
-                mimeType: req.uploadedFile.mimeType,
-                fileSize: req.uploadedFile.fileSize,
-                reportType,
-                testDate: new Date(testDate),
-                labName,
-                doctorName,
-                description,
-                tags: tags ? tags.split(',').map(tag => tag.trim()) : []
-            });
+            const position = req.body.position === undefined ? pages.length + 1 : parseInt(req.body.position);
+            if (!Number.isInteger(position) || position < 1 || position > pages.length + 1) {
+                await deleteStoredPages(added);
+                return res.status(400).json({
+                    success: false,
+                    message: `Position must be between 1 and ${pages.length + 1}`
+                });
+            }
 
-            await file.save();
+            pages.splice(position - 1, 0, ...added);
+            file.syncPages();
+
+            if (!(await savePageChanges(file, res))) {
+                await deleteStoredPages(added);
+                return;
+            }
 
-            // Start AI processing in background
-            processAIInsight(file._id, req.uploadedFile.filePath, req.uploadedFile.fileType, reportType, req.user._id);
+            await queueReanalysis(file);
 
             res.status(201).json({
                 success: true,
-                message: 'File uploaded successfully',
-                data: {
-                    file: {
-                        id: file._id,
-                        originalName: file.originalName,
-                        fileName: file.fileName,
-                        fileUrl: file.fileUrl,
-                        fileType: file.fileType,
-                        reportType: file.reportType,
-                        testDate: file.testDate,
-                        labName: file.labName,
-                        doctorName: file.doctorName,
-                        description: file.description,
-                        tags: file.tags,
-                        isProcessed: file.isProcessed,
-                        processingStatus: file.processingStatus,
-                        createdAt: file.createdAt
-                    }
-                }
+                message: `${added.length} page(s) added`,
+                data: { file: pagesResponse(file) }
             });
 
         } catch (error) {
-            console.error('File upload error:', error);
+            console.error('Add pages error:', error);
+            await deleteStoredPages(added);
             res.status(500).json({
                 success: false,
-                message: 'File upload failed',
-                error: process.env.NODE_ENV === 'development' ? error.message : undefined
+                message: 'Failed to add pages'
             });
         }
     }
 );
 
-// @route   GET /api/files
-// @desc    Get user's files
+// @route   PUT /api/files/:id/pages/order
+// @desc    Reorder a report's pages; 'order' lists every page id in the new order
 // @access  Private
-router.get('/', authenticateToken, async (req, res) => {
+router.put('/:id/pages/order', authenticateToken, [
+    body('order')
+        .isArray({ min: 1 })
+        .withMessage('Order must be a list of page ids')
+], loadOwnFile, async (req, res) => {
     try {
-        const {
-            page = 1,
-            limit = 10,
-            reportType,
-            sortBy = 'testDate',
-            sortOrder = 'desc',
-            search
-        } = req.query;
-
-        const query = { user: req.user._id };
-
-        // Filter by report type
-        if (reportType) {
-            query.reportType = reportType;
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                message: 'Validation failed',
+                errors: errors.array()
+            });
         }
 
-        // Search in original name, lab name, doctor name, or description
-        if (search) {
-            query.$or = [
-                { originalName: { $regex: search, $options: 'i' } },
-                { labName: { $regex: search, $options: 'i' } },
-                { doctorName: { $regex: search, $options: 'i' } },
-                { description: { $regex: search, $options: 'i' } }
-            ];
-        }
+        const file = req.ownFile;
+        const order = req.body.order.map(String);
+        const pagesById = new Map(file.pages.map(page => [page._id.toString(), page]));
 
-        const sortOptions = {};
-        sortOptions[sortBy] = sortOrder === 'desc' ? -1 : 1;
+        if (order.length !== pagesById.size || new Set(order).size !== order.length ||
+            !order.every(id => pagesById.has(id))) {
+            return res.status(400).json({
+                success: false,
+                message: 'Order must list each page of the report exactly once'
+            });
+        }
 
-        const files = await File.find(query)
-            .populate('aiInsight', 'summary keyFindings recommendations confidence')
-            .sort(sortOptions)
-            .limit(limit * 1)
-            .skip((page - 1) * limit)
-            .select('-filePath'); // Don't expose internal file path
+        file.pages = order.map(id => pagesById.get(id).toObject({ transform: false }));
+        file.syncPages();
 
-        // Transform files to match frontend expectations
-        const transformedFiles = files.map(file => {
-            const fileData = file.toObject();
-            if (fileData.aiInsight) {
-                fileData.aiInsights = fileData.aiInsight;
-                delete fileData.aiInsight;
-            }
-            return fileData;
-        });
+        if (!(await savePageChanges(file, res))) return;
 
-        const total = await File.countDocuments(query);
+        await queueReanalysis(file);
 
         res.json({
             success: true,
-            data: {
-                files: transformedFiles,
-                pagination: {
-                    current: parseInt(page),
-                    pages: Math.ceil(total / limit),
-                    total
-                }
-            }
+            message: 'Pages reordered',
+            data: { file: pagesResponse(file) }
         });
 
     } catch (error) {
-        console.error('Get files error:', error);
+        console.error('Reorder pages error:', error);
         res.status(500).json({
             success: false,
-            message: 'Failed to get files'
+            message: 'Failed to reorder pages'
         });
     }
 });
 
-// @route   GET /api/files/:id
-// @desc    Get specific file
+// @route   DELETE /api/files/:id/pages/:pageId
+// @desc    Remove a page from a report
 // @access  Private
-router.get('/:id', authenticateToken, async (req, res) => {
+router.delete('/:id/pages/:pageId', authenticateToken, loadOwnFile, async (req, res) => {
     try {
-        const file = await File.findOne({
-            _id: req.params.id,
-            user: req.user._id
-        })
-            .populate('aiInsight');
+        const file = req.ownFile;
+        const page = file.pages.id(req.params.pageId);
 
-        if (!file) {
+        if (!page) {
             return res.status(404).json({
                 success: false,
-                message: 'File not found'
+                message: 'Page not found'
             });
         }
 
-        // Transform the data to match frontend expectations
-        const fileData = file.toObject();
-        if (fileData.aiInsight) {
-            fileData.aiInsights = fileData.aiInsight;
-            delete fileData.aiInsight;
+        if (file.pages.length === 1) {
+            return res.status(400).json({
+                success: false,
+                message: 'A report must keep at least one page. Delete the file instead.'
+            });
         }
 
+        const removed = page.toObject({ transform: false });
+        file.pages.pull(page._id);
+        file.syncPages();
+
+        if (!(await savePageChanges(file, res))) return;
+
+        // The record no longer points at the page, so its asset can go
+        await deleteStoredPages([removed]);
+        await queueReanalysis(file);
+
         res.json({
             success: true,
-            data: { file: fileData }
+            message: 'Page removed',
+            data: { file: pagesResponse(file) }
         });
 
     } catch (error) {
-        console.error('Get file error:', error);
+        console.error('Remove page error:', error);
         res.status(500).json({
             success: false,
-            message: 'Failed to get file'
+            message: 'Failed to remove page'
         });
     }
 });
 
+// @route   POST /api/files/:id/versions
+// @desc    Upload a corrected revision of a report. Earlier revisions and their insights are
+//          kept; tags, notes and other details carry over. Send several 'file' parts for
+//          a multi-page revision.
+// @access  Private
+router.post('/:id/versions',
+    authenticateToken,
+    loadOwnFile,
+    upload.array('file', MAX_PAGES),
+    handleUploadError,
+    processAndUpload,
+    [
+        body('note')
+            .optional()
+            .trim()
+            .isLength({ max: 500 })
+            .withMessage('Version note too long')
+    ],
+    async (req, res) => {
+        // Once the revision is saved, its pages are the file's current pages
+        let saved = false;
+
+        try {
+            const errors = validationResult(req);
+            if (!errors.isEmpty()) {
+                await deleteStoredPages(req.uploadedFile.pages);
+                return res.status(400).json({
+                    success: false,
+                    message: 'Validation failed',
+                    errors: errors.array()
+                });
+            }
+
+            const file = req.ownFile;
+            const uploaded = req.uploadedFile;
+
+            file.archiveCurrentVersion();
+
+            file.pages = uploaded.pages;
+            file.syncPages();
+            file.originalName = uploaded.originalName;
+            file.currentVersion += 1;
+            file.versionNote = req.body.note;
+            file.versionUploadedAt = new Date();
+            // The current insight stays until the new revision's analysis supersedes it
+            file.isProcessed = false;
+            // Stuck-file recovery queues the analysis if it cannot be queued below
+            file.processingStatus = 'pending';
+
+            await file.save();
+            saved = true;
+
+            try {
+                await queueReanalysis(file);
+            } catch (error) {
+                console.error('Queue analysis of file version error:', error);
+            }
+
+            res.status(201).json({
+                success: true,
+                message: `Version ${file.currentVersion} uploaded`,
+                data: {
+                    file: {
+                        id: file._id,
+                        currentVersion: file.currentVersion,
+                        originalName: file.originalName,
+                        fileType: file.fileType,
+                        fileSize: file.fileSize,
+                        pages: file.toObject().pages,
+                        processingStatus: file.processingStatus,
+                        versionsUrl: `/api/files/${file._id}/versions`
+                    }
+                }
+            });
+
+        } catch (error) {
+            if (!saved) {
+                await deleteStoredPages(req.uploadedFile.pages);
+            }
+
+            if (isDuplicateUploadError(error)) {
+                return respondDuplicateUpload(req, res, req.uploadedFile.contentHash);
+            }
+
+            console.error('Upload file version error:', error);
+            res.status(500).json({
+                success: false,
+                message: 'Failed to upload new version'
+            });
+        }
+    }
+);
+
 // @route   PUT /api/files/:id
 // @desc    Update file details
 // @access  Private
@@ -270,11 +1297,14 @@ router.put('/:id', authenticateToken, [
             if (allowedUpdates.includes(key)) {
                 if (key === 'testDate') {
                     updates[key] = new Date(req.body[key]);
-                } else if (key === 'tags') {
-                    updates[key] = req.body[key].split(',').map(tag => tag.trim());
                 } else {
                     updates[key] = req.body[key];
                 }
+
+                // User edits override detected metadata and are never auto-filled again
+                if (METADATA_FIELDS.includes(key)) {
+                    updates[`metadataSource.${key}`] = 'user';
+                }
             }
         });
 
@@ -307,7 +1337,7 @@ router.put('/:id', authenticateToken, [
 });
 
 // @route   DELETE /api/files/:id
-// @desc    Delete file
+// @desc    Move file to the trash
 // @access  Private
 router.delete('/:id', authenticateToken, async (req, res) => {
     try {
@@ -323,27 +1353,92 @@ router.delete('/:id', authenticateToken, async (req, res) => {
             });
         }
 
-        // Delete from Cloudinary
-        const deleteResult = await deleteFromCloudinary(file.filePath);
-        if (!deleteResult.success) {
-            console.warn('Failed to delete from Cloudinary:', deleteResult.error);
+        const deletedAt = await trashFile(file);
+
+        res.json({
+            success: true,
+            message: 'File moved to trash',
+            data: {
+                deletedAt,
+                purgeAt: getPurgeDate(deletedAt)
+            }
+        });
+
+    } catch (error) {
+        console.error('Delete file error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'File deletion failed'
+        });
+    }
+});
+
+// @route   POST /api/files/:id/restore
+// @desc    Restore a file from the trash
+// @access  Private
+router.post('/:id/restore', authenticateToken, async (req, res) => {
+    try {
+        const file = await File.findOne({
+            _id: req.params.id,
+            user: req.user._id,
+            deletedAt: { $ne: null }
+        });
+
+        if (!file) {
+            return res.status(404).json({
+                success: false,
+                message: 'File not found in trash'
+            });
+        }
+
+        await restoreFile(file);
+
+        // Analysis queued before the file was trashed was cancelled
+        if (!file.isProcessed) {
+            await ensureAnalysisJob({ user: req.user._id, file: file._id });
         }
 
-        // Delete AI insight if exists
-        if (file.aiInsight) {
-            await AiInsight.findByIdAndDelete(file.aiInsight);
+        res.json({
+            success: true,
+            message: 'File restored successfully'
+        });
+
+    } catch (error) {
+        console.error('Restore file error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'File restore failed'
+        });
+    }
+});
+
+// @route   DELETE /api/files/trash/:id
+// @desc    Permanently delete a file from the trash
+// @access  Private
+router.delete('/trash/:id', authenticateToken, async (req, res) => {
+    try {
+        const file = await File.findOne({
+            _id: req.params.id,
+            user: req.user._id,
+            deletedAt: { $ne: null }
+        });
+
+        if (!file) {
+            return res.status(404).json({
+                success: false,
+                message: 'File not found in trash'
+            });
         }
 
-        // Delete file record
-        await File.findByIdAndDelete(file._id);
+        await purgeFile(file);
 
         res.json({
             success: true,
-            message: 'File deleted successfully'
+            message: 'File permanently deleted'
         });
 
     } catch (error) {
-        console.error('Delete file error:', error);
+        console.error('Purge file error:', error);
         res.status(500).json({
             success: false,
             message: 'File deletion failed'
@@ -399,152 +1494,4 @@ router.get('/timeline', authenticateToken, async (req, res) => {
     }
 });
 
-// Background AI processing function
-const processAIInsight = async (fileId, filePath, fileType, reportType, userId) => {
-    try {
-        // Update file processing status
-        await File.findByIdAndUpdate(fileId, {
-            processingStatus: 'processing'
-        });
-
-        // Import Gemini analysis function
-        const { analyzeMedicalReport } = require('../config/gemini');
-
-        // Get file data from Cloudinary
-        const file = await File.findById(fileId);
-        if (!file) {
-            throw new Error('File not found');
-        }
-
-        // Prepare data for Gemini analysis
-        let fileData;
-        if (file.fileType === 'image') {
-            try {
-                // For images, we need to download from Cloudinary and convert to base64
-                const https = require('https');
-                const url = require('url');
-
-                console.log(`Downloading image from: ${file.fileUrl}`);
-
-                const fileBuffer = await new Promise((resolve, reject) => {
-                    const parsedUrl = url.parse(file.fileUrl);
-                    const options = {
-                        hostname: parsedUrl.hostname,
-                        port: parsedUrl.port || 443,
-                        path: parsedUrl.path,
-                        method: 'GET',
-                        headers: {
-                            'User-Agent': 'HealthMate/1.0'
-                        }
-                    };
-
-                    const req = https.request(options, (response) => {
-                        if (response.statusCode !== 200) {
-                            reject(new Error(`HTTP ${response.statusCode}: ${response.statusMessage}`));
-                            return;
-                        }
-
-                        const chunks = [];
-                        response.on('data', chunk => chunks.push(chunk));
-                        response.on('end', () => {
-                            const buffer = Buffer.concat(chunks);
-                            console.log(`Downloaded image: ${buffer.length} bytes`);
-                            resolve(buffer);
-                        });
-                        response.on('error', reject);
-                    });
-
-                    req.on('error', reject);
-                    req.setTimeout(30000, () => {
-                        req.destroy();
-                        reject(new Error('Download timeout'));
-                    });
-                    req.end();
-                });
-
-                fileData = fileBuffer;
-            } catch (downloadError) {
-                console.error('Failed to download image:', downloadError);
-                // Fallback to metadata analysis
-                fileData = `Medical Report Analysis Request:
-                File: ${file.originalName}
-                Type: ${fileType}
-                Report Type: ${reportType}
-                Lab: ${file.labName || 'Not specified'}
-                Doctor: ${file.doctorName || 'Not specified'}
-                Date: ${file.testDate}
-                
-                Note: Could not download image for analysis. Please analyze based on metadata.
-                
-                Please analyze this medical report and provide insights.`;
-            }
-        } else {
-            // For text-based files, use metadata
-            fileData = `Medical Report Analysis Request:
-            File: ${file.originalName}
-            Type: ${fileType}
-            Report Type: ${reportType}
-            Lab: ${file.labName || 'Not specified'}
-            Doctor: ${file.doctorName || 'Not specified'}
-            Date: ${file.testDate}
-            
-            Please analyze this medical report and provide insights.`;
-        }
-
-        // Call Gemini for analysis
-        console.log(`Starting Gemini analysis for file ${fileId}...`);
-        console.log(`File data type: ${typeof fileData}, is Buffer: ${Buffer.isBuffer(fileData)}`);
-
-        const geminiResult = await analyzeMedicalReport(fileData, fileType, reportType);
-        console.log('Gemini result:', geminiResult);
-
-        if (!geminiResult.success) {
-            console.error('Gemini analysis failed:', geminiResult.error);
-            // Don't throw error, use fallback response instead
-            console.log('Using fallback response due to Gemini failure');
-        }
-
-        const analysis = geminiResult.data;
-
-        // Create AI insight with Gemini results
-        const aiInsight = new AiInsight({
-            file: fileId,
-            user: userId,
-            rawText: Buffer.isBuffer(fileData) ? `Image file: ${file.originalName}` : fileData,
-            summary: {
-                english: analysis.summary?.english || analysis.summary || 'Analysis completed',
-                urdu: analysis.summary?.urdu || 'Roman Urdu summary not available'
-            },
-            keyFindings: analysis.keyFindings || [],
-            recommendations: analysis.recommendations || { english: [], urdu: [] },
-            doctorQuestions: analysis.doctorQuestions || { english: [], urdu: [] },
-            riskFactors: analysis.riskFactors || [],
-            followUpRequired: analysis.followUpRequired || false,
-            followUpTimeframe: analysis.followUpTimeframe || "1-month",
-            confidence: analysis.confidence || 60,
-            processingTime: geminiResult.processingTime || 0,
-            model: "gemini-1.0-pro"
-        });
-
-        await aiInsight.save();
-
-        // Update file with AI insight
-        await File.findByIdAndUpdate(fileId, {
-            aiInsight: aiInsight._id,
-            isProcessed: true,
-            processingStatus: 'completed'
-        });
-
-        console.log(`AI processing completed for file ${fileId}`);
-
-    } catch (error) {
-        console.error('AI processing error:', error);
-
-        // Update file processing status to failed
-        await File.findByIdAndUpdate(fileId, {
-            processingStatus: 'failed'
-        });
-    }
-};
-
 module.exports = router;
@@ -0,0 +1,98 @@
+const express = require('express');
+const { runPendingJobs } = require('../services/jobQueue');
+const { sweepOrphanedAssets } = require('../services/storageSweeper');
+const { purgeExpiredTrash } = require('../services/trash');
+
+const router = express.Router();
+
+// Only the scheduler may trigger job runs
+const authenticateCron = (req, res, next) => {
+    const secret = process.env.CRON_SECRET;
+    const authHeader = req.headers['authorization'];
+
+    if (!secret || authHeader !== `Bearer ${secret}`) {
+        return res.status(401).json({
+            success: false,
+            message: 'Unauthorized'
+        });
+    }
+
+    next();
+};
+
+// The every-minute schedule in vercel.json needs a Vercel Pro plan or above, since Hobby
+// runs cron jobs at most once a day. On Hobby, call this route every minute from an
+// external scheduler instead, with "Authorization: Bearer <CRON_SECRET>".
+// JOB_RUN_BUDGET_MS must stay below the function's maximum duration.
+
+// @route   GET /api/jobs/run
+// @desc    Process due background jobs (called by Vercel Cron or an external scheduler)
+// @access  Cron
+router.get('/run', authenticateCron, async (req, res) => {
+    try {
+        const processed = await runPendingJobs({
+            budgetMs: parseInt(process.env.JOB_RUN_BUDGET_MS) || 50 * 1000
+        });
+
+        res.json({
+            success: true,
+            data: {
+                processed,
+                count: processed.length
+            }
+        });
+
+    } catch (error) {
+        console.error('Run jobs error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to run jobs'
+        });
+    }
+});
+
+// @route   GET /api/jobs/sweep-storage
+// @desc    Delete stored assets that no File record references (called by Vercel Cron)
+// @access  Cron
+router.get('/sweep-storage', authenticateCron, async (req, res) => {
+    try {
+        const result = await sweepOrphanedAssets({
+            dryRun: req.query.dryRun === 'true'
+        });
+
+        res.json({
+            success: true,
+            data: result
+        });
+
+    } catch (error) {
+        console.error('Storage sweep error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Storage sweep failed'
+        });
+    }
+});
+
+// @route   GET /api/jobs/purge-trash
+// @desc    Permanently delete trash older than the retention period (called by Vercel Cron)
+// @access  Cron
+router.get('/purge-trash', authenticateCron, async (req, res) => {
+    try {
+        const result = await purgeExpiredTrash();
+
+        res.json({
+            success: true,
+            data: result
+        });
+
+    } catch (error) {
+        console.error('Trash purge error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Trash purge failed'
+        });
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,42 @@
+const express = require('express');
+const path = require('path');
+const localStorage = require('../services/storage/localStorage');
+
+const router = express.Router();
+
+// @route   GET /api/storage/local
+// @desc    Serve a file from local storage using a signed, expiring URL
+// @access  Signed URL
+router.get('/local', async (req, res) => {
+    try {
+        const { key, expires, signature } = req.query;
+
+        if (!localStorage.verifySignature(key, expires, signature)) {
+            return res.status(403).json({
+                success: false,
+                message: 'Invalid or expired link'
+            });
+        }
+
+        const stream = await localStorage.getStream(key);
+        res.setHeader('Cache-Control', 'private, no-store');
+        res.type(path.extname(key) || 'application/octet-stream');
+        stream.pipe(res);
+
+    } catch (error) {
+        if (error.code === 'ENOENT') {
+            return res.status(404).json({
+                success: false,
+                message: 'File not found'
+            });
+        }
+
+        console.error('Serve local file error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to serve file'
+        });
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,144 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const { authenticateToken } = require('../middleware/auth');
+const { listTags, renameTag, mergeTags, deleteTag } = require('../services/tags');
+const { normalizeTag } = require('../models/plugins/tags');
+
+const router = express.Router();
+
+const respondIfInvalid = (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        res.status(400).json({
+            success: false,
+            message: 'Validation failed',
+            errors: errors.array()
+        });
+        return true;
+    }
+    return false;
+};
+
+const tagNameValidation = (field) => body(field)
+    .isString()
+    .custom(value => normalizeTag(value).length > 0 && !value.includes(','))
+    .withMessage('Tag names must not be empty or contain commas')
+    .isLength({ max: 50 })
+    .withMessage('Tag names cannot exceed 50 characters');
+
+// @route   GET /api/tags
+// @desc    List the user's tags with how many files and vitals entries use each, most used first
+// @access  Private
+router.get('/', authenticateToken, async (req, res) => {
+    try {
+        const tags = await listTags(req.user._id);
+
+        res.json({
+            success: true,
+            data: { tags }
+        });
+
+    } catch (error) {
+        console.error('Get tags error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to get tags'
+        });
+    }
+});
+
+// @route   POST /api/tags/merge
+// @desc    Merge tags into one: every file and vitals entry tagged with any of 'tags' gets 'into' instead
+// @access  Private
+router.post('/merge', authenticateToken, [
+    body('tags')
+        .isArray({ min: 1 })
+        .withMessage('Tags must be a list of tag names'),
+    body('tags.*')
+        .isString()
+        .withMessage('Tags must be a list of tag names'),
+    tagNameValidation('into')
+], async (req, res) => {
+    try {
+        if (respondIfInvalid(req, res)) return;
+
+        const updated = await mergeTags(req.user._id, req.body.tags, req.body.into);
+
+        res.json({
+            success: true,
+            message: `Tags merged into "${normalizeTag(req.body.into)}"`,
+            data: { tag: normalizeTag(req.body.into), updated }
+        });
+
+    } catch (error) {
+        console.error('Merge tags error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to merge tags'
+        });
+    }
+});
+
+// @route   PUT /api/tags/:tag
+// @desc    Rename a tag on all files and vitals entries; renaming to an existing tag merges them
+// @access  Private
+router.put('/:tag', authenticateToken, [
+    tagNameValidation('name')
+], async (req, res) => {
+    try {
+        if (respondIfInvalid(req, res)) return;
+
+        const updated = await renameTag(req.user._id, req.params.tag, req.body.name);
+
+        if (updated.files === 0 && updated.vitals === 0 && normalizeTag(req.params.tag) !== normalizeTag(req.body.name)) {
+            return res.status(404).json({
+                success: false,
+                message: 'Tag not found'
+            });
+        }
+
+        res.json({
+            success: true,
+            message: 'Tag renamed',
+            data: { tag: normalizeTag(req.body.name), updated }
+        });
+
+    } catch (error) {
+        console.error('Rename tag error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to rename tag'
+        });
+    }
+});
+
+// @route   DELETE /api/tags/:tag
+// @desc    Remove a tag from all files and vitals entries
+// @access  Private
+router.delete('/:tag', authenticateToken, async (req, res) => {
+    try {
+        const updated = await deleteTag(req.user._id, req.params.tag);
+
+        if (updated.files === 0 && updated.vitals === 0) {
+            return res.status(404).json({
+                success: false,
+                message: 'Tag not found'
+            });
+        }
+
+        res.json({
+            success: true,
+            message: 'Tag removed',
+            data: { updated }
+        });
+
+    } catch (error) {
+        console.error('Delete tag error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to remove tag'
+        });
+    }
+});
+
+module.exports = router;
@@ -5,6 +5,8 @@ const File = require('../models/File');
 const Vitals = require('../models/Vitals');
 const AiInsight = require('../models/AiInsight');
 const { authenticateToken } = require('../middleware/auth');
+const { enqueueJob, runJobNow, getActiveJobForUser } = require('../services/jobQueue');
+const { LOCALE_CODES } = require('../config/locales');
 
 const router = express.Router();
 
@@ -44,12 +46,14 @@ router.get('/dashboard', authenticateToken, async (req, res) => {
         });
         const criticalInsights = await AiInsight.countDocuments({
             user: req.user._id,
+            supersededAt: null,
             'keyFindings.status': { $in: ['critical', 'abnormal'] }
         });
 
         // Get upcoming follow-ups
         const followUpInsights = await AiInsight.find({
             user: req.user._id,
+            supersededAt: null,
             followUpRequired: true,
             isReviewed: false
         })
@@ -159,8 +163,15 @@ router.put('/profile', authenticateToken, [
         .withMessage('Invalid emergency contact phone'),
     body('preferences.language')
         .optional()
-        .isIn(['en', 'ur'])
-        .withMessage('Invalid language preference')
+        .isIn(LOCALE_CODES)
+        .withMessage('Invalid language preference'),
+    body('preferences.locales')
+        .optional()
+        .isArray({ max: LOCALE_CODES.length })
+        .withMessage('Locales must be a list'),
+    body('preferences.locales.*')
+        .isIn(LOCALE_CODES)
+        .withMessage('Invalid locale')
 ], async (req, res) => {
     try {
         // Check validation errors
@@ -248,7 +259,7 @@ router.get('/statistics', authenticateToken, async (req, res) => {
 
         // AI insights statistics
         const insightStats = await AiInsight.aggregate([
-            { $match: { user: req.user._id, createdAt: { $gte: daysAgo } } },
+            { $match: { user: req.user._id, supersededAt: null, createdAt: { $gte: daysAgo } } },
             {
                 $group: {
                     _id: null,
@@ -395,11 +406,28 @@ router.delete('/account', authenticateToken, async (req, res) => {
             });
         }
 
-        // Delete all user data
-        await File.deleteMany({ user: req.user._id });
-        await Vitals.deleteMany({ user: req.user._id });
-        await AiInsight.deleteMany({ user: req.user._id });
-        await User.findByIdAndDelete(req.user._id);
+        // Lock the account, then purge stored assets and records as a retryable job
+        await User.updateOne({ _id: user._id }, { deletionRequestedAt: new Date() });
+
+        let job = await getActiveJobForUser(req.user._id, 'delete-account');
+        if (!job) {
+            job = await enqueueJob('delete-account', {
+                user: req.user._id,
+                maxAttempts: 10
+            });
+        }
+
+        const { error, unclaimed } = job.status === 'queued'
+            ? await runJobNow(job._id)
+            : { error: new Error('Deletion already in progress') };
+
+        if (error || unclaimed) {
+            // The queue keeps retrying from where this run stopped
+            return res.status(202).json({
+                success: true,
+                message: 'Account deletion is in progress and will complete shortly'
+            });
+        }
 
         res.json({
             success: true,
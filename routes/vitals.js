@@ -2,7 +2,9 @@ const express = require('express');
 const { body, validationResult } = require('express-validator');
 const Vitals = require('../models/Vitals');
 const { authenticateToken } = require('../middleware/auth');
-const { analyzeVitals } = require('../config/gemini');
+const { analyzeVitals } = require('../services/aiAnalysis');
+const { getUserLocales } = require('../config/locales');
+const { trashVitals, restoreVitals, getPurgeDate, getRetentionDays } = require('../services/trash');
 
 const router = express.Router();
 
@@ -202,6 +204,36 @@ router.get('/trends', authenticateToken, async (req, res) => {
     }
 });
 
+// @route   GET /api/vitals/trash
+// @desc    Get vitals in the trash
+// @access  Private
+router.get('/trash', authenticateToken, async (req, res) => {
+    try {
+        const vitals = await Vitals.find({
+            user: req.user._id,
+            deletedAt: { $ne: null }
+        }).sort({ deletedAt: -1 });
+
+        res.json({
+            success: true,
+            data: {
+                vitals: vitals.map(vital => ({
+                    ...vital.toObject(),
+                    purgeAt: getPurgeDate(vital.deletedAt)
+                })),
+                retentionDays: getRetentionDays()
+            }
+        });
+
+    } catch (error) {
+        console.error('Get vitals trash error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to get trash'
+        });
+    }
+});
+
 // @route   GET /api/vitals/:id
 // @desc    Get specific vitals
 // @access  Private
@@ -362,11 +394,11 @@ router.put('/:id', authenticateToken, [
 });
 
 // @route   DELETE /api/vitals/:id
-// @desc    Delete vitals
+// @desc    Move vitals to the trash
 // @access  Private
 router.delete('/:id', authenticateToken, async (req, res) => {
     try {
-        const vitals = await Vitals.findOneAndDelete({
+        const vitals = await Vitals.findOne({
             _id: req.params.id,
             user: req.user._id
         });
@@ -378,9 +410,11 @@ router.delete('/:id', authenticateToken, async (req, res) => {
             });
         }
 
+        await trashVitals(vitals);
+
         res.json({
             success: true,
-            message: 'Vitals deleted successfully'
+            message: 'Vitals moved to trash'
         });
 
     } catch (error) {
@@ -392,6 +426,72 @@ router.delete('/:id', authenticateToken, async (req, res) => {
     }
 });
 
+// @route   POST /api/vitals/:id/restore
+// @desc    Restore vitals from the trash
+// @access  Private
+router.post('/:id/restore', authenticateToken, async (req, res) => {
+    try {
+        const vitals = await Vitals.findOne({
+            _id: req.params.id,
+            user: req.user._id,
+            deletedAt: { $ne: null }
+        });
+
+        if (!vitals) {
+            return res.status(404).json({
+                success: false,
+                message: 'Vitals not found in trash'
+            });
+        }
+
+        await restoreVitals(vitals);
+
+        res.json({
+            success: true,
+            message: 'Vitals restored successfully'
+        });
+
+    } catch (error) {
+        console.error('Restore vitals error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Vitals restore failed'
+        });
+    }
+});
+
+// @route   DELETE /api/vitals/trash/:id
+// @desc    Permanently delete vitals from the trash
+// @access  Private
+router.delete('/trash/:id', authenticateToken, async (req, res) => {
+    try {
+        const vitals = await Vitals.findOneAndDelete({
+            _id: req.params.id,
+            user: req.user._id,
+            deletedAt: { $ne: null }
+        });
+
+        if (!vitals) {
+            return res.status(404).json({
+                success: false,
+                message: 'Vitals not found in trash'
+            });
+        }
+
+        res.json({
+            success: true,
+            message: 'Vitals permanently deleted'
+        });
+
+    } catch (error) {
+        console.error('Purge vitals error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Vitals deletion failed'
+        });
+    }
+});
+
 // @route   GET /api/vitals/charts/:type
 // @desc    Get vitals data for charts
 // @access  Private
@@ -566,7 +666,7 @@ router.get('/summary', authenticateToken, async (req, res) => {
         // Get AI insights if available
         let aiInsights = null;
         try {
-            const aiResult = await analyzeVitals(stats);
+            const aiResult = await analyzeVitals(stats, { locales: getUserLocales(req.user) });
             if (aiResult.success) {
                 aiInsights = aiResult.data;
             }
@@ -0,0 +1,66 @@
+// Move Cloudinary assets uploaded before private storage to the authenticated delivery type,
+// so their old public URLs stop working.
+// Usage: node scripts/make-assets-private.js
+const mongoose = require('mongoose');
+require('dotenv').config();
+
+const File = require('../models/File');
+const { cloudinary } = require('../config/cloudinary');
+const { getResourceType } = require('../services/storage');
+
+// Cloudinary assets stored before private storage; older records have no provider or access
+const publicAsset = { storageProvider: { $in: ['cloudinary', null] }, storageAccess: { $ne: 'private' } };
+
+const isPublicAsset = (page) => (!page.storageProvider || page.storageProvider === 'cloudinary') && page.storageAccess !== 'private';
+
+const run = async () => {
+    await mongoose.connect(process.env.MONGODB_URI);
+
+    // Files in the trash too, since they can be restored, and every page of every revision
+    const files = await File.find({
+        $or: [
+            publicAsset,
+            { pages: { $elemMatch: publicAsset } },
+            { 'versions.pages': { $elemMatch: publicAsset } }
+        ]
+    }).setOptions({ withDeleted: true });
+
+    console.log(`Found ${files.length} file(s) with public assets`);
+
+    let migrated = 0;
+    for (const file of files) {
+        // Starts with the current pages; an older single-file record's page is the file itself
+        const pages = file.getAllPages();
+
+        for (const page of pages.filter(isPublicAsset)) {
+            try {
+                await cloudinary.uploader.rename(page.filePath, page.filePath, {
+                    resource_type: getResourceType(page),
+                    type: 'upload',
+                    to_type: 'authenticated'
+                });
+
+                page.storageAccess = 'private';
+                migrated++;
+            } catch (error) {
+                console.error(`Failed to migrate ${page.filePath} of ${file._id}:`, error.message || error);
+            }
+        }
+
+        // The file's own storage fields mirror its first page
+        file.storageAccess = pages[0].storageAccess;
+        try {
+            await file.save();
+        } catch (error) {
+            console.error(`Failed to save ${file._id}:`, error.message || error);
+        }
+    }
+
+    console.log(`✅ Made ${migrated} asset(s) private`);
+    await mongoose.disconnect();
+};
+
+run().catch(error => {
+    console.error('❌ Migration failed:', error);
+    process.exit(1);
+});
@@ -0,0 +1,64 @@
+// Move AI insight text from { english, urdu } to locale maps ({ en, 'ur-Latn' }), give users
+// the default locales, and rebuild the search index on the English summary.
+// Safe to run more than once.
+// Usage: node scripts/migrate-locales.js
+const mongoose = require('mongoose');
+require('dotenv').config();
+
+const AiInsight = require('../models/AiInsight');
+const User = require('../models/User');
+const { DEFAULT_LOCALES, LEGACY_KEYS } = require('../config/locales');
+const { findLocalizedPaths } = require('../services/translation');
+
+const getPath = (object, path) => path.split('.').reduce((value, key) => (value == null ? undefined : value[key]), object);
+
+const run = async () => {
+    await mongoose.connect(process.env.MONGODB_URI);
+
+    // Raw documents, since the old shape no longer matches the model
+    const insights = AiInsight.collection.find({});
+    let migrated = 0;
+    for await (const insight of insights) {
+        const update = {};
+        findLocalizedPaths(insight).forEach(path => {
+            const text = getPath(insight, path);
+            if (!Object.keys(text).some(key => LEGACY_KEYS[key])) return;
+
+            update[path] = Object.fromEntries(
+                Object.entries(text).map(([key, value]) => [LEGACY_KEYS[key] || key, value])
+            );
+        });
+
+        if (Object.keys(update).length > 0) {
+            await AiInsight.collection.updateOne({ _id: insight._id }, { $set: update });
+            migrated++;
+        }
+    }
+    console.log(`Converted ${migrated} insight(s)`);
+
+    const language = await User.collection.updateMany(
+        { 'preferences.language': 'ur' },
+        { $set: { 'preferences.language': 'ur-Latn' } }
+    );
+    const locales = await User.collection.updateMany(
+        { 'preferences.locales': { $exists: false } },
+        { $set: { 'preferences.locales': DEFAULT_LOCALES } }
+    );
+    console.log(`Updated language of ${language.modifiedCount} user(s), locales of ${locales.modifiedCount}`);
+
+    // The text index covered summary.english
+    try {
+        await AiInsight.collection.dropIndex('insight_text_search');
+    } catch (error) {
+        if (error.codeName !== 'IndexNotFound' && error.codeName !== 'NamespaceNotFound') throw error;
+    }
+    await AiInsight.syncIndexes();
+
+    console.log('✅ Locale migration complete');
+    await mongoose.disconnect();
+};
+
+run().catch(error => {
+    console.error('❌ Migration failed:', error);
+    process.exit(1);
+});
@@ -0,0 +1,86 @@
+const User = require('../models/User');
+const File = require('../models/File');
+const Vitals = require('../models/Vitals');
+const AiInsight = require('../models/AiInsight');
+const Job = require('../models/Job');
+const UploadSession = require('../models/UploadSession');
+const UploadChunk = require('../models/UploadChunk');
+const Collection = require('../models/Collection');
+const ChatSession = require('../models/ChatSession');
+const ChatMessage = require('../models/ChatMessage');
+const { getStorage, getDefaultProvider } = require('./storage');
+const { purgeFile } = require('./trash');
+
+// Files are removed in batches so a large vault does not load into memory at once
+const BATCH_SIZE = 50;
+
+// Delete any assets left under the user's storage folder, in every configured backend
+const purgeUserFolder = async (userId, providers) => {
+    for (const provider of providers) {
+        const storage = getStorage(provider);
+        const assets = await storage.list(`healthmate/${userId}/`);
+
+        for (const asset of assets) {
+            const result = await storage.delete(asset.key, asset);
+            if (!result.success) {
+                throw new Error(`Failed to delete asset ${asset.key}: ${result.error || 'unknown error'}`);
+            }
+        }
+    }
+};
+
+// Remove every stored asset and record belonging to a user. Safe to re-run after a failure.
+const purgeAccount = async (userId) => {
+    // Files from before storage backends were configurable have no provider and live in Cloudinary
+    const fileProviders = await File.distinct('storageProvider', { user: userId })
+        .setOptions({ withDeleted: true });
+    const pageProviders = await File.distinct('pages.storageProvider', { user: userId })
+        .setOptions({ withDeleted: true });
+    const versionProviders = await File.distinct('versions.pages.storageProvider', { user: userId })
+        .setOptions({ withDeleted: true });
+    const previewProviders = await File.distinct('preview.storageProvider', { user: userId })
+        .setOptions({ withDeleted: true });
+    const providers = new Set(
+        [...fileProviders, ...pageProviders, ...versionProviders].map(provider => provider || 'cloudinary')
+    );
+    previewProviders.forEach(provider => providers.add(provider));
+    providers.add(getDefaultProvider());
+
+    let files;
+    do {
+        // Include files in the trash
+        files = await File.find({ user: userId })
+            .setOptions({ withDeleted: true })
+            .limit(BATCH_SIZE);
+        for (const file of files) {
+            await purgeFile(file);
+        }
+    } while (files.length === BATCH_SIZE);
+
+    await purgeUserFolder(userId, [...providers]);
+
+    // The user's collections, and their access to what others shared with them
+    await Collection.deleteMany({ user: userId });
+    await Collection.updateMany({ 'sharedWith.user': userId }, { $pull: { sharedWith: { user: userId } } });
+    await File.updateMany({ 'sharedWith.user': userId }, { $pull: { sharedWith: { user: userId } } })
+        .setOptions({ withDeleted: true });
+
+    await Vitals.deleteMany({ user: userId });
+    await AiInsight.deleteMany({ user: userId });
+    await ChatMessage.deleteMany({ user: userId });
+    await ChatSession.deleteMany({ user: userId });
+    await Job.deleteMany({ user: userId, type: { $ne: 'delete-account' } });
+
+    // Unfinished resumable uploads
+    const sessionIds = await UploadSession.distinct('_id', { user: userId });
+    await UploadChunk.deleteMany({ session: { $in: sessionIds } });
+    await UploadSession.deleteMany({ user: userId });
+
+    await User.deleteOne({ _id: userId });
+
+    console.log(`Account ${userId} and all data deleted`);
+};
+
+module.exports = {
+    purgeAccount
+};
@@ -0,0 +1,219 @@
+const { generate, generateJson } = require('./llm');
+const { extractJson } = require('./llm/validation');
+const { getTemplate } = require('./reportTemplates');
+const { LOCALES, DEFAULT_LOCALES } = require('../config/locales');
+
+// Determine an image's MIME type from its file signature
+const detectImageMimeType = (image) => {
+    const signature = image.toString('hex', 0, 4);
+    if (signature.startsWith('8950')) return 'image/png';
+    if (signature.startsWith('4749')) return 'image/gif';
+    if (signature.startsWith('424d')) return 'image/bmp';
+    return 'image/jpeg'; // default
+};
+
+// Response for a validated analysis from generateJson(), mapped into AiInsight fields
+const analysisResult = (result, template, startTime) => ({
+    success: true,
+    data: template.toInsight(result.data),
+    template: template.name,
+    processingTime: Date.now() - startTime,
+    provider: result.provider,
+    model: result.model,
+    repairs: result.repairs,
+    attempts: result.attempts
+});
+
+// Analyze medical report. options.locales lists the locales to write text in; options.signal
+// aborts the analysis; options.onDelta receives the response text as it streams and
+// options.onRetry each re-prompt (see generateJson).
+const analyzeMedicalReport = async (fileData, fileType, reportType, options = {}) => {
+    const startTime = Date.now();
+    const { locales = DEFAULT_LOCALES, signal, onDelta, onRetry } = options;
+    try {
+
+        // Prompt and output schema for the report type
+        const template = getTemplate(reportType);
+        const prompt = template.buildPrompt({ fileType, reportType, locales });
+
+        // For images, we'll use the multimodal capabilities
+        if (fileType === 'image') {
+            // Multi-page reports arrive as one Buffer per page, in order
+            const images = Array.isArray(fileData) ? fileData : [fileData];
+
+            // Ensure we have Buffers
+            if (!images.every(image => Buffer.isBuffer(image))) {
+                throw new Error('Image data must be a Buffer');
+            }
+
+            const imageParts = images.map(image => {
+                const mimeType = detectImageMimeType(image);
+                console.log(`Sending image to model: ${image.length} bytes, MIME: ${mimeType}`);
+                return { data: image, mimeType };
+            });
+
+            // Give the model the OCR transcript as well, so small print is not misread
+            let imagePrompt = images.length > 1
+                ? `${prompt}\n\nThe report has ${images.length} pages, attached in order. Analyze them together as one report.`
+                : prompt;
+            if (options.extractedText) {
+                imagePrompt += `\n\nOCR transcript of the image (may contain recognition errors):\n${options.extractedText}`;
+            }
+
+            try {
+                const result = await generateJson('report-analysis', template.schema, {
+                    prompt: imagePrompt,
+                    images: imageParts,
+                    signal,
+                    onDelta,
+                    onRetry
+                });
+                console.log(`${result.provider} response received:`, result.text.substring(0, 200) + '...');
+
+                return analysisResult(result, template, startTime);
+            } catch (modelError) {
+                console.error('LLM API error:', modelError);
+                throw new Error(`LLM API failed: ${modelError.message}`);
+            }
+        } else {
+            // For PDFs, fileData is the text extracted from the document
+            const result = await generateJson('report-analysis', template.schema, {
+                prompt: `${prompt}\n${fileData}`,
+                signal,
+                onDelta,
+                onRetry
+            });
+
+            return analysisResult(result, template, startTime);
+        }
+    } catch (error) {
+        // An aborted analysis has no one waiting for a fallback
+        if (signal && signal.aborted) throw error;
+        console.error('AI analysis error:', error);
+
+        // Return a fallback response if the model fails
+        const fallbackResponse = {
+            summary: {
+                'en': "AI analysis temporarily unavailable. Please consult your healthcare provider for detailed analysis.",
+                'ur-Latn': "AI analysis abhi available nahi hai. Detailed analysis ke liye apne doctor se consult karein."
+            },
+            keyFindings: [],
+            recommendations: {
+                'en': ["Consult with your healthcare provider for detailed analysis"],
+                'ur-Latn': ["Detailed analysis ke liye apne doctor se consult karein"]
+            },
+            doctorQuestions: {
+                'en': ["What do these results mean?", "Do I need any follow-up tests?"],
+                'ur-Latn': ["Ye results ka matlab kya hai?", "Kya mujhe koi follow-up tests chahiye?"]
+            },
+            riskFactors: [],
+            followUpRequired: true,
+            followUpTimeframe: "1-month",
+            confidence: 30
+        };
+
+        return {
+            success: true, // Return success with fallback data
+            data: fallbackResponse,
+            processingTime: Date.now() - startTime,
+            fallback: true,
+            error: error.message
+        };
+    }
+};
+
+// Parse a model response and extract JSON
+const parseModelResponse = (text) => {
+    try {
+        // Try to extract JSON from the response
+        const parsed = extractJson(text);
+        if (parsed) {
+            return parsed;
+        }
+
+        // If no JSON found, create a structured response
+        return {
+            summary: {
+                'en': text.substring(0, 500) + "...",
+                'ur-Latn': "Report ka summary Roman Urdu mein translate karna hai"
+            },
+            keyFindings: [],
+            recommendations: {
+                'en': ["Consult with your doctor for detailed analysis"],
+                'ur-Latn': ["Apne doctor se detailed analysis ke liye consult karein"]
+            },
+            doctorQuestions: {
+                'en': ["What do these results mean for my health?"],
+                'ur-Latn': ["Ye results mere health ke liye kya matlab hai?"]
+            },
+            riskFactors: [],
+            followUpRequired: true,
+            followUpTimeframe: "1-month",
+            confidence: 60
+        };
+    } catch (error) {
+        console.error('JSON parsing error:', error);
+        return {
+            summary: {
+                'en': "Unable to parse report. Please consult your doctor.",
+                'ur-Latn': "Report parse nahi kar sakte. Doctor se consult karein."
+            },
+            keyFindings: [],
+            recommendations: {
+                'en': ["Consult with your doctor"],
+                'ur-Latn': ["Doctor se consult karein"]
+            },
+            doctorQuestions: {
+                'en': ["Please explain these results"],
+                'ur-Latn': ["In results ki explanation dijiye"]
+            },
+            riskFactors: [],
+            followUpRequired: true,
+            followUpTimeframe: "1-month",
+            confidence: 30
+        };
+    }
+};
+
+// Generate health insights from vitals, with recommendations in each of the given locales
+const analyzeVitals = async (vitalsData, { locales = DEFAULT_LOCALES } = {}) => {
+    try {
+        const recommendations = JSON.stringify(Object.fromEntries(
+            locales.map(locale => [locale, [`Recommendation 1, in ${LOCALES[locale].prompt}`]])
+        ));
+        const prompt = `Analyze the following health vitals and provide insights:
+
+    Vitals Data: ${JSON.stringify(vitalsData)}
+
+    Provide analysis in this JSON format:
+    {
+      "overallHealth": "excellent|good|fair|poor",
+      "alerts": ["Alert 1", "Alert 2"],
+      "trends": {
+        "bloodPressure": "improving|stable|worsening",
+        "bloodSugar": "improving|stable|worsening",
+        "weight": "improving|stable|worsening"
+      },
+      "recommendations": ${recommendations},
+      "nextCheckup": "suggested timeframe"
+    }`;
+
+        const result = await generate('vitals-analysis', { prompt });
+
+        return {
+            success: true,
+            data: parseModelResponse(result.text)
+        };
+    } catch (error) {
+        console.error('Vitals analysis error:', error);
+        return {
+            success: false,
+            error: error.message
+        };
+    }
+};
+
+module.exports = {
+    analyzeMedicalReport,
+    analyzeVitals
+};
@@ -0,0 +1,221 @@
+const mongoose = require('mongoose');
+const Collection = require('../models/Collection');
+const File = require('../models/File');
+const Vitals = require('../models/Vitals');
+const AiInsight = require('../models/AiInsight');
+
+// What a user may do with a collection: 'owner', 'download', 'view' or null
+const getCollectionPermission = (collection, userId) => {
+    if (collection.user.toString() === userId.toString()) return 'owner';
+
+    const share = collection.sharedWith.find(entry => entry.user && entry.user.toString() === userId.toString());
+    return share ? share.permission : null;
+};
+
+// Find a collection the user owns or that was shared with them
+const findAccessibleCollection = (collectionId, userId) => {
+    return Collection.findOne({
+        _id: collectionId,
+        $or: [
+            { user: userId },
+            { 'sharedWith.user': userId }
+        ]
+    });
+};
+
+// Sharing a collection shares each of its reports. The file shares are tagged with the
+// collection and rebuilt whenever its reports or shares change, so they never drift.
+const syncCollectionShares = async (collection) => {
+    await File.updateMany(
+        { 'sharedWith.sourceCollection': collection._id },
+        { $pull: { sharedWith: { sourceCollection: collection._id } } }
+    ).setOptions({ withDeleted: true });
+
+    const fileIds = collection.getItemIds('file');
+    if (collection.sharedWith.length === 0 || fileIds.length === 0) return;
+
+    await File.updateMany(
+        { _id: { $in: fileIds }, user: collection.user },
+        {
+            $push: {
+                sharedWith: {
+                    $each: collection.sharedWith.map(share => ({
+                        user: share.user,
+                        permission: share.permission,
+                        sourceCollection: collection._id,
+                        sharedAt: share.sharedAt
+                    }))
+                }
+            }
+        }
+    ).setOptions({ withDeleted: true });
+};
+
+// Remove the file shares a deleted collection granted
+const unshareCollection = (collectionId) => {
+    return File.updateMany(
+        { 'sharedWith.sourceCollection': collectionId },
+        { $pull: { sharedWith: { sourceCollection: collectionId } } }
+    ).setOptions({ withDeleted: true });
+};
+
+// Fields of a report shown in a collection. Collections are shared, so the owner's own
+// shares, content hashes, version history and metadata suggestions are left out.
+const COLLECTION_FILE_FIELDS = [
+    'originalName', 'fileType', 'mimeType', 'fileSize', 'reportType', 'testDate', 'labName', 'doctorName',
+    'description', 'tags', 'currentVersion', 'isProcessed', 'processingStatus', 'aiInsight', 'createdAt', 'updatedAt',
+    'pages.originalName', 'pages.fileType', 'pages.mimeType', 'pages.fileSize', 'pages.addedAt',
+    // Only used to tell whether there is a preview; the path itself is never sent
+    'preview.filePath'
+].join(' ');
+
+// Load the reports and vitals a collection refers to, keyed by id. Trashed items are left out.
+const loadItemRecords = async (collection) => {
+    const [files, vitals] = await Promise.all([
+        File.find({ _id: { $in: collection.getItemIds('file') }, user: collection.user })
+            .populate('aiInsight', 'summary keyFindings confidence')
+            .select(COLLECTION_FILE_FIELDS),
+        Vitals.find({ _id: { $in: collection.getItemIds('vitals') }, user: collection.user })
+    ]);
+
+    return {
+        files: new Map(files.map(file => [file._id.toString(), file])),
+        vitals: new Map(vitals.map(entry => [entry._id.toString(), entry]))
+    };
+};
+
+// Items in their arranged order with their records attached. Items whose report or
+// reading is in the trash or gone are skipped.
+const resolveItems = (collection, records) => {
+    return collection.items.map(item => {
+        const base = { id: item._id, kind: item.kind, addedAt: item.addedAt };
+
+        if (item.kind === 'file') {
+            const file = item.file && records.files.get(item.file.toString());
+            return file ? { ...base, date: file.testDate, file } : null;
+        }
+        if (item.kind === 'vitals') {
+            const vitals = item.vitals && records.vitals.get(item.vitals.toString());
+            return vitals ? { ...base, date: vitals.date, vitals } : null;
+        }
+        return { ...base, date: item.note.date || item.addedAt, note: item.note };
+    }).filter(Boolean);
+};
+
+// Cover of a collection: counts, the span of dates it covers, report types and a cover report
+const buildCoverSummary = (collection, items) => {
+    const files = items.filter(item => item.kind === 'file').map(item => item.file);
+    const dates = items.map(item => item.date).filter(Boolean).map(date => new Date(date).getTime());
+
+    const reportTypes = {};
+    files.forEach(file => {
+        reportTypes[file.reportType] = (reportTypes[file.reportType] || 0) + 1;
+    });
+
+    const abnormalFindings = files.reduce((count, file) => {
+        const findings = (file.aiInsight && file.aiInsight.keyFindings) || [];
+        return count + findings.filter(finding => ['abnormal', 'critical'].includes(finding.status)).length;
+    }, 0);
+
+    const cover = (collection.coverFile && files.find(file => file._id.equals(collection.coverFile))) || files[0];
+
+    return {
+        fileCount: files.length,
+        vitalsCount: items.filter(item => item.kind === 'vitals').length,
+        noteCount: items.filter(item => item.kind === 'note').length,
+        startDate: collection.startDate || (dates.length ? new Date(Math.min(...dates)) : null),
+        endDate: collection.endDate || (dates.length ? new Date(Math.max(...dates)) : null),
+        reportTypes,
+        abnormalFindings,
+        coverFile: cover ? {
+            id: cover._id,
+            originalName: cover.originalName,
+            reportType: cover.reportType,
+            testDate: cover.testDate,
+            fileUrl: File.getDownloadUrl(cover._id),
+            previewUrl: cover.preview && cover.preview.filePath ? `/api/files/${cover._id}/preview` : null
+        } : null
+    };
+};
+
+// Statistics over a collection's reports, readings and insights, in the shape of /api/users/statistics
+const getCollectionStatistics = async (collection) => {
+    const fileIds = collection.getItemIds('file').map(id => new mongoose.Types.ObjectId(id));
+    const vitalsIds = collection.getItemIds('vitals').map(id => new mongoose.Types.ObjectId(id));
+
+    const [fileStats, vitalsStats, insightStats, monthlyTrends] = await Promise.all([
+        File.aggregate([
+            { $match: { _id: { $in: fileIds }, user: collection.user } },
+            {
+                $group: {
+                    _id: '$reportType',
+                    count: { $sum: 1 }
+                }
+            }
+        ]),
+        Vitals.aggregate([
+            { $match: { _id: { $in: vitalsIds }, user: collection.user } },
+            {
+                $group: {
+                    _id: null,
+                    totalEntries: { $sum: 1 },
+                    avgWeight: { $avg: '$weight.value' },
+                    avgSystolic: { $avg: '$bloodPressure.systolic' },
+                    avgDiastolic: { $avg: '$bloodPressure.diastolic' },
+                    avgFastingSugar: { $avg: '$bloodSugar.fasting' },
+                    avgHeartRate: { $avg: '$heartRate.value' }
+                }
+            }
+        ]),
+        AiInsight.aggregate([
+            { $match: { file: { $in: fileIds }, user: collection.user, supersededAt: null } },
+            {
+                $group: {
+                    _id: null,
+                    totalInsights: { $sum: 1 },
+                    avgConfidence: { $avg: '$confidence' },
+                    criticalCount: {
+                        $sum: {
+                            $cond: [
+                                { $gt: [{ $size: { $filter: { input: '$keyFindings', cond: { $in: ['$$this.status', ['critical', 'abnormal']] } } } }, 0] },
+                                1,
+                                0
+                            ]
+                        }
+                    }
+                }
+            }
+        ]),
+        File.aggregate([
+            { $match: { _id: { $in: fileIds }, user: collection.user } },
+            {
+                $group: {
+                    _id: {
+                        year: { $year: '$testDate' },
+                        month: { $month: '$testDate' }
+                    },
+                    count: { $sum: 1 }
+                }
+            },
+            { $sort: { '_id.year': 1, '_id.month': 1 } }
+        ])
+    ]);
+
+    return {
+        fileStats,
+        vitalsStats: vitalsStats[0] || null,
+        insightStats: insightStats[0] || null,
+        monthlyTrends
+    };
+};
+
+module.exports = {
+    getCollectionPermission,
+    findAccessibleCollection,
+    syncCollectionShares,
+    unshareCollection,
+    loadItemRecords,
+    resolveItems,
+    buildCoverSummary,
+    getCollectionStatistics
+};
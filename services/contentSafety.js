@@ -0,0 +1,207 @@
+const zlib = require('zlib');
+const UploadError = require('./uploadError');
+
+// File signatures of the types we accept. PDFs may have junk before the header,
+// so the PDF signature is searched for in the first kilobyte.
+const SIGNATURES = [
+    { mimeType: 'image/jpeg', test: (head) => head[0] === 0xff && head[1] === 0xd8 && head[2] === 0xff },
+    { mimeType: 'image/png', test: (head) => head.subarray(0, 8).equals(Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a])) },
+    { mimeType: 'image/gif', test: (head) => ['GIF87a', 'GIF89a'].includes(head.toString('latin1', 0, 6)) },
+    { mimeType: 'image/webp', test: (head) => head.toString('latin1', 0, 4) === 'RIFF' && head.toString('latin1', 8, 12) === 'WEBP' },
+    { mimeType: 'image/tiff', test: (head) => ['II*\0', 'MM\0*'].includes(head.toString('latin1', 0, 4)) },
+    { mimeType: 'image/bmp', test: (head) => head.toString('latin1', 0, 2) === 'BM' },
+    { mimeType: 'application/pdf', test: (head) => head.toString('latin1', 0, 1024).includes('%PDF-') }
+];
+
+// Bytes needed from the start of a file to recognise it
+const SNIFF_BYTES = 1024;
+
+// Compressed PDF streams larger than this are page images, not object streams
+// that could hide actions, and are not inflated
+const MAX_INSPECTED_STREAM_BYTES = 5 * 1024 * 1024;
+const MAX_INFLATED_BYTES = 20 * 1024 * 1024;
+
+// PDF name tokens we reject; '#xx' escapes are decoded before matching
+const ENCRYPT_PATTERN = /\/Encrypt(?![A-Za-z0-9])/;
+const JAVASCRIPT_PATTERN = /\/(?:JavaScript|JS)(?![A-Za-z0-9])/;
+
+const STREAM_KEYWORD = 'stream';
+const STREAM_END = 'endstream';
+// Kept from the end of each write so tokens split across chunks are still seen
+const CARRY_BYTES = 32;
+
+// Treat 'image/jpg' as the JPEG type it stands for
+const normalizeMimeType = (mimeType) => (mimeType === 'image/jpg' ? 'image/jpeg' : mimeType);
+
+// Detect a file's type from its leading bytes, or null when it is not a type we accept
+const sniffMimeType = (buffer) => {
+    const head = buffer.subarray(0, SNIFF_BYTES);
+    const match = SIGNATURES.find(signature => signature.test(head));
+    return match ? match.mimeType : null;
+};
+
+// Reject content whose signature doesn't match the type the client claimed
+const assertContentType = (buffer, claimedMimeType) => {
+    const detected = sniffMimeType(buffer);
+
+    if (!detected) {
+        throw new UploadError(415, 'UNSUPPORTED_CONTENT', 'File content is not a PDF or a supported image');
+    }
+    if (detected !== normalizeMimeType(claimedMimeType)) {
+        throw new UploadError(415, 'CONTENT_TYPE_MISMATCH', `File content is ${detected} but was uploaded as ${claimedMimeType}`, {
+            claimed: claimedMimeType,
+            detected
+        });
+    }
+
+    return detected;
+};
+
+// Find the next 'stream' keyword that starts a stream's data, from an offset, without
+// converting the buffer to text. Returns the keyword's index and where the data begins,
+// or null when there is none yet; a keyword whose end of line hasn't arrived counts as none.
+const findStreamStart = (buffer, from) => {
+    let index = buffer.indexOf(STREAM_KEYWORD, from, 'latin1');
+    while (index !== -1) {
+        const after = index + STREAM_KEYWORD.length;
+        // The 'stream' in 'endstream' closes a stream rather than opening one
+        if (index < 3 || buffer.toString('latin1', index - 3, index) !== 'end') {
+            if (buffer[after] === 0x0a) return { index, dataStart: after + 1 };
+            if (buffer[after] === 0x0d) {
+                if (after + 1 >= buffer.length) return null;
+                return { index, dataStart: buffer[after + 1] === 0x0a ? after + 2 : after + 1 };
+            }
+            if (after >= buffer.length) return null;
+        }
+        index = buffer.indexOf(STREAM_KEYWORD, index + 1, 'latin1');
+    }
+    return null;
+};
+
+// Whether data starts with a zlib header, as Flate-compressed PDF streams do. Checked
+// before inflating so other streams don't each pay for a zlib error.
+const hasZlibHeader = (data) => data.length >= 2 && (data[0] & 0x0f) === 8 && (data[0] >> 4) <= 7 && data.readUInt16BE(0) % 31 === 0;
+
+const decodeNameEscapes = (text) => text.replace(/#([0-9a-fA-F]{2})/g, (match, hex) => String.fromCharCode(parseInt(hex, 16)));
+
+// Scan a PDF for encryption and JavaScript, one chunk at a time, so large uploads
+// don't have to be held in memory. Compressed streams are inflated to catch actions
+// hidden in object streams.
+class PdfScanner {
+    constructor() {
+        this.pending = Buffer.alloc(0);
+        this.inStream = false;
+        this.streamParts = [];
+        this.streamBytes = 0;
+        this.encrypted = false;
+        this.javascript = false;
+    }
+
+    scanText(buffer) {
+        const text = decodeNameEscapes(buffer.toString('latin1'));
+        if (ENCRYPT_PATTERN.test(text)) this.encrypted = true;
+        if (JAVASCRIPT_PATTERN.test(text)) this.javascript = true;
+    }
+
+    addStreamData(buffer) {
+        this.streamBytes += buffer.length;
+        if (this.streamBytes <= MAX_INSPECTED_STREAM_BYTES) {
+            this.streamParts.push(buffer);
+        }
+    }
+
+    finishStream() {
+        const data = this.streamBytes <= MAX_INSPECTED_STREAM_BYTES ? Buffer.concat(this.streamParts) : null;
+        if (data && hasZlibHeader(data)) {
+            try {
+                const inflated = zlib.inflateSync(data, { maxOutputLength: MAX_INFLATED_BYTES });
+                if (JAVASCRIPT_PATTERN.test(decodeNameEscapes(inflated.toString('latin1')))) {
+                    this.javascript = true;
+                }
+            } catch (error) {
+                // Not Flate-compressed, or an image codec; raw stream bytes carry no actions
+            }
+        }
+
+        this.inStream = false;
+        this.streamParts = [];
+        this.streamBytes = 0;
+    }
+
+    write(chunk) {
+        const buffer = this.pending.length > 0 ? Buffer.concat([this.pending, chunk]) : chunk;
+        // Start of the bytes not yet consumed; each search runs from here, so every byte
+        // is looked at a bounded number of times however many streams the PDF has
+        let offset = 0;
+
+        for (;;) {
+            if (this.inStream) {
+                const end = buffer.indexOf(STREAM_END, offset, 'latin1');
+                if (end === -1) {
+                    // Keep enough to recognise an 'endstream' split across writes
+                    const keep = Math.max(offset, buffer.length - STREAM_END.length);
+                    this.addStreamData(buffer.subarray(offset, keep));
+                    this.pending = buffer.subarray(keep);
+                    return;
+                }
+
+                this.addStreamData(buffer.subarray(offset, end));
+                this.finishStream();
+                offset = end + STREAM_END.length;
+                continue;
+            }
+
+            const start = findStreamStart(buffer, offset);
+            if (!start) {
+                this.scanText(buffer.subarray(offset));
+                this.pending = buffer.subarray(Math.max(offset, buffer.length - CARRY_BYTES));
+                return;
+            }
+
+            this.scanText(buffer.subarray(offset, start.index));
+            this.inStream = true;
+            offset = start.dataStart;
+        }
+    }
+
+    // Finish scanning and throw if the PDF must be rejected
+    end() {
+        if (this.inStream) {
+            this.finishStream();
+        } else {
+            this.scanText(this.pending);
+        }
+
+        if (this.encrypted) {
+            throw new UploadError(422, 'PDF_ENCRYPTED', 'Encrypted or password-protected PDFs are not accepted. Please upload an unprotected copy.');
+        }
+        if (this.javascript) {
+            throw new UploadError(422, 'PDF_ACTIVE_CONTENT', 'PDFs containing JavaScript are not accepted');
+        }
+    }
+}
+
+// Check a whole PDF held in memory
+const assertSafePdf = (buffer) => {
+    const scanner = new PdfScanner();
+    scanner.write(buffer);
+    scanner.end();
+};
+
+// Check an uploaded file's real type and, for PDFs, its contents
+const inspectUpload = (buffer, claimedMimeType) => {
+    const detected = assertContentType(buffer, claimedMimeType);
+    if (detected === 'application/pdf') {
+        assertSafePdf(buffer);
+    }
+    return detected;
+};
+
+module.exports = {
+    SNIFF_BYTES,
+    PdfScanner,
+    sniffMimeType,
+    assertContentType,
+    assertSafePdf,
+    inspectUpload
+};
@@ -0,0 +1,47 @@
+// Server-Sent Events over an Express response. Each event is sent as
+//   event: <name>
+//   data: <JSON>
+// The returned signal aborts when the client disconnects before the stream ends,
+// so the work behind it can stop.
+
+// Comment lines keep proxies from closing an idle stream while the model thinks
+const HEARTBEAT_MS = 15 * 1000;
+
+const openEventStream = (req, res) => {
+    res.status(200).set({
+        'Content-Type': 'text/event-stream; charset=utf-8',
+        'Cache-Control': 'no-cache, no-transform',
+        'Connection': 'keep-alive',
+        // Disable response buffering in nginx
+        'X-Accel-Buffering': 'no'
+    });
+    res.flushHeaders();
+
+    const controller = new AbortController();
+    const heartbeat = setInterval(() => res.write(': keep-alive\n\n'), HEARTBEAT_MS);
+
+    res.on('close', () => {
+        clearInterval(heartbeat);
+        if (!res.writableEnded) {
+            controller.abort(new Error('Client disconnected'));
+        }
+    });
+
+    const isOpen = () => !res.writableEnded && !controller.signal.aborted;
+
+    return {
+        signal: controller.signal,
+        send(event, data) {
+            if (!isOpen()) return;
+            res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+        },
+        end() {
+            clearInterval(heartbeat);
+            if (isOpen()) res.end();
+        }
+    };
+};
+
+module.exports = {
+    openEventStream
+};
@@ -0,0 +1,244 @@
+const AiInsight = require('../models/AiInsight');
+const Vitals = require('../models/Vitals');
+const ChatSession = require('../models/ChatSession');
+const ChatMessage = require('../models/ChatMessage');
+const { generate } = require('./llm');
+const { LOCALES, BASE_LOCALE, getDisplayLocale } = require('../config/locales');
+
+// How much of the user's data goes into each prompt
+const MAX_INSIGHTS = 5;
+const MAX_FINDINGS = 10;
+const MAX_VITALS = 10;
+// Earlier messages of the conversation sent with each new question
+const HISTORY_LIMIT = 20;
+
+const DISCLAIMER = 'This is AI-generated information for educational purposes only. Always consult with your healthcare provider for medical advice.';
+
+const formatDate = (date) => (date ? new Date(date).toISOString().split('T')[0] : 'unknown date');
+
+const getAge = (dateOfBirth) => {
+    const today = new Date();
+    const birth = new Date(dateOfBirth);
+    let age = today.getFullYear() - birth.getFullYear();
+    if (today < new Date(today.getFullYear(), birth.getMonth(), birth.getDate())) age--;
+    return age;
+};
+
+// Abnormal findings first, so they survive the cut
+const STATUS_ORDER = { critical: 0, abnormal: 1, high: 2, low: 3, normal: 4 };
+
+const describeInsight = (insight) => {
+    const findings = [...insight.keyFindings]
+        .sort((a, b) => (STATUS_ORDER[a.status] ?? 5) - (STATUS_ORDER[b.status] ?? 5))
+        .slice(0, MAX_FINDINGS)
+        .map(finding => {
+            const value = finding.unit ? `${finding.value} ${finding.unit}` : finding.value;
+            const range = finding.normalRange ? `, normal range ${finding.normalRange}` : '';
+            return `${finding.parameter}: ${value} (${finding.status}${range})`;
+        });
+
+    const file = insight.file;
+    const lines = [
+        `${file.reportType} report "${file.originalName}" from ${formatDate(file.testDate || insight.createdAt)}.`,
+        `Summary: ${insight.summary.get(BASE_LOCALE)}`
+    ];
+    if (findings.length > 0) lines.push(`Findings: ${findings.join('; ')}`);
+    if (insight.imaging && insight.imaging.impression && insight.imaging.impression.get(BASE_LOCALE)) {
+        lines.push(`Impression: ${insight.imaging.impression.get(BASE_LOCALE)}`);
+    }
+    if (insight.ecg && insight.ecg.interpretation && insight.ecg.interpretation.get(BASE_LOCALE)) {
+        lines.push(`Interpretation: ${insight.ecg.interpretation.get(BASE_LOCALE)}`);
+    }
+    if (insight.prescription && insight.prescription.medications.length > 0) {
+        const medications = insight.prescription.medications
+            .map(medication => [medication.name, medication.strength, medication.frequency, medication.duration].filter(Boolean).join(' '));
+        lines.push(`Medications: ${medications.join('; ')}`);
+    }
+    return lines.join('\n');
+};
+
+const describeVitals = (vitals) => {
+    const readings = [];
+    if (vitals.bloodPressure && vitals.bloodPressure.systolic) {
+        readings.push(`blood pressure ${vitals.bloodPressure.systolic}/${vitals.bloodPressure.diastolic} ${vitals.bloodPressure.unit}`);
+    }
+    if (vitals.heartRate && vitals.heartRate.value) readings.push(`heart rate ${vitals.heartRate.value} ${vitals.heartRate.unit}`);
+    if (vitals.bloodSugar) {
+        ['fasting', 'postPrandial', 'random'].forEach(kind => {
+            if (vitals.bloodSugar[kind]) readings.push(`${kind} blood sugar ${vitals.bloodSugar[kind]} ${vitals.bloodSugar.unit}`);
+        });
+    }
+    if (vitals.weight && vitals.weight.value) readings.push(`weight ${vitals.weight.value} ${vitals.weight.unit}`);
+    if (vitals.temperature && vitals.temperature.value) readings.push(`temperature ${vitals.temperature.value} ${vitals.temperature.unit}`);
+    if (vitals.oxygenSaturation && vitals.oxygenSaturation.value) readings.push(`oxygen saturation ${vitals.oxygenSaturation.value}${vitals.oxygenSaturation.unit}`);
+    if (vitals.respiratoryRate && vitals.respiratoryRate.value) readings.push(`respiratory rate ${vitals.respiratoryRate.value} ${vitals.respiratoryRate.unit}`);
+
+    const alerts = vitals.checkNormalRanges();
+    let text = `Vitals reading from ${formatDate(vitals.date)}: ${readings.join(', ') || 'no measurements'}.`;
+    if (vitals.symptoms && vitals.symptoms.length > 0) text += ` Symptoms: ${vitals.symptoms.join(', ')}.`;
+    if (alerts.length > 0) text += ` Alerts: ${alerts.join(', ')}.`;
+    return text;
+};
+
+// The user's data the assistant may draw on, as sources numbered from 1 in order.
+// Each source carries the text given to the model and the citation stored if it is used.
+const buildChatContext = async (user) => {
+    const sources = [];
+
+    const profile = [];
+    if (user.dateOfBirth) profile.push(`age ${getAge(user.dateOfBirth)}`);
+    if (user.gender) profile.push(`gender ${user.gender}`);
+    if (user.bloodGroup) profile.push(`blood group ${user.bloodGroup}`);
+    if (profile.length > 0) {
+        sources.push({ kind: 'profile', label: 'Profile', text: `Patient profile: ${profile.join(', ')}.` });
+    }
+
+    const insights = await AiInsight.find({ user: user._id, supersededAt: null })
+        .select('-rawText -pages')
+        .populate('file', 'originalName reportType testDate')
+        .sort({ createdAt: -1 })
+        .limit(MAX_INSIGHTS);
+
+    // Reports in the trash are not populated
+    insights.filter(insight => insight.file).forEach(insight => {
+        sources.push({
+            kind: 'file',
+            file: insight.file._id,
+            insight: insight._id,
+            label: insight.file.originalName,
+            date: insight.file.testDate || insight.createdAt,
+            text: describeInsight(insight)
+        });
+    });
+
+    const readings = await Vitals.find({ user: user._id })
+        .sort({ date: -1 })
+        .limit(MAX_VITALS);
+
+    readings.forEach(vitals => {
+        sources.push({
+            kind: 'vitals',
+            vitals: vitals._id,
+            label: `Vitals ${formatDate(vitals.date)}`,
+            date: vitals.date,
+            text: describeVitals(vitals)
+        });
+    });
+
+    return sources;
+};
+
+const buildPrompt = ({ sources, history, message, locale }) => {
+    const context = sources.length > 0
+        ? sources.map((source, index) => `[${index + 1}] ${source.text}`).join('\n\n')
+        : 'The patient has no reports, vitals or profile details on record yet.';
+
+    const conversation = history
+        .map(entry => `${entry.role === 'user' ? 'Patient' : 'Assistant'}: ${entry.content}`)
+        .join('\n\n');
+
+    return `You are HealthMate, a health assistant helping a patient understand their own medical records.
+
+Patient records, numbered as sources:
+${context}
+
+Guidelines:
+1. Base your answer on the records above, and cite each one you use by its number in square brackets, e.g. [2].
+2. If the records do not answer the question, say so instead of guessing, and do not invent values.
+3. Use simple, clear language and keep the answer short.
+4. Do not diagnose or prescribe. Suggest seeing a doctor when values are abnormal or symptoms are concerning.
+5. Reply in ${LOCALES[locale].prompt}.
+${conversation ? `\nConversation so far:\n${conversation}\n` : ''}
+Patient: ${message}
+
+Assistant:`;
+};
+
+// Sources cited in a reply as [n] or [n, m]
+const extractCitations = (reply, sources) => {
+    const numbers = new Set();
+    for (const match of reply.matchAll(/\[(\d+(?:\s*,\s*\d+)*)\]/g)) {
+        match[1].split(',').forEach(number => numbers.add(parseInt(number)));
+    }
+
+    return [...numbers]
+        .filter(number => number >= 1 && number <= sources.length)
+        .sort((a, b) => a - b)
+        .map(number => {
+            const { text, ...citation } = sources[number - 1];
+            return { source: number, ...citation };
+        });
+};
+
+const makeTitle = (message) => (message.length > 60 ? `${message.substring(0, 57).trim()}...` : message);
+
+// Answer a message, starting a new conversation unless one is given. For streaming,
+// onProgress({ stage }) reports each step and onDelta receives the reply as it is written.
+// Nothing is stored when the model fails or the signal aborts, so the question can simply
+// be asked again.
+const sendChatMessage = async (user, message, session = null, { signal, onProgress = () => {}, onDelta } = {}) => {
+    onProgress({ stage: 'loading-context' });
+    const history = session
+        ? (await ChatMessage.find({ session: session._id })
+            .sort({ _id: -1 })
+            .limit(HISTORY_LIMIT)).reverse()
+        : [];
+
+    const sources = await buildChatContext(user);
+    const prompt = buildPrompt({
+        sources,
+        history,
+        message,
+        locale: getDisplayLocale(user)
+    });
+
+    if (signal) signal.throwIfAborted();
+    onProgress({ stage: 'generating' });
+    const result = await generate('health-chat', { prompt, signal, onDelta });
+    const reply = result.text.trim();
+    if (!reply) {
+        throw new Error(`${result.provider} returned an empty reply`);
+    }
+
+    if (signal) signal.throwIfAborted();
+    onProgress({ stage: 'saving' });
+
+    if (!session) {
+        session = await ChatSession.create({ user: user._id, title: makeTitle(message) });
+    }
+
+    const userMessage = await ChatMessage.create({
+        session: session._id,
+        user: user._id,
+        role: 'user',
+        content: message
+    });
+    const assistantMessage = await ChatMessage.create({
+        session: session._id,
+        user: user._id,
+        role: 'assistant',
+        content: reply,
+        citations: extractCitations(reply, sources),
+        provider: result.provider,
+        model: result.model,
+        usage: result.usage
+    });
+
+    session.messageCount += 2;
+    session.lastMessageAt = assistantMessage.createdAt;
+    await session.save();
+
+    return { session, userMessage, assistantMessage };
+};
+
+const deleteChatSession = async (session) => {
+    await ChatMessage.deleteMany({ session: session._id });
+    await session.deleteOne();
+};
+
+module.exports = {
+    DISCLAIMER,
+    buildChatContext,
+    sendChatMessage,
+    deleteChatSession
+};
@@ -0,0 +1,378 @@
+const os = require('os');
+const Job = require('../models/Job');
+const File = require('../models/File');
+const { analyzeFile } = require('./reportProcessor');
+const { purgeAccount } = require('./accountDeletion');
+
+// How long a claimed job is leased to a worker before others may take it over
+const LEASE_MS = parseInt(process.env.JOB_LEASE_MS) || 10 * 60 * 1000;
+// Retry delays grow as BACKOFF_BASE_MS * 2^(attempt - 1), capped at BACKOFF_MAX_MS
+const BACKOFF_BASE_MS = parseInt(process.env.JOB_BACKOFF_BASE_MS) || 30 * 1000;
+const BACKOFF_MAX_MS = parseInt(process.env.JOB_BACKOFF_MAX_MS) || 60 * 60 * 1000;
+const MAX_ATTEMPTS = parseInt(process.env.JOB_MAX_ATTEMPTS) || 5;
+// Time a job is expected to take; a run stops claiming jobs when less than this is left
+const JOB_ESTIMATE_MS = parseInt(process.env.JOB_ESTIMATE_MS) || 30 * 1000;
+
+// Job handlers by type. options come from runJobNow() for jobs run on demand.
+const handlers = {
+    'analyze-file': (job, options) => analyzeFile(job.file, options),
+    'delete-account': (job) => purgeAccount(job.user)
+};
+
+// File processing status that mirrors each job state
+const fileStatusForJob = {
+    queued: 'pending',
+    running: 'processing',
+    completed: 'completed',
+    dead: 'failed'
+};
+
+const defaultWorkerId = () => `${os.hostname()}:${process.pid}`;
+
+// Keep a file's processingStatus in step with its analysis job
+const syncFileStatus = async (job) => {
+    if (!job.file) return;
+
+    if (job.status === 'cancelled') {
+        // A cancelled re-analysis leaves the file's current insight in place
+        const file = await File.findById(job.file).select('aiInsight');
+        if (file) {
+            file.processingStatus = file.aiInsight ? 'completed' : 'failed';
+            await file.save();
+        }
+        return;
+    }
+
+    await File.findByIdAndUpdate(job.file, {
+        processingStatus: fileStatusForJob[job.status]
+    });
+};
+
+// Compute the delay before the next retry of a job
+const getBackoffDelay = (attempts) => {
+    return Math.min(BACKOFF_BASE_MS * Math.pow(2, Math.max(attempts - 1, 0)), BACKOFF_MAX_MS);
+};
+
+// Find a queued or running job of a type for a user
+const getActiveJobForUser = (userId, type) => {
+    return Job.findOne({
+        user: userId,
+        type,
+        status: { $in: ['queued', 'running'] }
+    });
+};
+
+// Find a queued or running job for a file
+const getActiveJobForFile = (fileId) => {
+    return Job.findOne({
+        file: fileId,
+        status: { $in: ['queued', 'running'] }
+    });
+};
+
+// Error from enqueueJob() when the file already has a queued or running job
+const isActiveJobConflict = (error) => error.code === 11000 && Boolean(error.keyPattern && error.keyPattern.file);
+
+// Add a job to the queue
+const enqueueJob = async (type, { user, file, payload = {}, maxAttempts = MAX_ATTEMPTS, runAt = new Date() } = {}) => {
+    if (!handlers[type]) {
+        throw new Error(`Unknown job type: ${type}`);
+    }
+
+    const job = await Job.create({ type, user, file, payload, maxAttempts, runAt });
+    await syncFileStatus(job);
+
+    return job;
+};
+
+// Queue analysis of a file unless a job for it is already queued or running.
+// Resolves with the new job, or null when there was one.
+const ensureAnalysisJob = async ({ user, file }) => {
+    try {
+        return await enqueueJob('analyze-file', { user, file });
+    } catch (error) {
+        if (isActiveJobConflict(error)) return null;
+        throw error;
+    }
+};
+
+// Atomically claim the next due job, including running jobs whose lease has expired
+const claimNextJob = async (workerId = defaultWorkerId()) => {
+    const now = new Date();
+
+    const job = await Job.findOneAndUpdate(
+        {
+            $or: [
+                { status: 'queued', runAt: { $lte: now } },
+                { status: 'running', lockedUntil: { $lt: now } }
+            ],
+            $expr: { $lt: ['$attempts', '$maxAttempts'] }
+        },
+        {
+            $set: {
+                status: 'running',
+                lockedBy: workerId,
+                lockedUntil: new Date(now.getTime() + LEASE_MS),
+                startedAt: now
+            },
+            $inc: { attempts: 1 }
+        },
+        { sort: { runAt: 1 }, new: true }
+    );
+
+    if (job) {
+        await syncFileStatus(job);
+    }
+
+    return job;
+};
+
+// Extend the lease on a job the worker still holds
+const extendLease = (job, workerId) => {
+    return Job.updateOne(
+        { _id: job._id, status: 'running', lockedBy: workerId },
+        { lockedUntil: new Date(Date.now() + LEASE_MS) }
+    );
+};
+
+// Mark a job as completed
+const completeJob = async (job, workerId) => {
+    const updated = await Job.findOneAndUpdate(
+        { _id: job._id, lockedBy: workerId },
+        {
+            status: 'completed',
+            completedAt: new Date(),
+            lockedBy: null,
+            lockedUntil: null
+        },
+        { new: true }
+    );
+
+    if (updated) {
+        await syncFileStatus(updated);
+    }
+
+    return updated;
+};
+
+// Record a failed attempt and schedule a retry, or dead-letter the job when out of attempts
+const failJob = async (job, workerId, error) => {
+    const isDead = job.attempts >= job.maxAttempts;
+
+    const updated = await Job.findOneAndUpdate(
+        { _id: job._id, lockedBy: workerId },
+        {
+            $set: {
+                status: isDead ? 'dead' : 'queued',
+                runAt: isDead ? job.runAt : new Date(Date.now() + getBackoffDelay(job.attempts)),
+                lastError: error.message,
+                lockedBy: null,
+                lockedUntil: null
+            },
+            $push: {
+                failures: { attempt: job.attempts, message: error.message }
+            }
+        },
+        { new: true }
+    );
+
+    if (updated) {
+        await syncFileStatus(updated);
+    }
+
+    return updated;
+};
+
+// Stop a job for good without counting it as a failure, e.g. when the client running it
+// on demand disconnected
+const cancelJob = async (job, workerId, reason) => {
+    const updated = await Job.findOneAndUpdate(
+        { _id: job._id, lockedBy: workerId },
+        {
+            status: 'cancelled',
+            completedAt: new Date(),
+            lastError: reason,
+            lockedBy: null,
+            lockedUntil: null
+        },
+        { new: true }
+    );
+
+    if (updated) {
+        await syncFileStatus(updated);
+    }
+
+    return updated;
+};
+
+// Dead-letter jobs whose worker died on their final attempt, and re-queue
+// files left in 'processing' with no job tracking them
+const recoverStuckJobs = async () => {
+    const now = new Date();
+
+    const exhausted = await Job.find({
+        status: 'running',
+        lockedUntil: { $lt: now },
+        $expr: { $gte: ['$attempts', '$maxAttempts'] }
+    });
+
+    for (const job of exhausted) {
+        job.status = 'dead';
+        job.lastError = job.lastError || 'Worker lease expired';
+        job.lockedBy = null;
+        job.lockedUntil = null;
+        await job.save();
+        await syncFileStatus(job);
+    }
+
+    const staleFiles = await File.find({
+        processingStatus: { $in: ['pending', 'processing'] },
+        updatedAt: { $lt: new Date(now.getTime() - LEASE_MS) }
+    }).select('_id user');
+
+    let requeued = 0;
+    for (const file of staleFiles) {
+        if (await ensureAnalysisJob({ user: file.user, file: file._id })) {
+            requeued++;
+        }
+    }
+
+    return { deadLettered: exhausted.length, requeued };
+};
+
+// Claim a specific queued job, e.g. to run it inline for an on-demand request
+const claimJob = async (jobId, workerId = defaultWorkerId()) => {
+    const now = new Date();
+
+    const job = await Job.findOneAndUpdate(
+        { _id: jobId, status: 'queued' },
+        {
+            $set: {
+                status: 'running',
+                lockedBy: workerId,
+                lockedUntil: new Date(now.getTime() + LEASE_MS),
+                startedAt: now
+            },
+            $inc: { attempts: 1 }
+        },
+        { new: true }
+    );
+
+    if (job) {
+        await syncFileStatus(job);
+    }
+
+    return job;
+};
+
+// Run a claimed job, holding its lease until the handler settles.
+// Resolves with the updated job and the handler's result or error. A job whose
+// options.signal aborted is cancelled rather than retried.
+const executeJob = async (job, workerId, options = {}) => {
+    const heartbeat = setInterval(() => {
+        extendLease(job, workerId).catch(error => {
+            console.error('Job lease extension error:', error);
+        });
+    }, Math.floor(LEASE_MS / 3));
+
+    try {
+        console.log(`Running job ${job._id} (${job.type}), attempt ${job.attempts}/${job.maxAttempts}`);
+        const result = await handlers[job.type](job, options);
+        return { job: await completeJob(job, workerId), result };
+    } catch (error) {
+        if (options.signal && options.signal.aborted) {
+            console.log(`Job ${job._id} cancelled: ${error.message}`);
+            return { job: await cancelJob(job, workerId, 'Cancelled: client disconnected'), error, cancelled: true };
+        }
+        console.error(`Job ${job._id} failed:`, error);
+        return { job: await failJob(job, workerId, error), error };
+    } finally {
+        clearInterval(heartbeat);
+    }
+};
+
+// Claim and run a single job, returning it, or null when the queue is empty
+const runNextJob = async (workerId = defaultWorkerId()) => {
+    const job = await claimNextJob(workerId);
+    if (!job) return null;
+
+    const { job: updated } = await executeJob(job, workerId);
+    return updated;
+};
+
+// Claim and run a specific job in the current request. Other options (signal,
+// onProgress, onDelta) are passed to the handler. When a worker claimed the job first,
+// resolves with the job and unclaimed set instead; it runs in the background.
+const runJobNow = async (jobId, { workerId = defaultWorkerId(), ...options } = {}) => {
+    const job = await claimJob(jobId, workerId);
+    if (!job) {
+        return { job: await Job.findById(jobId), unclaimed: true };
+    }
+
+    return executeJob(job, workerId, options);
+};
+
+// Run due jobs until the queue is empty or too little of the time budget is left to
+// finish another. A job is expected to take estimateMs, or as long as the slowest so far.
+const runPendingJobs = async ({
+    budgetMs = 50 * 1000,
+    estimateMs = JOB_ESTIMATE_MS,
+    workerId = defaultWorkerId()
+} = {}) => {
+    const deadline = Date.now() + budgetMs;
+    const processed = [];
+    let expectedMs = estimateMs;
+
+    await recoverStuckJobs();
+
+    while (deadline - Date.now() >= expectedMs) {
+        const started = Date.now();
+        const job = await runNextJob(workerId);
+        if (!job) break;
+        processed.push({ id: job._id, type: job.type, status: job.status });
+        expectedMs = Math.max(expectedMs, Date.now() - started);
+    }
+
+    return processed;
+};
+
+// Poll the queue from a long-running process. Returns a function that stops the worker.
+const startWorker = ({ intervalMs = parseInt(process.env.JOB_POLL_INTERVAL_MS) || 5000 } = {}) => {
+    const workerId = defaultWorkerId();
+    let busy = false;
+
+    const timer = setInterval(async () => {
+        if (busy) return;
+        busy = true;
+        try {
+            await runPendingJobs({ budgetMs: intervalMs * 10, workerId });
+        } catch (error) {
+            console.error('Job worker error:', error);
+        } finally {
+            busy = false;
+        }
+    }, intervalMs);
+
+    console.log(`🛠️  Job worker ${workerId} started`);
+
+    return () => clearInterval(timer);
+};
+
+module.exports = {
+    enqueueJob,
+    ensureAnalysisJob,
+    isActiveJobConflict,
+    claimNextJob,
+    claimJob,
+    completeJob,
+    failJob,
+    cancelJob,
+    recoverStuckJobs,
+    runNextJob,
+    runJobNow,
+    runPendingJobs,
+    startWorker,
+    getActiveJobForFile,
+    getActiveJobForUser,
+    getBackoffDelay
+};
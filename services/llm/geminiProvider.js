@@ -0,0 +1,102 @@
+const { GoogleGenerativeAI } = require('@google/generative-ai');
+
+let client = null;
+
+// Create the client on first use, so the app starts without a key when another provider is configured
+const getClient = () => {
+    if (!client) {
+        if (!process.env.GEMINI_API_KEY) {
+            throw new Error('Missing GEMINI_API_KEY in environment variables.');
+        }
+        client = new GoogleGenerativeAI(process.env.GEMINI_API_KEY);
+    }
+    return client;
+};
+
+const SAFETY_SETTINGS = [
+    {
+        category: "HARM_CATEGORY_HARASSMENT",
+        threshold: "BLOCK_MEDIUM_AND_ABOVE",
+    },
+    {
+        category: "HARM_CATEGORY_HATE_SPEECH",
+        threshold: "BLOCK_MEDIUM_AND_ABOVE",
+    },
+    {
+        category: "HARM_CATEGORY_SEXUALLY_EXPLICIT",
+        threshold: "BLOCK_MEDIUM_AND_ABOVE",
+    },
+    {
+        category: "HARM_CATEGORY_DANGEROUS_CONTENT",
+        threshold: "BLOCK_MEDIUM_AND_ABOVE",
+    },
+];
+
+const getDefaultModel = () => process.env.GEMINI_MODEL || 'gemini-2.0-flash';
+
+const toUsage = (usage) => (usage ? {
+    inputTokens: usage.promptTokenCount,
+    outputTokens: usage.candidatesTokenCount
+} : undefined);
+
+const buildRequest = ({ model, prompt, images = [], temperature, maxOutputTokens }) => {
+    const generativeModel = getClient().getGenerativeModel({
+        model,
+        generationConfig: {
+            temperature,
+            topK: 40,
+            topP: 0.95,
+            maxOutputTokens,
+        },
+        safetySettings: SAFETY_SETTINGS,
+    });
+
+    const imageParts = images.map(image => ({
+        inlineData: {
+            data: image.data.toString('base64'),
+            mimeType: image.mimeType
+        }
+    }));
+
+    return { generativeModel, content: imageParts.length > 0 ? [prompt, ...imageParts] : prompt };
+};
+
+const generate = async ({ signal, ...request }) => {
+    const { generativeModel, content } = buildRequest(request);
+
+    // The SDK takes no abort signal, so an aborted request is dropped when it returns
+    const result = await generativeModel.generateContent(content);
+    if (signal) signal.throwIfAborted();
+    const response = await result.response;
+
+    return {
+        text: response.text(),
+        usage: toUsage(response.usageMetadata)
+    };
+};
+
+const stream = async ({ signal, onDelta, ...request }) => {
+    const { generativeModel, content } = buildRequest(request);
+
+    const result = await generativeModel.generateContentStream(content);
+    let text = '';
+    for await (const chunk of result.stream) {
+        // Stop reading as soon as the caller gives up
+        if (signal) signal.throwIfAborted();
+        const delta = chunk.text();
+        if (delta) {
+            text += delta;
+            onDelta(delta);
+        }
+    }
+
+    const response = await result.response;
+    return { text, usage: toUsage(response.usageMetadata) };
+};
+
+module.exports = {
+    name: 'gemini',
+    getDefaultModel,
+    generate,
+    stream
+};
@@ -0,0 +1,147 @@
+// LLM providers share one interface:
+//   generate({ task, model, prompt, images, temperature, maxOutputTokens, signal }) -> { text, usage }
+//   stream({ ...same, onDelta }) -> { text, usage }, calling onDelta(text) as text arrives
+// where images are [{ data: Buffer, mimeType }] sent alongside the prompt, usage is
+// { inputTokens, outputTokens } when the provider reports it, and an aborted signal
+// makes the call reject. stream is optional.
+const { validateOutput, extractJson, formatErrorsForPrompt } = require('./validation');
+
+const providers = {
+    gemini: () => require('./geminiProvider'),
+    openai: () => require('./openaiProvider'),
+    mock: () => require('./mockProvider')
+};
+
+// Tasks the app sends to a model, with their generation defaults
+const TASKS = {
+    'report-analysis': { temperature: 0.1, maxOutputTokens: 8192 },
+    'vitals-analysis': { temperature: 0.1, maxOutputTokens: 2048 },
+    'health-chat': { temperature: 0.3, maxOutputTokens: 2048 },
+    'translation': { temperature: 0.1, maxOutputTokens: 4096 },
+    'report-comparison': { temperature: 0.2, maxOutputTokens: 2048 }
+};
+
+// Get a provider by name
+const getProvider = (name) => {
+    const provider = providers[name];
+    if (!provider) {
+        throw new Error(`Unknown LLM provider: ${name}`);
+    }
+    return provider();
+};
+
+// Environment variable for a task setting, e.g. LLM_REPORT_ANALYSIS_MODEL
+const taskEnv = (task, setting) => process.env[`LLM_${task.toUpperCase().replace(/-/g, '_')}_${setting}`];
+
+// Provider and model for a task. Each task can be pointed elsewhere with
+// LLM_<TASK>_PROVIDER and LLM_<TASK>_MODEL; otherwise LLM_PROVIDER and LLM_MODEL
+// apply, then the provider's default model.
+const getTaskConfig = (task) => {
+    if (!TASKS[task]) {
+        throw new Error(`Unknown LLM task: ${task}`);
+    }
+
+    const providerName = taskEnv(task, 'PROVIDER') || process.env.LLM_PROVIDER || 'gemini';
+    const provider = getProvider(providerName);
+    // A global model name only makes sense for the global provider
+    const globalModel = providerName === (process.env.LLM_PROVIDER || 'gemini') ? process.env.LLM_MODEL : undefined;
+
+    return {
+        ...TASKS[task],
+        provider: provider.name,
+        model: taskEnv(task, 'MODEL') || globalModel || provider.getDefaultModel()
+    };
+};
+
+// Run a task on its configured provider and model. With onDelta the response is
+// streamed; providers that cannot stream deliver it as a single delta.
+const generate = async (task, { prompt, images = [], signal, onDelta }) => {
+    const config = getTaskConfig(task);
+    const provider = getProvider(config.provider);
+
+    const request = {
+        task,
+        model: config.model,
+        prompt,
+        images,
+        temperature: config.temperature,
+        maxOutputTokens: config.maxOutputTokens,
+        signal
+    };
+
+    let result;
+    if (onDelta && provider.stream) {
+        result = await provider.stream({ ...request, onDelta });
+    } else {
+        result = await provider.generate(request);
+        if (onDelta) onDelta(result.text);
+    }
+
+    return {
+        ...result,
+        provider: config.provider,
+        model: config.model
+    };
+};
+
+// How many times to ask the model to correct output that fails validation
+const getMaxRepairAttempts = () => {
+    const attempts = parseInt(process.env.LLM_MAX_REPAIR_ATTEMPTS);
+    return Number.isInteger(attempts) && attempts >= 0 ? attempts : 2;
+};
+
+// Longest previous response quoted back to the model when asking for a correction
+const MAX_QUOTED_RESPONSE = 8000;
+
+// Run a task whose output is JSON matching a schema (see ./validation). Output that fails
+// validation is sent back to the model with the errors, up to LLM_MAX_REPAIR_ATTEMPTS times,
+// calling onRetry(attempt, errors) before each; after that, fallbacks fill what is still
+// wrong. Returns the generate() result plus data, the repairs made to it, and the number
+// of attempts.
+const generateJson = async (task, schema, { prompt, images = [], signal, onDelta, onRetry }) => {
+    const maxRepairAttempts = getMaxRepairAttempts();
+    let attemptPrompt = prompt;
+    let result;
+    let parsed;
+
+    for (let attempt = 1; attempt <= maxRepairAttempts + 1; attempt++) {
+        result = await generate(task, { prompt: attemptPrompt, images, signal, onDelta });
+        parsed = extractJson(result.text);
+
+        const errors = parsed === undefined
+            ? [{ path: '(root)', message: 'is not a JSON object' }]
+            : validateOutput(schema, parsed).errors;
+
+        if (errors.length === 0 || attempt > maxRepairAttempts) {
+            if (parsed === undefined) {
+                throw new Error(`${result.provider} did not return JSON after ${attempt} attempts`);
+            }
+
+            const checked = validateOutput(schema, parsed, { final: true });
+            if (checked.errors.length > 0) {
+                throw new Error(`${result.provider} output failed validation: ${formatErrorsForPrompt(checked.errors)}`);
+            }
+            return { ...result, data: checked.value, repairs: checked.repairs, attempts: attempt };
+        }
+
+        console.warn(`${task} output from ${result.provider} failed validation (attempt ${attempt}):\n${formatErrorsForPrompt(errors)}`);
+        if (onRetry) onRetry(attempt + 1, errors);
+        attemptPrompt = `${prompt}
+
+Your previous response was:
+${result.text.substring(0, MAX_QUOTED_RESPONSE)}
+
+It does not match the required JSON format:
+${formatErrorsForPrompt(errors)}
+
+Respond again with only the corrected JSON object, and no other text.`;
+    }
+};
+
+module.exports = {
+    TASKS,
+    getProvider,
+    getTaskConfig,
+    generate,
+    generateJson
+};
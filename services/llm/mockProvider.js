@@ -0,0 +1,55 @@
+const fs = require('fs');
+const path = require('path');
+
+// Offline provider that answers from fixture files, for development and tests without
+// an API key. Each task reads <task>.json from the fixtures directory:
+//   { "responses": [{ "match": "regex", "response": ... }], "default": ... }
+// The first response whose pattern matches the prompt is returned, else the default.
+// Responses are returned as text; objects are serialized to JSON. Streamed responses
+// arrive a word at a time, LLM_MOCK_STREAM_DELAY_MS apart.
+
+const getFixturesDir = () => path.resolve(process.env.LLM_MOCK_FIXTURES_DIR || path.join(__dirname, 'fixtures'));
+
+const loadFixture = (task) => {
+    const file = path.join(getFixturesDir(), `${task}.json`);
+    if (!fs.existsSync(file)) {
+        throw new Error(`No mock LLM fixture for task ${task} at ${file}`);
+    }
+    return JSON.parse(fs.readFileSync(file, 'utf8'));
+};
+
+const getDefaultModel = () => 'mock';
+
+const generate = async ({ task, prompt, signal }) => {
+    if (signal) signal.throwIfAborted();
+    const fixture = loadFixture(task);
+
+    const matched = (fixture.responses || []).find(entry => new RegExp(entry.match, 'i').test(prompt));
+    const response = matched ? matched.response : fixture.default;
+    if (response === undefined) {
+        throw new Error(`Mock LLM fixture for task ${task} has no matching response`);
+    }
+
+    return {
+        text: typeof response === 'string' ? response : JSON.stringify(response, null, 2)
+    };
+};
+
+const stream = async ({ onDelta, ...request }) => {
+    const result = await generate(request);
+    const delay = parseInt(process.env.LLM_MOCK_STREAM_DELAY_MS) || 0;
+
+    for (const word of result.text.match(/\S+\s*|\s+/g) || []) {
+        await new Promise(resolve => setTimeout(resolve, delay));
+        if (request.signal) request.signal.throwIfAborted();
+        onDelta(word);
+    }
+    return result;
+};
+
+module.exports = {
+    name: 'mock',
+    getDefaultModel,
+    generate,
+    stream
+};
@@ -0,0 +1,125 @@
+// Any server speaking the OpenAI chat completions API: OpenAI itself, or a local
+// model served by Ollama, llama.cpp, vLLM, LM Studio and the like.
+
+// Defaults to a local Ollama server
+const getBaseUrl = () => (process.env.OPENAI_BASE_URL || 'http://localhost:11434/v1').replace(/\/+$/, '');
+
+const getDefaultModel = () => process.env.OPENAI_MODEL || 'llama3.1';
+
+// How long to wait for a completion; local models on CPU can be slow
+const getTimeout = () => parseInt(process.env.OPENAI_TIMEOUT_MS) || 5 * 60 * 1000;
+
+// Abort on the caller's signal or the timeout, whichever comes first
+const requestSignal = (signal) => {
+    const timeout = AbortSignal.timeout(getTimeout());
+    if (!signal) return timeout;
+
+    const controller = new AbortController();
+    [signal, timeout].forEach(source => {
+        if (source.aborted) controller.abort(source.reason);
+        else source.addEventListener('abort', () => controller.abort(source.reason), { once: true });
+    });
+    return controller.signal;
+};
+
+const postCompletion = async ({ model, prompt, images = [], temperature, maxOutputTokens, signal }, options = {}) => {
+    // Images go in as data URLs, which vision-capable servers accept
+    const content = images.length > 0
+        ? [
+            { type: 'text', text: prompt },
+            ...images.map(image => ({
+                type: 'image_url',
+                image_url: { url: `data:${image.mimeType};base64,${image.data.toString('base64')}` }
+            }))
+        ]
+        : prompt;
+
+    const headers = { 'Content-Type': 'application/json' };
+    // Local servers usually need no key
+    if (process.env.OPENAI_API_KEY) {
+        headers.Authorization = `Bearer ${process.env.OPENAI_API_KEY}`;
+    }
+
+    const response = await fetch(`${getBaseUrl()}/chat/completions`, {
+        method: 'POST',
+        headers,
+        body: JSON.stringify({
+            model,
+            messages: [{ role: 'user', content }],
+            temperature,
+            max_tokens: maxOutputTokens,
+            ...options
+        }),
+        signal: requestSignal(signal)
+    });
+
+    if (!response.ok) {
+        const body = await response.text().catch(() => '');
+        throw new Error(`OpenAI-compatible API returned ${response.status}: ${body.substring(0, 500)}`);
+    }
+    return response;
+};
+
+const toUsage = (usage) => (usage ? {
+    inputTokens: usage.prompt_tokens,
+    outputTokens: usage.completion_tokens
+} : undefined);
+
+const generate = async (request) => {
+    const response = await postCompletion(request);
+
+    const data = await response.json();
+    const choice = data.choices && data.choices[0];
+    if (!choice || !choice.message) {
+        throw new Error('OpenAI-compatible API returned no completion');
+    }
+
+    return {
+        text: choice.message.content || '',
+        usage: toUsage(data.usage)
+    };
+};
+
+// Streamed completion: the server sends "data: {json}" lines, ending with "data: [DONE]"
+const stream = async ({ onDelta, ...request }) => {
+    const response = await postCompletion(request, {
+        stream: true,
+        stream_options: { include_usage: true }
+    });
+
+    const decoder = new TextDecoder();
+    let buffer = '';
+    let text = '';
+    let usage;
+
+    const handleLine = (line) => {
+        if (!line.startsWith('data:')) return;
+        const data = line.slice(5).trim();
+        if (!data || data === '[DONE]') return;
+
+        const chunk = JSON.parse(data);
+        const delta = chunk.choices && chunk.choices[0] && chunk.choices[0].delta;
+        if (delta && delta.content) {
+            text += delta.content;
+            onDelta(delta.content);
+        }
+        if (chunk.usage) usage = toUsage(chunk.usage);
+    };
+
+    for await (const bytes of response.body) {
+        buffer += decoder.decode(bytes, { stream: true });
+        const lines = buffer.split('\n');
+        buffer = lines.pop();
+        lines.forEach(handleLine);
+    }
+    handleLine(buffer);
+
+    return { text, usage };
+};
+
+module.exports = {
+    name: 'openai',
+    getDefaultModel,
+    generate,
+    stream
+};
@@ -0,0 +1,286 @@
+// Check model output against a small declarative schema, coercing known variants.
+//
+// Schema nodes:
+//   { type: 'string' | 'number' | 'boolean' }          number nodes may set min and max
+//   { type: 'enum', values: [...], aliases: {...} }     aliases map variants to values
+//   { type: 'array', items: node, dropInvalid }         dropInvalid drops bad items on the final pass
+//   { type: 'object', properties: {...}, fromString }   fromString names the property a bare string fills
+// Object nodes may also take keys beyond their properties: additional is the node for their
+// values and keys, if set, lists the ones allowed. keyAliases maps other names for keys onto
+// them; keys are matched case-insensitively.
+// Any node may set required, and fallback: a value used on the final pass when it is
+// missing or invalid.
+//
+// validateOutput() returns { value, errors, repairs }. errors are what is still wrong,
+// for re-prompting; repairs record each coerced, clamped, renamed, dropped or defaulted field.
+// With { final: true }, fallbacks and dropInvalid are applied so the value can be saved.
+
+const formatPath = (path) => path || '(root)';
+
+// Lowercase, single-dash form used to match enum values and aliases, e.g. "2 Weeks" -> "2-weeks"
+const normalizeEnumValue = (value) => String(value).trim().toLowerCase().replace(/[\s_]+/g, '-');
+
+const isPlainObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+const describe = (value) => (typeof value === 'string' ? `"${value}"` : JSON.stringify(value));
+
+const coerceString = (node, value, path, ctx) => {
+    if (typeof value === 'string') return value;
+    if (typeof value === 'number' || typeof value === 'boolean') {
+        ctx.repair(path, 'coerced', value, String(value));
+        return String(value);
+    }
+    return ctx.invalid(path, 'must be text', value);
+};
+
+const coerceNumber = (node, value, path, ctx) => {
+    let number = value;
+    if (typeof value === 'string') {
+        const match = value.match(/-?\d+(?:\.\d+)?/);
+        number = match ? parseFloat(match[0]) : NaN;
+    }
+    if (typeof number !== 'number' || !Number.isFinite(number)) {
+        return ctx.invalid(path, 'must be a number', value);
+    }
+
+    const clamped = Math.min(node.max ?? Infinity, Math.max(node.min ?? -Infinity, number));
+    if (clamped !== number) {
+        ctx.repair(path, 'clamped', value, clamped);
+    } else if (number !== value) {
+        ctx.repair(path, 'coerced', value, number);
+    }
+    return clamped;
+};
+
+const coerceBoolean = (node, value, path, ctx) => {
+    if (typeof value === 'boolean') return value;
+
+    const text = String(value).trim().toLowerCase();
+    if (['true', 'yes', '1'].includes(text)) {
+        ctx.repair(path, 'coerced', value, true);
+        return true;
+    }
+    if (['false', 'no', '0'].includes(text)) {
+        ctx.repair(path, 'coerced', value, false);
+        return false;
+    }
+    return ctx.invalid(path, 'must be true or false', value);
+};
+
+const coerceEnum = (node, value, path, ctx) => {
+    if (node.values.includes(value)) return value;
+
+    if (typeof value === 'string' || typeof value === 'number') {
+        const key = normalizeEnumValue(value);
+        const match = node.values.includes(key) ? key : (node.aliases || {})[key];
+        if (match) {
+            ctx.repair(path, 'coerced', value, match);
+            return match;
+        }
+    }
+    return ctx.invalid(path, `must be one of ${node.values.join(', ')}`, value);
+};
+
+const coerceArray = (node, value, path, ctx) => {
+    let list = value;
+    if (!Array.isArray(value)) {
+        // A single item where a list was expected
+        if (typeof value === 'string' || isPlainObject(value)) {
+            ctx.repair(path, 'coerced', value, [value]);
+            list = [value];
+        } else {
+            return ctx.invalid(path, 'must be a list', value);
+        }
+    }
+
+    const items = [];
+    list.forEach((item, index) => {
+        const itemPath = `${path}[${index}]`;
+        const itemCtx = ctx.child();
+        const result = validateNode(node.items, item, itemPath, itemCtx);
+
+        if (itemCtx.errors.length > 0 && ctx.final && node.dropInvalid) {
+            ctx.repair(itemPath, 'dropped', item, undefined, itemCtx.errors.map(error => `${error.path} ${error.message}`).join('; '));
+            return;
+        }
+
+        ctx.merge(itemCtx);
+        if (result !== undefined) items.push(result);
+    });
+    return items;
+};
+
+// Map keys onto the node's own names, ignoring case and applying keyAliases
+const renameKeys = (node, object, path, ctx) => {
+    const names = {};
+    [...Object.keys(node.properties || {}), ...(node.keys || [])].forEach(key => {
+        names[key.toLowerCase()] = key;
+    });
+    Object.entries(node.keyAliases || {}).forEach(([alias, key]) => {
+        names[alias.toLowerCase()] = key;
+    });
+
+    const renamed = {};
+    Object.entries(object).forEach(([key, value]) => {
+        const name = names[key.toLowerCase()] || key;
+        if (name !== key) {
+            ctx.repair(path ? `${path}.${key}` : key, 'renamed', key, name);
+        }
+        if (renamed[name] === undefined) renamed[name] = value;
+    });
+    return renamed;
+};
+
+const coerceObject = (node, value, path, ctx) => {
+    let object = value;
+    if (typeof value === 'string' && node.fromString) {
+        object = { [node.fromString]: value };
+        ctx.repair(path, 'coerced', value, object);
+    } else if (!isPlainObject(value)) {
+        return ctx.invalid(path, 'must be an object', value);
+    }
+    object = renameKeys(node, object, path, ctx);
+
+    const properties = node.properties || {};
+    const childPath = (key) => (path ? `${path}.${key}` : key);
+
+    const result = {};
+    Object.entries(properties).forEach(([key, child]) => {
+        const childValue = validateNode(child, object[key], childPath(key), ctx);
+        if (childValue !== undefined) result[key] = childValue;
+    });
+
+    if (node.additional) {
+        Object.keys(object)
+            .filter(key => !properties[key] && (!node.keys || node.keys.includes(key)))
+            .forEach(key => {
+                const childValue = validateNode(node.additional, object[key], childPath(key), ctx);
+                if (childValue !== undefined) result[key] = childValue;
+            });
+    }
+    return result;
+};
+
+const coercers = {
+    string: coerceString,
+    number: coerceNumber,
+    boolean: coerceBoolean,
+    enum: coerceEnum,
+    array: coerceArray,
+    object: coerceObject
+};
+
+const validateNode = (node, value, path, ctx) => {
+    if (value === undefined || value === null || value === '') {
+        if (!node.required) return undefined;
+        if (ctx.final && node.fallback !== undefined) {
+            ctx.repair(path, 'defaulted', value, node.fallback);
+            return node.fallback;
+        }
+        ctx.error(path, 'is required');
+        return undefined;
+    }
+
+    const coerced = coercers[node.type](node, value, path, ctx);
+    if (coerced === ctx.INVALID && ctx.final) {
+        if (node.fallback !== undefined) {
+            ctx.errors.pop();
+            ctx.repair(path, 'defaulted', value, node.fallback);
+            return node.fallback;
+        }
+        // An invalid optional field is left out rather than saved
+        if (!node.required) {
+            ctx.errors.pop();
+            ctx.repair(path, 'dropped', value, undefined);
+        }
+        return undefined;
+    }
+    if (coerced === ctx.INVALID) {
+        return undefined;
+    }
+    return coerced;
+};
+
+const createContext = (final) => {
+    const ctx = {
+        INVALID: Symbol('invalid'),
+        final,
+        errors: [],
+        repairs: [],
+        error(path, message) {
+            ctx.errors.push({ path: formatPath(path), message });
+        },
+        invalid(path, message, value) {
+            ctx.errors.push({ path: formatPath(path), message: `${message} (got ${describe(value)})` });
+            return ctx.INVALID;
+        },
+        repair(path, action, from, to, reason) {
+            ctx.repairs.push({ path: formatPath(path), action, from, to, reason });
+        },
+        child() {
+            const child = createContext(final);
+            child.INVALID = ctx.INVALID;
+            return child;
+        },
+        merge(other) {
+            ctx.errors.push(...other.errors);
+            ctx.repairs.push(...other.repairs);
+        }
+    };
+    return ctx;
+};
+
+const validateOutput = (schema, data, { final = false } = {}) => {
+    const ctx = createContext(final);
+    const value = validateNode(schema, data, '', ctx);
+    return { value, errors: ctx.errors, repairs: ctx.repairs };
+};
+
+// Pull the JSON object out of a model response: the whole text, a fenced code block, or
+// the first balanced {...}. Returns undefined when there is none.
+const extractJson = (text) => {
+    const candidates = [text.trim()];
+
+    const fenced = text.match(/```(?:json)?\s*([\s\S]*?)```/i);
+    if (fenced) candidates.push(fenced[1].trim());
+
+    const start = text.indexOf('{');
+    if (start !== -1) {
+        // Find the brace that closes the first object, skipping braces inside strings
+        let depth = 0;
+        let inString = false;
+        for (let i = start; i < text.length; i++) {
+            const char = text[i];
+            if (inString) {
+                if (char === '\\') i++;
+                else if (char === '"') inString = false;
+            } else if (char === '"') {
+                inString = true;
+            } else if (char === '{') {
+                depth++;
+            } else if (char === '}' && --depth === 0) {
+                candidates.push(text.slice(start, i + 1));
+                break;
+            }
+        }
+    }
+
+    for (const candidate of candidates) {
+        try {
+            const parsed = JSON.parse(candidate);
+            if (isPlainObject(parsed)) return parsed;
+        } catch (error) {
+            // Try the next candidate
+        }
+    }
+    return undefined;
+};
+
+// Problems to send back to the model when asking it to correct its output
+const formatErrorsForPrompt = (errors) => errors.map(error => `- ${error.path} ${error.message}`).join('\n');
+
+module.exports = {
+    validateOutput,
+    extractJson,
+    formatErrorsForPrompt
+};
@@ -0,0 +1,212 @@
+// Detect report metadata (type, collection date, lab, referring doctor) from extracted text.
+// Every suggestion carries a 0-100 confidence; fields that can't be found are null.
+
+// Suggestions at or above this confidence fill fields the user left blank
+const AUTOFILL_MIN_CONFIDENCE = parseInt(process.env.METADATA_AUTOFILL_MIN_CONFIDENCE) || 60;
+
+// Fields we detect, in the order they are shown to the user
+const METADATA_FIELDS = ['reportType', 'testDate', 'labName', 'doctorName'];
+
+// Keywords per report type; titles count for more than words found in the body
+const REPORT_TYPE_KEYWORDS = {
+    'blood-test': ['complete blood count', 'cbc', 'hemoglobin', 'haemoglobin', 'platelet', 'wbc', 'rbc', 'hematology', 'haematology', 'lipid profile', 'cholesterol', 'glucose', 'hba1c', 'liver function', 'lft', 'renal function', 'rft', 'creatinine', 'serum', 'thyroid', 'tsh'],
+    'urine-test': ['urinalysis', 'urine analysis', 'urine r/e', 'urine routine', 'urine culture', 'pus cells', 'specific gravity', 'ketones', 'urobilinogen'],
+    'x-ray': ['x-ray', 'xray', 'radiograph', 'chest pa view', 'ap view', 'lateral view'],
+    'ct-scan': ['ct scan', 'computed tomography', 'hct', 'contrast enhanced ct', 'hrct', 'cect'],
+    'mri': ['mri', 'magnetic resonance', 't1 weighted', 't2 weighted', 'flair'],
+    'ultrasound': ['ultrasound', 'ultrasonography', 'sonography', 'usg', 'doppler', 'echotexture'],
+    'ecg': ['ecg', 'ekg', 'electrocardiogram', 'sinus rhythm', 'qrs', 'pr interval', 'qt interval'],
+    'prescription': ['prescription', 'rx', 'tab.', 'cap.', 'syp.', 'once daily', 'twice daily', 'after meals', 'before meals'],
+    'discharge-summary': ['discharge summary', 'date of admission', 'date of discharge', 'admitted on', 'discharged on', 'course in hospital'],
+    'consultation': ['consultation', 'chief complaint', 'history of present illness', 'presenting complaint', 'examination findings', 'impression and plan']
+};
+
+const MONTHS = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+
+// Labels that introduce the collection date, strongest first
+const DATE_LABELS = [
+    { pattern: /(?:sample\s*)?(?:collected|collection)\s*(?:on|date|at|time)?|sample\s*(?:date|taken)|specimen\s*date|date\s*of\s*(?:collection|sampling)/i, confidence: 90 },
+    { pattern: /(?:test|exam(?:ination)?|study|procedure)\s*date|date\s*of\s*(?:test|exam(?:ination)?|study)/i, confidence: 80 },
+    { pattern: /(?:report(?:ed)?|registration|registered|received)\s*(?:on|date)?|date\s*of\s*report/i, confidence: 65 },
+    { pattern: /\bdate\b/i, confidence: 55 }
+];
+
+const LAB_KEYWORDS = /\b(laborator(?:y|ies)|labs?|diagnostics?|patholog(?:y|ists?)|imaging|radiology|hospital|clinic|medical (?:center|centre|complex)|health ?care)\b/i;
+const LAB_LABEL = /^\s*(?:lab(?:oratory)?|hospital|centre|center|collection (?:centre|center))\s*(?:name)?\s*[:\-]\s*(.+)$/i;
+const DOCTOR_LABEL = /(?:referred\s*by|ref(?:\.|erring)?\s*(?:by|dr\.?|doctor|physician|consultant)?|consultant|requested\s*by|physician)\s*[:\-]\s*((?:(?:dr|prof)\.?\s+)?[A-Za-z][A-Za-z.\s]{2,60})/i;
+const DOCTOR_TITLE = /\b(?:[Dd]r|[Pp]rof)\.?[ \t]+([A-Z][A-Za-z.]*(?:[ \t]+[A-Z][A-Za-z.]*){0,3})/;
+
+// Lines that describe the patient or page furniture rather than the lab
+const NON_LAB_LINE = /\b(patient|name|age|sex|gender|mr\s*no|page|printed|phone|tel|email|www\.|@)\b/i;
+
+const suggestion = (value, confidence) => ({ value, confidence: Math.round(Math.min(confidence, 99)) });
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Count keyword hits per report type and pick the strongest
+const detectReportType = (text) => {
+    const lower = text.toLowerCase();
+    // Titles usually sit in the first few lines of a report
+    const heading = lower.split('\n').slice(0, 15).join('\n');
+
+    const scores = Object.entries(REPORT_TYPE_KEYWORDS).map(([type, keywords]) => {
+        let score = 0;
+        keywords.forEach(keyword => {
+            const pattern = new RegExp(`(^|[^a-z])${escapeRegExp(keyword)}($|[^a-z])`, 'g');
+            const hits = (lower.match(pattern) || []).length;
+            if (hits > 0) {
+                score += Math.min(hits, 3) + (pattern.test(heading) ? 3 : 0);
+            }
+        });
+        return { type, score };
+    }).sort((a, b) => b.score - a.score);
+
+    const [best, runnerUp] = scores;
+    if (!best || best.score === 0) return null;
+
+    // Confidence grows with the evidence and with the margin over the next best type
+    const margin = (best.score - runnerUp.score) / best.score;
+    const confidence = 35 + Math.min(best.score, 12) * 3 + margin * 25;
+
+    return suggestion(best.type, confidence);
+};
+
+// Build a Date from parts, rejecting impossible or future dates
+const toDate = (year, month, day) => {
+    if (year < 100) year += 2000;
+    const date = new Date(Date.UTC(year, month - 1, day));
+
+    if (date.getUTCFullYear() !== year || date.getUTCMonth() !== month - 1 || date.getUTCDate() !== day) {
+        return null;
+    }
+    if (date > new Date() || year < 1950) {
+        return null;
+    }
+
+    return date;
+};
+
+// Parse the first date in a string. Numeric dates are read day-first, as printed by local labs.
+const parseDate = (text) => {
+    let match = text.match(/\b(\d{4})[-/.](\d{1,2})[-/.](\d{1,2})\b/);
+    if (match) {
+        return toDate(parseInt(match[1]), parseInt(match[2]), parseInt(match[3]));
+    }
+
+    match = text.match(/\b(\d{1,2})[-/.](\d{1,2})[-/.](\d{2,4})\b/);
+    if (match) {
+        let [day, month] = [parseInt(match[1]), parseInt(match[2])];
+        // Fall back to month-first when day-first is impossible, e.g. 03/25/2024
+        if (month > 12 && day <= 12) [day, month] = [month, day];
+        return toDate(parseInt(match[3]), month, day);
+    }
+
+    match = text.match(/\b(\d{1,2})(?:st|nd|rd|th)?[\s\-/]+([A-Za-z]{3,9})[\s\-/,]+(\d{2,4})\b/);
+    if (match) {
+        const month = MONTHS.indexOf(match[2].slice(0, 3).toLowerCase()) + 1;
+        if (month > 0) return toDate(parseInt(match[3]), month, parseInt(match[1]));
+    }
+
+    match = text.match(/\b([A-Za-z]{3,9})\s+(\d{1,2})(?:st|nd|rd|th)?,?\s+(\d{4})\b/);
+    if (match) {
+        const month = MONTHS.indexOf(match[1].slice(0, 3).toLowerCase()) + 1;
+        if (month > 0) return toDate(parseInt(match[3]), month, parseInt(match[2]));
+    }
+
+    return null;
+};
+
+// Prefer dates introduced by a collection label; fall back to the first date in the report
+const detectTestDate = (text) => {
+    const lines = text.split('\n');
+    let best = null;
+
+    lines.forEach(line => {
+        DATE_LABELS.forEach(({ pattern, confidence }) => {
+            const label = line.match(pattern);
+            if (!label) return;
+
+            const date = parseDate(line.slice(label.index + label[0].length));
+            if (date && (!best || confidence > best.confidence)) {
+                best = suggestion(date, confidence);
+            }
+        });
+    });
+
+    if (best) return best;
+
+    const date = parseDate(text);
+    return date ? suggestion(date, 35) : null;
+};
+
+// Tidy a detected name: collapse spaces and drop trailing punctuation
+const cleanName = (name) => name.replace(/\s+/g, ' ').replace(/[\s,;:.\-|]+$/, '').trim();
+
+// Look for a labelled lab name, else a letterhead line that names a lab or hospital
+const detectLabName = (text) => {
+    const lines = text.split('\n').map(line => line.trim()).filter(Boolean);
+
+    for (const line of lines) {
+        const labelled = line.match(LAB_LABEL);
+        if (labelled && cleanName(labelled[1]).length > 2) {
+            return suggestion(cleanName(labelled[1]).slice(0, 100), 85);
+        }
+    }
+
+    // Letterheads sit at the top of the first page
+    const header = lines.slice(0, 10);
+    for (let i = 0; i < header.length; i++) {
+        const line = header[i];
+        if (!LAB_KEYWORDS.test(line) || NON_LAB_LINE.test(line) || line.length > 80) continue;
+
+        const name = cleanName(line);
+        if (name.split(' ').length < 2) continue;
+
+        return suggestion(name.slice(0, 100), 75 - i * 3);
+    }
+
+    return null;
+};
+
+// Look for a labelled referring doctor, else the first "Dr." mention
+const detectDoctorName = (text) => {
+    const lines = text.split('\n');
+
+    for (const line of lines) {
+        const labelled = line.match(DOCTOR_LABEL);
+        if (labelled) {
+            const name = cleanName(labelled[1].split(/\s{2,}|\t/)[0]);
+            if (name.replace(/^(dr|prof)\.?\s*/i, '').length > 2 && !/^self$/i.test(name)) {
+                return suggestion(name.slice(0, 100), 85);
+            }
+        }
+    }
+
+    const titled = text.match(DOCTOR_TITLE);
+    if (titled) {
+        return suggestion(cleanName(titled[0]).slice(0, 100), 50);
+    }
+
+    return null;
+};
+
+// Detect all metadata fields from a report's text
+const detectMetadata = (text) => {
+    if (!text || !text.trim()) {
+        return { reportType: null, testDate: null, labName: null, doctorName: null };
+    }
+
+    return {
+        reportType: detectReportType(text),
+        testDate: detectTestDate(text),
+        labName: detectLabName(text),
+        doctorName: detectDoctorName(text)
+    };
+};
+
+module.exports = {
+    AUTOFILL_MIN_CONFIDENCE,
+    METADATA_FIELDS,
+    detectMetadata,
+    parseDate
+};
@@ -0,0 +1,77 @@
+const { createWorker } = require('tesseract.js');
+const sharp = require('sharp');
+
+// Tesseract language packs we ship support for
+const SUPPORTED_LANGUAGES = ['eng', 'urd'];
+
+// Resolve configured OCR languages, e.g. OCR_LANGUAGES=eng+urd
+const getOcrLanguages = () => {
+    const configured = (process.env.OCR_LANGUAGES || 'eng+urd')
+        .split('+')
+        .map(lang => lang.trim())
+        .filter(lang => SUPPORTED_LANGUAGES.includes(lang));
+
+    return configured.length > 0 ? configured : ['eng'];
+};
+
+// Clean up an image so Tesseract reads it more reliably
+const prepareImage = async (image) => {
+    return sharp(image)
+        .rotate() // Respect EXIF orientation from phone cameras
+        .resize(2480, 2480, {
+            fit: 'inside',
+            withoutEnlargement: true
+        })
+        .grayscale()
+        .normalize()
+        .png()
+        .toBuffer();
+};
+
+// Run OCR over a list of page images, returning per-page text and confidence
+const recognizePages = async (images, options = {}) => {
+    const languages = options.languages || getOcrLanguages();
+
+    const worker = await createWorker(languages.join('+'), 1, {
+        ...(process.env.OCR_LANG_PATH && { langPath: process.env.OCR_LANG_PATH }),
+        ...(process.env.OCR_CACHE_PATH && { cachePath: process.env.OCR_CACHE_PATH })
+    });
+
+    try {
+        const pages = [];
+
+        for (let i = 0; i < images.length; i++) {
+            const prepared = await prepareImage(images[i]);
+            const { data } = await worker.recognize(prepared);
+
+            pages.push({
+                pageNumber: i + 1,
+                text: (data.text || '').trim(),
+                confidence: Math.round(data.confidence || 0)
+            });
+        }
+
+        return {
+            pages,
+            languages,
+            confidence: averageConfidence(pages)
+        };
+    } finally {
+        await worker.terminate();
+    }
+};
+
+// Average confidence over pages that produced any text
+const averageConfidence = (pages) => {
+    const withText = pages.filter(page => page.text);
+    if (withText.length === 0) return 0;
+
+    const total = withText.reduce((sum, page) => sum + page.confidence, 0);
+    return Math.round(total / withText.length);
+};
+
+module.exports = {
+    SUPPORTED_LANGUAGES,
+    getOcrLanguages,
+    recognizePages
+};
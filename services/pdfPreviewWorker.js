@@ -0,0 +1,102 @@
+// Renders the first page of a PDF to SVG in a worker thread. pdf.js's SVG backend
+// draws into a DOM, so a minimal one is installed as a global here, where it can't
+// leak into the main thread. Receives { data: Uint8Array }, replies { svg } or { error }.
+const { parentPort, workerData } = require('worker_threads');
+
+const SVG_NS = 'http://www.w3.org/2000/svg';
+const XLINK_NS = 'http://www.w3.org/1999/xlink';
+
+const escapeXml = (text) => String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+
+// Just enough of a DOM element for pdf.js to build and clone an SVG tree
+class Element {
+    constructor(name) {
+        this.nodeName = name.replace(/^svg:/, '');
+        this.attributes = new Map();
+        this.childNodes = [];
+        this.parentNode = null;
+        this.textContent = '';
+    }
+
+    setAttributeNS(namespace, name, value) {
+        // Embedded fonts aren't available to the rasterizer; fall back to a generic face
+        this.attributes.set(name, name === 'font-family' ? 'sans-serif' : String(value));
+    }
+
+    setAttribute(name, value) {
+        this.setAttributeNS(null, name, value);
+    }
+
+    getAttributeNS(namespace, name) {
+        return this.attributes.has(name) ? this.attributes.get(name) : null;
+    }
+
+    // Like the DOM, appending a node that already has a parent moves it
+    appendChild(child) {
+        if (child.parentNode) {
+            const siblings = child.parentNode.childNodes;
+            siblings.splice(siblings.indexOf(child), 1);
+        }
+        child.parentNode = this;
+        this.childNodes.push(child);
+        return child;
+    }
+
+    // Shallow clone, as pdf.js calls it
+    cloneNode() {
+        const clone = new Element(this.nodeName);
+        clone.attributes = new Map(this.attributes);
+        clone.textContent = this.textContent;
+        return clone;
+    }
+
+    toString() {
+        const attributes = [...this.attributes].map(([name, value]) => ` ${name}="${escapeXml(value)}"`).join('');
+        const children = this.childNodes.map(child => child.toString()).join('');
+        return `<${this.nodeName}${attributes}>${escapeXml(this.textContent)}${children}</${this.nodeName}>`;
+    }
+}
+
+const head = new Element('head');
+global.document = {
+    createElementNS: (namespace, name) => new Element(name),
+    createElement: (name) => new Element(name),
+    documentElement: { getElementsByTagName: () => [head] },
+    getElementsByTagName: () => [head]
+};
+
+const PDFJS = require('pdf-parse/lib/pdf.js/v1.10.100/build/pdf.js');
+
+const renderFirstPage = async (data) => {
+    PDFJS.disableWorker = true;
+    // Global settings are read from PDFJS.PDFJS. Fonts are never loaded into the
+    // stub DOM, and only errors are logged.
+    PDFJS.PDFJS.disableFontFace = true;
+    PDFJS.PDFJS.verbosity = 0;
+
+    const doc = await PDFJS.getDocument({ data, nativeImageDecoderSupport: 'none' });
+    try {
+        const page = await doc.getPage(1);
+        const viewport = page.getViewport(1);
+        const operatorList = await page.getOperatorList();
+
+        const graphics = new PDFJS.SVGGraphics(page.commonObjs, page.objs, true);
+        graphics.embedFonts = false;
+
+        const svg = await graphics.getSVG(operatorList, viewport);
+        svg.setAttributeNS(null, 'xmlns', SVG_NS);
+        svg.setAttributeNS(null, 'xmlns:xlink', XLINK_NS);
+
+        return svg.toString();
+    } finally {
+        doc.destroy();
+    }
+};
+
+renderFirstPage(workerData.data)
+    .then(svg => parentPort.postMessage({ svg }))
+    .catch(error => parentPort.postMessage({ error: error.message || String(error) }));
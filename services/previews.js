@@ -0,0 +1,154 @@
+const path = require('path');
+const { Worker } = require('worker_threads');
+const sharp = require('sharp');
+const File = require('../models/File');
+const { getStorage, getFileStorage, getStorageOptions } = require('./storage');
+const { extractPdfPageImages } = require('./textExtraction');
+
+// Longest side of a preview, in pixels
+const PREVIEW_SIZE = parseInt(process.env.PREVIEW_SIZE) || 400;
+// A PDF whose first page takes longer than this to render gets no rendered preview
+const RENDER_TIMEOUT_MS = parseInt(process.env.PREVIEW_RENDER_TIMEOUT_MS) || 30 * 1000;
+// Rasterize rendered pages at twice the PDF's 72dpi so small text stays legible when scaled down
+const RENDER_DENSITY = 144;
+
+// Render a PDF's first page to SVG in a worker thread, which is stopped if it hangs
+// or runs out of memory
+const renderPdfFirstPage = (buffer) => new Promise((resolve, reject) => {
+    const worker = new Worker(path.join(__dirname, 'pdfPreviewWorker.js'), {
+        workerData: { data: new Uint8Array(buffer) },
+        resourceLimits: { maxOldGenerationSizeMb: 256 }
+    });
+
+    const timer = setTimeout(() => {
+        worker.terminate();
+        reject(new Error('PDF rendering timed out'));
+    }, RENDER_TIMEOUT_MS);
+
+    worker.once('message', (result) => {
+        clearTimeout(timer);
+        worker.terminate();
+        if (result.error) {
+            reject(new Error(result.error));
+        } else {
+            resolve(result.svg);
+        }
+    });
+    worker.once('error', (error) => {
+        clearTimeout(timer);
+        reject(error);
+    });
+});
+
+// Scale an image down to a JPEG preview
+const toPreviewImage = (input, options) => {
+    return sharp(input, options)
+        .rotate()
+        .flatten({ background: '#ffffff' })
+        .resize(PREVIEW_SIZE, PREVIEW_SIZE, {
+            fit: 'inside',
+            withoutEnlargement: true
+        })
+        .jpeg({ quality: 80 })
+        .toBuffer({ resolveWithObject: true });
+};
+
+// Preview of a PDF's first page. Scans that pdf.js can't draw fall back to the
+// largest image embedded in the page.
+const generatePdfPreview = async (buffer) => {
+    try {
+        const svg = await renderPdfFirstPage(buffer);
+        return await toPreviewImage(Buffer.from(svg), { density: RENDER_DENSITY });
+    } catch (error) {
+        console.warn('PDF page rendering failed, trying embedded images:', error.message);
+    }
+
+    const [firstPage] = await extractPdfPageImages(buffer, { maxPages: 1 });
+    if (!firstPage || firstPage.images.length === 0) {
+        return null;
+    }
+
+    const largest = firstPage.images.reduce((a, b) => (b.length > a.length ? b : a));
+    return toPreviewImage(largest);
+};
+
+// Build a JPEG preview of a report page. Returns { data, info }, or null when the
+// page can't be previewed.
+const generatePreview = async (buffer, fileType) => {
+    if (fileType === 'pdf') {
+        return generatePdfPreview(buffer);
+    }
+
+    try {
+        return await toPreviewImage(buffer);
+    } catch (error) {
+        // e.g. BMP, which sharp can't read
+        console.warn('Image preview failed:', error.message);
+        return null;
+    }
+};
+
+// Delete a stored preview. Failures are logged; the sweeper catches leftovers.
+const deletePreview = async (preview) => {
+    if (!preview || !preview.filePath) return;
+
+    const result = await getFileStorage(preview).delete(preview.filePath, getStorageOptions(preview));
+    if (!result.success) {
+        console.warn(`Failed to delete preview ${preview.filePath}:`, result.error);
+    }
+};
+
+// Generate and store a preview of a file's first page, replacing any earlier one.
+// Previews are a convenience: failures are logged and never fail processing.
+const refreshPreview = async (file, parts) => {
+    try {
+        const [firstPart] = parts;
+        const preview = firstPart && await generatePreview(firstPart.buffer, firstPart.fileType);
+        if (!preview) return null;
+
+        const storage = getStorage();
+        const stored = await storage.put(preview.data, {
+            name: `preview_${file._id}_${Date.now()}`,
+            folder: `healthmate/${file.user}/previews`,
+            resourceType: 'image',
+            mimeType: 'image/jpeg'
+        });
+
+        const record = {
+            fileName: `${path.parse(file.originalName).name}-preview.jpg`,
+            filePath: stored.key,
+            storageProvider: storage.name,
+            resourceType: stored.resourceType,
+            storageAccess: stored.access,
+            fileType: 'image',
+            mimeType: 'image/jpeg',
+            fileSize: stored.bytes,
+            width: preview.info.width,
+            height: preview.info.height,
+            version: file.currentVersion,
+            generatedAt: new Date()
+        };
+
+        const previous = await File.findOneAndUpdate({ _id: file._id }, { preview: record })
+            .setOptions({ withDeleted: true })
+            .select('preview');
+        if (!previous) {
+            // The file was purged while its preview was being made
+            await deletePreview(record);
+            return null;
+        }
+
+        await deletePreview(previous.preview);
+        return record;
+    } catch (error) {
+        console.error(`Preview generation failed for file ${file._id}:`, error.message);
+        return null;
+    }
+};
+
+module.exports = {
+    PREVIEW_SIZE,
+    generatePreview,
+    refreshPreview,
+    deletePreview
+};
@@ -0,0 +1,235 @@
+const { generateJson } = require('./llm');
+const { localizedText } = require('./reportTemplates/common');
+const { LOCALES, BASE_LOCALE, DEFAULT_LOCALES } = require('../config/locales');
+const { getComparisonText } = require('./reportComparisonText');
+
+// Changes smaller than this percentage of the earlier value count as unchanged
+const UNCHANGED_PERCENT = 2;
+
+const formatDate = (date) => (date ? new Date(date).toISOString().split('T')[0] : 'unknown date');
+
+// Key used to match a finding across reports: lowercase words without punctuation or
+// parenthesized notes, in sorted order, so "Cholesterol, Total (serum)" matches "Total Cholesterol"
+const parameterKey = (parameter) => parameter
+    .toLowerCase()
+    .replace(/\(.*?\)/g, ' ')
+    .split(/[^a-z0-9]+/)
+    .filter(Boolean)
+    .sort()
+    .join(' ') || parameter.trim().toLowerCase();
+
+// First number in a value such as "5.6", "< 0.5" or "1,250"
+const parseValue = (value) => {
+    const match = String(value).replace(/,/g, '').match(/-?\d+(?:\.\d+)?/);
+    return match ? parseFloat(match[0]) : null;
+};
+
+const sameUnit = (a, b) => !a || !b || a.replace(/\s+/g, '').toLowerCase() === b.replace(/\s+/g, '').toLowerCase();
+
+const round = (number) => Math.round(number * 100) / 100;
+
+// Direction and size of the change between two values of a finding, or null when
+// they are not comparable numbers
+const measureChange = (before, after) => {
+    const from = parseValue(before.value);
+    const to = parseValue(after.value);
+    if (from === null || to === null || !sameUnit(before.unit, after.unit)) {
+        return null;
+    }
+
+    const delta = to - from;
+    const percent = from !== 0 ? (delta / Math.abs(from)) * 100 : null;
+    const unchanged = percent === null ? delta === 0 : Math.abs(percent) < UNCHANGED_PERCENT;
+
+    return {
+        direction: unchanged ? 'unchanged' : (delta > 0 ? 'up' : 'down'),
+        delta: round(delta),
+        percent: percent === null ? null : round(percent)
+    };
+};
+
+// Movement relative to the normal range, from the status each report gave the finding
+const rangeChange = (before, after) => {
+    const wasNormal = before.status === 'normal';
+    const isNormal = after.status === 'normal';
+    if (wasNormal && !isNormal) return 'left-normal-range';
+    if (!wasNormal && isNormal) return 'entered-normal-range';
+    return null;
+};
+
+const findingSummary = ({ parameter, value, unit, status, normalRange }) => ({ parameter, value, unit, status, normalRange });
+
+// Match the key findings of two insights by parameter, in the order of the earlier report
+const compareFindings = (earlier, later) => {
+    const laterFindings = new Map();
+    later.keyFindings.forEach(finding => {
+        const key = parameterKey(finding.parameter);
+        if (!laterFindings.has(key)) laterFindings.set(key, finding);
+    });
+
+    const matched = [];
+    const onlyInEarlier = [];
+    const seen = new Set();
+    earlier.keyFindings.forEach(before => {
+        const key = parameterKey(before.parameter);
+        const after = laterFindings.get(key);
+        if (!after) {
+            onlyInEarlier.push(findingSummary(before));
+            return;
+        }
+        if (seen.has(key)) return;
+        seen.add(key);
+
+        matched.push({
+            parameter: after.parameter,
+            before: findingSummary(before),
+            after: findingSummary(after),
+            change: measureChange(before, after),
+            statusChanged: before.status !== after.status,
+            rangeChange: rangeChange(before, after)
+        });
+    });
+
+    const onlyInLater = [...laterFindings.entries()]
+        .filter(([key]) => !seen.has(key))
+        .map(([, finding]) => findingSummary(finding));
+
+    return { matched, onlyInEarlier, onlyInLater };
+};
+
+const withUnit = (value, unit) => (unit ? `${value} ${unit}` : value);
+
+// One line per difference, in a locale; the English lines are given to the model, and
+// each requested locale's are used as the narrative when it is unavailable
+const describeDifferences = ({ matched, onlyInEarlier, onlyInLater }, locale = BASE_LOCALE) => {
+    const text = getComparisonText(locale);
+    const status = (value) => text.statuses[value] || value;
+
+    const lines = matched.map(({ parameter, before, after, change, rangeChange: range }) => {
+        const values = { parameter, from: before.value, to: withUnit(after.value, after.unit) };
+        let line;
+        if (!change) {
+            line = text.notComparable({ ...values, from: withUnit(before.value, before.unit) });
+        } else if (change.direction === 'unchanged') {
+            line = text.unchanged(values);
+        } else {
+            const percent = change.percent === null ? '' : ` (${Math.abs(change.percent)}%)`;
+            line = text[change.direction]({ ...values, percent });
+        }
+
+        if (range === 'entered-normal-range') line += text.enteredNormalRange;
+        else if (range === 'left-normal-range') line += text.leftNormalRange(status(after.status));
+        else if (after.status !== 'normal') line += text.stillOutOfRange(status(after.status));
+        return line + text.end;
+    });
+
+    onlyInEarlier.forEach(finding => lines.push(text.onlyInEarlier(finding.parameter) + text.end));
+    onlyInLater.forEach(finding => lines.push(text.onlyInLater({
+        parameter: finding.parameter,
+        value: withUnit(finding.value, finding.unit),
+        status: status(finding.status)
+    }) + text.end));
+    return lines;
+};
+
+const narrativeSchema = {
+    type: 'object',
+    required: true,
+    properties: {
+        narrative: {
+            ...localizedText,
+            required: true,
+            properties: {
+                [BASE_LOCALE]: { type: 'string', required: true }
+            }
+        }
+    }
+};
+
+const buildPrompt = ({ earlier, later, differences, locales }) => {
+    const example = {
+        narrative: Object.fromEntries(
+            locales.map(locale => [locale, `Short explanation of the changes, in ${LOCALES[locale].name}`])
+        )
+    };
+    const languages = locales.map(locale => `"${locale}" = ${LOCALES[locale].prompt}`).join('; ');
+
+    return `You are a medical AI assistant helping a patient understand how their test results changed between two reports.
+
+Earlier report: ${earlier.reportType} "${earlier.originalName}" from ${formatDate(earlier.testDate)}
+Later report: ${later.reportType} "${later.originalName}" from ${formatDate(later.testDate)}
+
+Differences:
+${differences.map(line => `- ${line}`).join('\n')}
+
+Please explain these differences in the following JSON format:
+${JSON.stringify(example, null, 2)}
+
+Important guidelines:
+1. Use only the differences listed above, and do not invent values
+2. Mention the most important changes first, especially values that moved into or out of the normal range
+3. Keep it to a short paragraph in simple, clear language
+4. Do not diagnose. Suggest discussing abnormal values with a doctor
+5. Write the narrative in each of these languages, keyed by code: ${languages}`;
+};
+
+// Compare the current insights of two files, whichever order they are given in, from the
+// earlier test date to the later. Both files must have aiInsight populated. The narrative
+// is written in the given locales; if the model fails, the list of differences in each
+// locale is used instead and narrativeFallback is set.
+const compareReports = async (fileA, fileB, { locales = DEFAULT_LOCALES } = {}) => {
+    const [earlier, later] = new Date(fileA.testDate) <= new Date(fileB.testDate) ? [fileA, fileB] : [fileB, fileA];
+    const findings = compareFindings(earlier.aiInsight, later.aiInsight);
+    const differences = describeDifferences(findings);
+
+    // Text in every requested locale, built without the model
+    const inLocales = (build) => Object.fromEntries(locales.map(locale => [locale, build(locale)]));
+
+    let narrative;
+    let narrativeFallback = false;
+    if (differences.length === 0) {
+        narrative = inLocales(locale => getComparisonText(locale).noFindings);
+    } else {
+        try {
+            const result = await generateJson('report-comparison', narrativeSchema, {
+                prompt: buildPrompt({ earlier, later, differences, locales })
+            });
+            narrative = result.data.narrative;
+        } catch (error) {
+            console.error('Report comparison narrative error:', error);
+            narrative = inLocales(locale => describeDifferences(findings, locale).join(' '));
+            narrativeFallback = true;
+        }
+    }
+
+    const describeFile = (file) => ({
+        _id: file._id,
+        originalName: file.originalName,
+        reportType: file.reportType,
+        testDate: file.testDate,
+        insight: file.aiInsight._id
+    });
+
+    return {
+        earlier: describeFile(earlier),
+        later: describeFile(later),
+        findings: findings.matched,
+        onlyInEarlier: findings.onlyInEarlier,
+        onlyInLater: findings.onlyInLater,
+        counts: {
+            matched: findings.matched.length,
+            changed: findings.matched.filter(finding => finding.change && finding.change.direction !== 'unchanged').length,
+            enteredNormalRange: findings.matched.filter(finding => finding.rangeChange === 'entered-normal-range').length,
+            leftNormalRange: findings.matched.filter(finding => finding.rangeChange === 'left-normal-range').length
+        },
+        narrative,
+        narrativeFallback
+    };
+};
+
+module.exports = {
+    parameterKey,
+    measureChange,
+    compareFindings,
+    compareReports
+};
@@ -0,0 +1,97 @@
+// Wording of the report comparison's list of differences in each locale (see config/locales).
+// The English lines are given to the model; every locale's are the narrative when it is unavailable.
+// Values are passed in already formatted: 'to' carries its unit, 'percent' is ' (12%)' or ''.
+
+const TEXT = {
+    'en': {
+        statuses: { normal: 'normal', high: 'high', low: 'low', abnormal: 'abnormal', critical: 'critical' },
+        up: ({ parameter, from, to, percent }) => `${parameter} went up from ${from} to ${to}${percent}`,
+        down: ({ parameter, from, to, percent }) => `${parameter} went down from ${from} to ${to}${percent}`,
+        unchanged: ({ parameter, from, to }) => `${parameter} is about the same (${from} to ${to})`,
+        notComparable: ({ parameter, from, to }) => `${parameter} was ${from} and is now ${to}`,
+        enteredNormalRange: '; it is now within the normal range',
+        leftNormalRange: (status) => `; it is now ${status}`,
+        stillOutOfRange: (status) => `; it is still ${status}`,
+        onlyInEarlier: (parameter) => `${parameter} was only measured in the earlier report`,
+        onlyInLater: ({ parameter, value, status }) => `${parameter} (${value}, ${status}) is new in the later report`,
+        noFindings: 'The two reports have no key findings to compare.',
+        end: '.'
+    },
+    'ur-Latn': {
+        statuses: { normal: 'normal', high: 'high', low: 'low', abnormal: 'abnormal', critical: 'critical' },
+        up: ({ parameter, from, to, percent }) => `${parameter} ${from} se barh kar ${to} ho gaya${percent}`,
+        down: ({ parameter, from, to, percent }) => `${parameter} ${from} se kam ho kar ${to} ho gaya${percent}`,
+        unchanged: ({ parameter, from, to }) => `${parameter} taqreeban pehle jaisa hai (${from} se ${to})`,
+        notComparable: ({ parameter, from, to }) => `${parameter} pehle ${from} tha aur ab ${to} hai`,
+        enteredNormalRange: '; ab ye normal range mein hai',
+        leftNormalRange: (status) => `; ab ye ${status} hai`,
+        stillOutOfRange: (status) => `; ye abhi bhi ${status} hai`,
+        onlyInEarlier: (parameter) => `${parameter} sirf pehli report mein check hua tha`,
+        onlyInLater: ({ parameter, value, status }) => `${parameter} (${value}, ${status}) nayi report mein pehli dafa aaya hai`,
+        noFindings: 'Dono reports mein compare karne ke liye koi key findings nahi hain.',
+        end: '.'
+    },
+    'ur-Arab': {
+        statuses: { normal: 'نارمل', high: 'زیادہ', low: 'کم', abnormal: 'غیر معمولی', critical: 'تشویشناک' },
+        up: ({ parameter, from, to, percent }) => `${parameter} ${from} سے بڑھ کر ${to} ہو گیا${percent}`,
+        down: ({ parameter, from, to, percent }) => `${parameter} ${from} سے کم ہو کر ${to} ہو گیا${percent}`,
+        unchanged: ({ parameter, from, to }) => `${parameter} تقریباً پہلے جیسا ہے (${from} سے ${to})`,
+        notComparable: ({ parameter, from, to }) => `${parameter} پہلے ${from} تھا اور اب ${to} ہے`,
+        enteredNormalRange: '؛ اب یہ نارمل رینج میں ہے',
+        leftNormalRange: (status) => `؛ اب یہ ${status} ہے`,
+        stillOutOfRange: (status) => `؛ یہ اب بھی ${status} ہے`,
+        onlyInEarlier: (parameter) => `${parameter} صرف پہلی رپورٹ میں ٹیسٹ ہوا تھا`,
+        onlyInLater: ({ parameter, value, status }) => `${parameter} (${value}، ${status}) نئی رپورٹ میں پہلی بار آیا ہے`,
+        noFindings: 'دونوں رپورٹس میں موازنے کے لیے کوئی اہم نتائج نہیں ہیں۔',
+        end: '۔'
+    },
+    'pa-Arab': {
+        statuses: { normal: 'نارمل', high: 'ودھ', low: 'گھٹ', abnormal: 'غیر معمولی', critical: 'خطرناک' },
+        up: ({ parameter, from, to, percent }) => `${parameter} ${from} توں ودھ کے ${to} ہو گیا${percent}`,
+        down: ({ parameter, from, to, percent }) => `${parameter} ${from} توں گھٹ کے ${to} ہو گیا${percent}`,
+        unchanged: ({ parameter, from, to }) => `${parameter} لگ بھگ پہلاں ورگا اے (${from} توں ${to})`,
+        notComparable: ({ parameter, from, to }) => `${parameter} پہلاں ${from} سی تے ہُن ${to} اے`,
+        enteredNormalRange: '؛ ہُن ایہہ نارمل رینج وچ اے',
+        leftNormalRange: (status) => `؛ ہُن ایہہ ${status} اے`,
+        stillOutOfRange: (status) => `؛ ایہہ ہُن وی ${status} اے`,
+        onlyInEarlier: (parameter) => `${parameter} صرف پہلی رپورٹ وچ ٹیسٹ ہویا سی`,
+        onlyInLater: ({ parameter, value, status }) => `${parameter} (${value}، ${status}) نویں رپورٹ وچ پہلی واری آیا اے`,
+        noFindings: 'دوواں رپورٹاں وچ مقابلے لئی کوئی اہم نتیجے نہیں نیں۔',
+        end: '۔'
+    },
+    'sd': {
+        statuses: { normal: 'نارمل', high: 'وڌيڪ', low: 'گهٽ', abnormal: 'غير معمولي', critical: 'خطرناڪ' },
+        up: ({ parameter, from, to, percent }) => `${parameter} ${from} کان وڌي ${to} ٿي ويو${percent}`,
+        down: ({ parameter, from, to, percent }) => `${parameter} ${from} کان گهٽجي ${to} ٿي ويو${percent}`,
+        unchanged: ({ parameter, from, to }) => `${parameter} لڳ ڀڳ ساڳيو آهي (${from} کان ${to})`,
+        notComparable: ({ parameter, from, to }) => `${parameter} اڳ ۾ ${from} هو ۽ هاڻي ${to} آهي`,
+        enteredNormalRange: '؛ هاڻي اهو نارمل رينج ۾ آهي',
+        leftNormalRange: (status) => `؛ هاڻي اهو ${status} آهي`,
+        stillOutOfRange: (status) => `؛ اهو اڃا به ${status} آهي`,
+        onlyInEarlier: (parameter) => `${parameter} رڳو پهرين رپورٽ ۾ ٽيسٽ ٿيو هو`,
+        onlyInLater: ({ parameter, value, status }) => `${parameter} (${value}، ${status}) نئين رپورٽ ۾ پهريون ڀيرو آيو آهي`,
+        noFindings: 'ٻنهي رپورٽن ۾ ڀيٽ لاءِ ڪي به اهم نتيجا ناهن.',
+        end: '.'
+    },
+    'ar': {
+        statuses: { normal: 'طبيعي', high: 'مرتفع', low: 'منخفض', abnormal: 'غير طبيعي', critical: 'حرج' },
+        up: ({ parameter, from, to, percent }) => `ارتفع ${parameter} من ${from} إلى ${to}${percent}`,
+        down: ({ parameter, from, to, percent }) => `انخفض ${parameter} من ${from} إلى ${to}${percent}`,
+        unchanged: ({ parameter, from, to }) => `بقي ${parameter} تقريبًا كما هو (من ${from} إلى ${to})`,
+        notComparable: ({ parameter, from, to }) => `كان ${parameter} ${from} وأصبح الآن ${to}`,
+        enteredNormalRange: '؛ وهو الآن ضمن المعدل الطبيعي',
+        leftNormalRange: (status) => `؛ وهو الآن ${status}`,
+        stillOutOfRange: (status) => `؛ ولا يزال ${status}`,
+        onlyInEarlier: (parameter) => `تم قياس ${parameter} في التقرير الأقدم فقط`,
+        onlyInLater: ({ parameter, value, status }) => `${parameter} (${value}، ${status}) جديد في التقرير الأحدث`,
+        noFindings: 'لا توجد نتائج رئيسية للمقارنة بين التقريرين.',
+        end: '.'
+    }
+};
+
+// Wording for a locale, falling back to English
+const getComparisonText = (locale) => TEXT[locale] || TEXT.en;
+
+module.exports = {
+    getComparisonText
+};
@@ -0,0 +1,186 @@
+const File = require('../models/File');
+const User = require('../models/User');
+const AiInsight = require('../models/AiInsight');
+const { analyzeMedicalReport } = require('./aiAnalysis');
+const { extractTextFromParts, formatPagesForAnalysis } = require('./textExtraction');
+const { readFile } = require('./storage');
+const { detectMetadata, METADATA_FIELDS, AUTOFILL_MIN_CONFIDENCE } = require('./metadataDetection');
+const { refreshPreview } = require('./previews');
+const { getUserLocales, BASE_LOCALE } = require('../config/locales');
+
+// Bump an insight version string, e.g. '1.0' -> '2.0'
+const nextVersion = (version) => {
+    const major = parseInt(version) || 1;
+    return `${major + 1}.0`;
+};
+
+// Fields whose upload placeholder stays in place when nothing is detected
+const PLACEHOLDER_FIELDS = ['reportType', 'testDate'];
+
+// Store metadata suggestions and fill fields the user left blank with confident ones.
+// Fields still blank afterwards are marked as defaults (report type and test date) or
+// cleared. Each update is conditional so an edit made while the job runs always wins.
+const applyDetectedMetadata = async (file, suggestions) => {
+    await File.updateOne({ _id: file._id }, {
+        metadataSuggestions: { ...suggestions, detectedAt: new Date() }
+    });
+
+    for (const field of METADATA_FIELDS) {
+        const source = `metadataSource.${field}`;
+        const detected = suggestions[field];
+
+        if (detected && detected.confidence >= AUTOFILL_MIN_CONFIDENCE) {
+            // Placeholders from an earlier run give way to a later detection
+            const result = await File.updateOne(
+                { _id: file._id, [source]: { $in: ['pending', 'default'] } },
+                { [field]: detected.value, [source]: 'detected' }
+            );
+
+            if (result.modifiedCount > 0) {
+                file[field] = detected.value;
+            }
+        } else {
+            await File.updateOne(
+                { _id: file._id, [source]: 'pending' },
+                PLACEHOLDER_FIELDS.includes(field) ? { [source]: 'default' } : { $unset: { [source]: 1 } }
+            );
+        }
+    }
+};
+
+// Extract, analyze and store the AI insight for an uploaded report.
+// Throws on failure so the job queue can retry; file status is managed by the queue.
+// For on-demand runs, onProgress({ stage }) reports each step, onDelta receives the model's
+// response as it streams, and an aborted signal stops the work before anything is saved.
+const analyzeFile = async (fileId, { signal, onProgress = () => {}, onDelta } = {}) => {
+    const file = await File.findById(fileId);
+    if (!file) {
+        throw new Error('File not found');
+    }
+
+    // Get every page of the report from storage
+    onProgress({ stage: 'downloading' });
+    const parts = [];
+    for (const page of file.getPages()) {
+        parts.push({ buffer: await readFile(page), fileType: page.fileType });
+    }
+    const totalBytes = parts.reduce((sum, part) => sum + part.buffer.length, 0);
+    console.log(`Downloaded file ${fileId}: ${parts.length} part(s), ${totalBytes} bytes`);
+
+    // Thumbnail of the first page, for file lists
+    await refreshPreview(file, parts);
+
+    // Extract the report's text: PDF text layer, or OCR for scans and photos
+    if (signal) signal.throwIfAborted();
+    onProgress({ stage: 'extracting-text' });
+    const extraction = await extractTextFromParts(parts);
+    const extractedText = formatPagesForAnalysis(extraction.pages);
+    console.log(`Text extraction (${extraction.method}) confidence: ${extraction.confidence}%`);
+
+    // Suggest report type, date, lab and doctor; a detected report type also steers the analysis
+    await applyDetectedMetadata(file, detectMetadata(extractedText));
+
+    // Prepare data for AI analysis
+    let fileData;
+    if (file.fileType === 'image') {
+        // Images are sent to the model directly, with the OCR transcript as supporting context
+        fileData = parts.length === 1 ? parts[0].buffer : parts.map(part => part.buffer);
+    } else {
+        if (!extractedText) {
+            throw new Error('No text could be extracted from PDF');
+        }
+        fileData = extractedText;
+    }
+
+    // Call the configured model for analysis
+    console.log(`Starting AI analysis for file ${fileId}...`);
+    if (signal) signal.throwIfAborted();
+    onProgress({ stage: 'analyzing' });
+
+    // Text is written in the locales the owner reads
+    const owner = await User.findById(file.user).select('preferences');
+
+    const analysisResult = await analyzeMedicalReport(fileData, file.fileType, file.reportType, {
+        extractedText,
+        locales: getUserLocales(owner),
+        signal,
+        onDelta,
+        // Invalid output is sent back to the model; the streamed text starts over
+        onRetry: (attempt) => onProgress({ stage: 'analyzing', attempt })
+    });
+
+    // A canned response stands in when the model fails (outage, rate limit). Fail the
+    // attempt instead, so the queue retries it with backoff and dead-letters it in the end.
+    if (!analysisResult.success || analysisResult.fallback) {
+        throw new Error(`AI analysis unavailable: ${analysisResult.error || 'model returned no analysis'}`);
+    }
+
+    const analysis = analysisResult.data;
+
+    if (signal) signal.throwIfAborted();
+    onProgress({ stage: 'saving' });
+
+    // Pages replaced while this ran are analyzed on the retry, since the file can have
+    // only one analysis job at a time
+    const latest = await File.findById(file._id).select('contentHash');
+    if (latest && latest.contentHash !== file.contentHash) {
+        throw new Error('Report pages changed during analysis');
+    }
+
+    // Re-analysis keeps the earlier insight as a past version
+    const previousInsight = file.aiInsight ? await AiInsight.findById(file.aiInsight) : null;
+
+    // Create AI insight with the model's results
+    const aiInsight = new AiInsight({
+        file: file._id,
+        user: file.user,
+        rawText: extractedText || `Image file: ${file.originalName}${parts.length > 1 ? ` (${parts.length} pages)` : ''}`,
+        pages: extraction.pages,
+        extractionMethod: extraction.method,
+        ocrLanguages: extraction.languages || [],
+        extractionConfidence: extraction.confidence,
+        summary: analysis.summary && analysis.summary[BASE_LOCALE]
+            ? analysis.summary
+            : { [BASE_LOCALE]: 'Analysis completed' },
+        keyFindings: analysis.keyFindings || [],
+        recommendations: analysis.recommendations || {},
+        doctorQuestions: analysis.doctorQuestions || {},
+        riskFactors: analysis.riskFactors || [],
+        followUpRequired: analysis.followUpRequired || false,
+        followUpTimeframe: analysis.followUpTimeframe || "1-month",
+        confidence: analysis.confidence || 60,
+        template: analysisResult.template,
+        imaging: analysis.imaging,
+        ecg: analysis.ecg,
+        prescription: analysis.prescription,
+        processingTime: analysisResult.processingTime || 0,
+        provider: analysisResult.provider,
+        model: analysisResult.model,
+        outputRepairs: analysisResult.repairs || [],
+        outputAttempts: analysisResult.attempts,
+        version: previousInsight ? nextVersion(previousInsight.version) : '1.0',
+        previousVersion: previousInsight ? previousInsight._id : undefined,
+        fileVersion: file.currentVersion
+    });
+
+    await aiInsight.save();
+
+    if (previousInsight) {
+        previousInsight.supersededAt = new Date();
+        await previousInsight.save();
+    }
+
+    // Link the insight to the file
+    await File.findByIdAndUpdate(file._id, {
+        aiInsight: aiInsight._id,
+        isProcessed: true
+    });
+
+    console.log(`AI processing completed for file ${fileId}`);
+
+    return aiInsight;
+};
+
+module.exports = {
+    analyzeFile
+};
@@ -0,0 +1,175 @@
+// Pieces shared by the report analysis templates: schema fragments for the fields every
+// AiInsight has, the matching part of the prompt, and a prompt builder.
+const { LOCALES, LOCALE_CODES, BASE_LOCALE, LEGACY_KEYS } = require('../../config/locales');
+
+// Text and lists written in several locales (see config/locales). Only English is
+// required; locales the model leaves out are translated on demand.
+const localizedText = {
+    type: 'object',
+    fromString: BASE_LOCALE,
+    keys: LOCALE_CODES,
+    keyAliases: LEGACY_KEYS,
+    additional: { type: 'string' }
+};
+
+const localizedList = {
+    type: 'object',
+    fallback: {},
+    keys: LOCALE_CODES,
+    keyAliases: LEGACY_KEYS,
+    additional: { type: 'array', items: { type: 'string' } }
+};
+
+// Wording models use for risk levels and follow-up timeframes, mapped onto the AiInsight values
+const RISK_LEVEL_ALIASES = {
+    'mild': 'low',
+    'minimal': 'low',
+    'moderate': 'medium',
+    'intermediate': 'medium',
+    'severe': 'high',
+    'significant': 'high'
+};
+
+const TIMEFRAME_ALIASES = {
+    'immediately': '1-week',
+    'urgent': '1-week',
+    'asap': '1-week',
+    '7-days': '1-week',
+    'one-week': '1-week',
+    '2-week': '2-weeks',
+    'two-weeks': '2-weeks',
+    '14-days': '2-weeks',
+    '1-months': '1-month',
+    'one-month': '1-month',
+    '4-weeks': '1-month',
+    '30-days': '1-month',
+    '3-month': '3-months',
+    'three-months': '3-months',
+    '6-month': '6-months',
+    'six-months': '6-months',
+    '12-months': '1-year',
+    '1-years': '1-year',
+    'one-year': '1-year',
+    'yearly': '1-year',
+    'annually': '1-year'
+};
+
+// Output fields every template asks for, matching the AiInsight model
+const COMMON_PROPERTIES = {
+    summary: {
+        ...localizedText,
+        required: true,
+        fallback: { [BASE_LOCALE]: 'Analysis completed. Please consult your doctor for details.' },
+        properties: {
+            [BASE_LOCALE]: { type: 'string', required: true, fallback: 'Analysis completed. Please consult your doctor for details.' }
+        }
+    },
+    recommendations: localizedList,
+    doctorQuestions: localizedList,
+    riskFactors: {
+        type: 'array',
+        dropInvalid: true,
+        items: {
+            type: 'object',
+            properties: {
+                factor: { type: 'string' },
+                level: {
+                    type: 'enum',
+                    required: true,
+                    values: ['low', 'medium', 'high'],
+                    aliases: RISK_LEVEL_ALIASES
+                },
+                description: localizedText
+            }
+        }
+    },
+    followUpRequired: { type: 'boolean' },
+    followUpTimeframe: {
+        type: 'enum',
+        values: ['1-week', '2-weeks', '1-month', '3-months', '6-months', '1-year'],
+        aliases: TIMEFRAME_ALIASES
+    },
+    confidence: { type: 'number', required: true, min: 0, max: 100, fallback: 60 }
+};
+
+// Object schema with the common fields plus a template's own
+const buildSchema = (properties) => ({
+    type: 'object',
+    required: true,
+    properties: { ...COMMON_PROPERTIES, ...properties }
+});
+
+// Helpers for the example output shown in prompts: text('Summary') gives
+// { "en": "Summary, in English", "ur-Latn": "Summary, in Roman Urdu" } for the locales asked for
+const exampleHelpers = (locales) => ({
+    text: (description) => Object.fromEntries(
+        locales.map(locale => [locale, `${description}, in ${LOCALES[locale].name}`])
+    ),
+    list: (items) => Object.fromEntries(
+        locales.map(locale => [locale, items.map(item => `${item}, in ${LOCALES[locale].name}`)])
+    )
+});
+
+// Prompt asking for a JSON object with the common fields and the template's own. fields
+// receives the example helpers and returns the template's example fields, which are placed
+// after the summary. The report content is appended.
+const buildPrompt = ({ role, task, fileType, reportType, locales, fields, guidelines }) => {
+    const { text, list } = exampleHelpers(locales);
+    const example = {
+        summary: text('Clear, concise summary'),
+        ...fields({ text, list }),
+        recommendations: list(['Recommendation 1', 'Recommendation 2']),
+        doctorQuestions: list(['Question 1 for doctor', 'Question 2 for doctor']),
+        riskFactors: [
+            {
+                factor: 'Risk factor name',
+                level: 'low|medium|high',
+                description: text('Description')
+            }
+        ],
+        followUpRequired: true,
+        followUpTimeframe: '1-week|2-weeks|1-month|3-months|6-months|1-year',
+        confidence: 85
+    };
+
+    const languages = locales.map(locale => `"${locale}" = ${LOCALES[locale].prompt}`).join('; ');
+    const allGuidelines = [
+        'Be accurate and professional',
+        'Use simple, clear language',
+        `Write every text field in each of these languages, keyed by code: ${languages}`,
+        ...guidelines,
+        'Set confidence level based on clarity of report',
+        'If report is unclear or incomplete, mention this in confidence level'
+    ];
+
+    return `You are a medical AI assistant specializing in ${role}.
+Analyze the following ${fileType} medical report. ${task}
+
+Report Type: ${reportType}
+
+Please provide your analysis in the following JSON format:
+${JSON.stringify(example, null, 2)}
+
+Important guidelines:
+${allGuidelines.map((guideline, index) => `${index + 1}. ${guideline}`).join('\n')}
+
+Medical Report Content:`;
+};
+
+// AiInsight fields shared by every template, from validated output
+const commonInsightFields = (data) => ({
+    summary: data.summary,
+    recommendations: data.recommendations,
+    doctorQuestions: data.doctorQuestions,
+    riskFactors: data.riskFactors,
+    followUpRequired: data.followUpRequired,
+    followUpTimeframe: data.followUpTimeframe,
+    confidence: data.confidence
+});
+
+module.exports = {
+    localizedText,
+    buildSchema,
+    buildPrompt,
+    commonInsightFields
+};
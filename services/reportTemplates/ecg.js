@@ -0,0 +1,160 @@
+const { localizedText, buildSchema, buildPrompt, commonInsightFields } = require('./common');
+const { BASE_LOCALE } = require('../../config/locales');
+
+// ECGs: rhythm, rate, intervals and axis, with the interpretation. Rate and intervals
+// become key findings, their status judged against adult reference ranges.
+
+// Adult reference ranges, in bpm and milliseconds
+const MEASUREMENTS = [
+    { key: 'heartRate', parameter: 'Heart rate', unit: 'bpm', min: 60, max: 100 },
+    { key: 'pr', parameter: 'PR interval', unit: 'ms', min: 120, max: 200 },
+    { key: 'qrs', parameter: 'QRS duration', unit: 'ms', min: 70, max: 120 },
+    { key: 'qtc', parameter: 'QTc interval', unit: 'ms', min: 350, max: 460 }
+];
+
+const FINDING_STATUS_ALIASES = {
+    'wnl': 'normal',
+    'within-normal-limits': 'normal',
+    'borderline': 'abnormal',
+    'non-specific': 'abnormal',
+    'nonspecific': 'abnormal',
+    'significant': 'abnormal',
+    'severe': 'critical',
+    'acute': 'critical'
+};
+
+// In milliseconds; values given in seconds are converted by toInsight
+const interval = { type: 'number', min: 0, max: 2000 };
+
+const schema = buildSchema({
+    rhythm: { type: 'string', required: true },
+    heartRate: { type: 'number', min: 0, max: 400 },
+    intervals: {
+        type: 'object',
+        properties: {
+            pr: interval,
+            qrs: interval,
+            qt: interval,
+            qtc: interval
+        }
+    },
+    axis: { type: 'string' },
+    findings: {
+        type: 'array',
+        dropInvalid: true,
+        items: {
+            type: 'object',
+            properties: {
+                finding: { type: 'string', required: true },
+                detail: { type: 'string' },
+                status: {
+                    type: 'enum',
+                    required: true,
+                    values: ['normal', 'abnormal', 'critical'],
+                    aliases: FINDING_STATUS_ALIASES
+                },
+                significance: localizedText
+            }
+        }
+    },
+    interpretation: {
+        ...localizedText,
+        required: true,
+        properties: {
+            [BASE_LOCALE]: { type: 'string', required: true }
+        }
+    }
+});
+
+const fields = ({ text }) => ({
+    rhythm: 'Rhythm, e.g. Normal sinus rhythm',
+    heartRate: 72,
+    intervals: {
+        pr: 160,
+        qrs: 90,
+        qt: 380,
+        qtc: 410
+    },
+    axis: 'Normal|Left axis deviation|Right axis deviation',
+    findings: [
+        {
+            finding: 'Finding, e.g. ST elevation',
+            detail: 'Leads or other detail, e.g. V1-V3',
+            status: 'normal|abnormal|critical',
+            significance: text('What this means')
+        }
+    ],
+    interpretation: text('Overall interpretation of the ECG')
+});
+
+// Seconds to milliseconds, for intervals reported as e.g. 0.16
+const toMilliseconds = (value) => (value !== undefined && value < 5 ? Math.round(value * 1000) : value);
+
+const toKeyFindings = (data) => {
+    const values = { heartRate: data.heartRate, ...data.intervals };
+
+    const measured = MEASUREMENTS
+        .filter(measurement => values[measurement.key] !== undefined)
+        .map(measurement => {
+            const value = values[measurement.key];
+            let status = 'normal';
+            if (value < measurement.min) status = 'low';
+            if (value > measurement.max) status = 'high';
+            return {
+                parameter: measurement.parameter,
+                value: String(value),
+                unit: measurement.unit,
+                status,
+                normalRange: `${measurement.min}-${measurement.max}`
+            };
+        });
+
+    const findings = (data.findings || []).map(finding => ({
+        parameter: finding.finding,
+        value: finding.detail || 'Present',
+        status: finding.status,
+        significance: finding.significance
+    }));
+
+    return [...measured, ...findings];
+};
+
+module.exports = {
+    name: 'ecg',
+    reportTypes: ['ecg'],
+    schema,
+    buildPrompt: ({ fileType, reportType, locales }) => buildPrompt({
+        role: 'explaining electrocardiograms (ECGs)',
+        task: 'Report the rhythm, rate, intervals and axis, and explain the interpretation in plain language.',
+        fileType,
+        reportType,
+        locales,
+        fields,
+        guidelines: [
+            'Give intervals in milliseconds and heart rate in beats per minute; leave out values the report does not state',
+            'List each abnormality the report mentions as a finding',
+            'Highlight any critical findings, such as signs of a heart attack or a dangerous rhythm',
+            'Ask relevant questions for doctor consultation',
+            'Assess risk factors appropriately'
+        ]
+    }),
+    toInsight: (data) => {
+        const intervals = {};
+        Object.entries(data.intervals || {}).forEach(([key, value]) => {
+            intervals[key] = toMilliseconds(value);
+        });
+        const normalized = { ...data, intervals };
+
+        return {
+            ...commonInsightFields(data),
+            keyFindings: toKeyFindings(normalized),
+            ecg: {
+                rhythm: data.rhythm,
+                heartRate: data.heartRate,
+                intervals,
+                axis: data.axis,
+                interpretation: data.interpretation
+            }
+        };
+    }
+};
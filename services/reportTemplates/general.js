@@ -0,0 +1,97 @@
+const { localizedText, buildSchema, buildPrompt, commonInsightFields } = require('./common');
+
+// Lab-style analysis of measured values, for blood and urine tests and for any report
+// type without a template of its own
+
+// Wording models use for finding statuses, mapped onto the AiInsight values
+const STATUS_ALIASES = {
+    'h': 'high',
+    'elevated': 'high',
+    'raised': 'high',
+    'increased': 'high',
+    'above-normal': 'high',
+    'borderline-high': 'high',
+    'slightly-high': 'high',
+    'l': 'low',
+    'decreased': 'low',
+    'reduced': 'low',
+    'below-normal': 'low',
+    'borderline-low': 'low',
+    'slightly-low': 'low',
+    'ok': 'normal',
+    'wnl': 'normal',
+    'within-normal-limits': 'normal',
+    'within-range': 'normal',
+    'in-range': 'normal',
+    'negative': 'normal',
+    'non-reactive': 'normal',
+    'borderline': 'abnormal',
+    'positive': 'abnormal',
+    'reactive': 'abnormal',
+    'out-of-range': 'abnormal',
+    'severe': 'critical',
+    'panic': 'critical',
+    'critically-high': 'critical',
+    'critically-low': 'critical'
+};
+
+const schema = buildSchema({
+    keyFindings: {
+        type: 'array',
+        dropInvalid: true,
+        items: {
+            type: 'object',
+            properties: {
+                parameter: { type: 'string', required: true },
+                value: { type: 'string', required: true },
+                unit: { type: 'string' },
+                status: {
+                    type: 'enum',
+                    required: true,
+                    values: ['normal', 'high', 'low', 'abnormal', 'critical'],
+                    aliases: STATUS_ALIASES
+                },
+                normalRange: { type: 'string' },
+                significance: localizedText
+            }
+        }
+    }
+});
+
+const fields = ({ text }) => ({
+    keyFindings: [
+        {
+            parameter: 'Parameter name',
+            value: 'Measured value',
+            unit: 'Unit of measurement',
+            status: 'normal|high|low|abnormal|critical',
+            normalRange: 'Normal range',
+            significance: text('What this means')
+        }
+    ]
+});
+
+module.exports = {
+    name: 'general',
+    reportTypes: ['blood-test', 'urine-test'],
+    schema,
+    buildPrompt: ({ fileType, reportType, locales }) => buildPrompt({
+        role: 'analyzing medical reports',
+        task: 'Provide a comprehensive analysis.',
+        fileType,
+        reportType,
+        locales,
+        fields,
+        guidelines: [
+            'Focus on actionable insights',
+            'Highlight any critical or abnormal values',
+            'Provide practical recommendations',
+            'Ask relevant questions for doctor consultation',
+            'Assess risk factors appropriately'
+        ]
+    }),
+    toInsight: (data) => ({
+        ...commonInsightFields(data),
+        keyFindings: data.keyFindings
+    })
+};
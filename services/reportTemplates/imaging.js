@@ -0,0 +1,104 @@
+const { localizedText, buildSchema, buildPrompt, commonInsightFields } = require('./common');
+const { BASE_LOCALE } = require('../../config/locales');
+
+// Radiology reports: findings described per structure, and the radiologist's impression.
+// Findings become key findings with the observation as their value.
+
+const FINDING_STATUS_ALIASES = {
+    'unremarkable': 'normal',
+    'no-abnormality': 'normal',
+    'no-abnormality-detected': 'normal',
+    'nad': 'normal',
+    'wnl': 'normal',
+    'within-normal-limits': 'normal',
+    'negative': 'normal',
+    'clear': 'normal',
+    'mild': 'abnormal',
+    'minor': 'abnormal',
+    'moderate': 'abnormal',
+    'suspicious': 'abnormal',
+    'indeterminate': 'abnormal',
+    'positive': 'abnormal',
+    'significant': 'abnormal',
+    'severe': 'critical',
+    'urgent': 'critical'
+};
+
+const schema = buildSchema({
+    technique: { type: 'string' },
+    comparison: { type: 'string' },
+    findings: {
+        type: 'array',
+        dropInvalid: true,
+        items: {
+            type: 'object',
+            properties: {
+                structure: { type: 'string', required: true },
+                observation: { type: 'string', required: true },
+                status: {
+                    type: 'enum',
+                    required: true,
+                    values: ['normal', 'abnormal', 'critical'],
+                    aliases: FINDING_STATUS_ALIASES
+                },
+                significance: localizedText
+            }
+        }
+    },
+    impression: {
+        ...localizedText,
+        required: true,
+        properties: {
+            [BASE_LOCALE]: { type: 'string', required: true }
+        }
+    }
+});
+
+const fields = ({ text }) => ({
+    technique: 'Imaging technique and views, e.g. Chest X-ray PA view',
+    comparison: 'Earlier studies compared against, if any',
+    findings: [
+        {
+            structure: 'Organ, region or structure examined',
+            observation: 'What the report says about it',
+            status: 'normal|abnormal|critical',
+            significance: text('What this means')
+        }
+    ],
+    impression: text("The radiologist's impression or conclusion")
+});
+
+module.exports = {
+    name: 'imaging',
+    reportTypes: ['x-ray', 'ct-scan', 'mri', 'ultrasound'],
+    schema,
+    buildPrompt: ({ fileType, reportType, locales }) => buildPrompt({
+        role: 'explaining radiology reports',
+        task: 'Explain the findings and the impression in plain language.',
+        fileType,
+        reportType,
+        locales,
+        fields,
+        guidelines: [
+            'List one finding per structure the report describes, including normal ones',
+            'Keep the impression faithful to the report; do not add diagnoses it does not make',
+            'Highlight any critical or abnormal findings',
+            'Ask relevant questions for doctor consultation',
+            'Assess risk factors appropriately'
+        ]
+    }),
+    toInsight: (data) => ({
+        ...commonInsightFields(data),
+        keyFindings: (data.findings || []).map(finding => ({
+            parameter: finding.structure,
+            value: finding.observation,
+            status: finding.status,
+            significance: finding.significance
+        })),
+        imaging: {
+            technique: data.technique,
+            comparison: data.comparison,
+            impression: data.impression
+        }
+    })
+};
@@ -0,0 +1,23 @@
+// Analysis templates by report type. Each template has:
+//   name          stored on the insight as its template
+//   reportTypes   the report types it handles
+//   buildPrompt({ fileType, reportType, locales }) -> prompt, to which the report content is appended
+//   schema        the output schema (see ../llm/validation)
+//   toInsight(data) -> AiInsight fields from validated output
+// Report types without a template of their own use the general lab-style template.
+const general = require('./general');
+
+const templates = [
+    general,
+    require('./imaging'),
+    require('./ecg'),
+    require('./prescription')
+];
+
+const getTemplate = (reportType) => {
+    return templates.find(template => template.reportTypes.includes(reportType)) || general;
+};
+
+module.exports = {
+    getTemplate
+};
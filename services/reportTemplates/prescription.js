@@ -0,0 +1,74 @@
+const { localizedText, buildSchema, buildPrompt, commonInsightFields } = require('./common');
+
+// Prescriptions: the drugs prescribed, with dose and schedule explained. There are no
+// measured values, so no key findings.
+
+const schema = buildSchema({
+    diagnosis: { type: 'string' },
+    prescriber: { type: 'string' },
+    medications: {
+        type: 'array',
+        dropInvalid: true,
+        items: {
+            type: 'object',
+            properties: {
+                name: { type: 'string', required: true },
+                strength: { type: 'string' },
+                form: { type: 'string' },
+                dose: { type: 'string' },
+                frequency: { type: 'string' },
+                route: { type: 'string' },
+                duration: { type: 'string' },
+                instructions: localizedText,
+                purpose: localizedText
+            }
+        }
+    }
+});
+
+const fields = ({ text }) => ({
+    diagnosis: 'Diagnosis or complaint written on the prescription, if any',
+    prescriber: 'Prescribing doctor, if legible',
+    medications: [
+        {
+            name: 'Drug name as written',
+            strength: 'e.g. 500 mg',
+            form: 'tablet|capsule|syrup|injection|drops|cream|inhaler|other',
+            dose: 'Amount per dose, e.g. 1 tablet',
+            frequency: 'How often, spelled out, e.g. twice daily (BD)',
+            route: 'e.g. by mouth',
+            duration: 'e.g. 5 days',
+            instructions: text('How to take it, e.g. after meals'),
+            purpose: text('What this medicine is usually for')
+        }
+    ]
+});
+
+module.exports = {
+    name: 'prescription',
+    reportTypes: ['prescription'],
+    schema,
+    buildPrompt: ({ fileType, reportType, locales }) => buildPrompt({
+        role: 'reading medical prescriptions',
+        task: 'List each medicine prescribed and explain how to take it in plain language.',
+        fileType,
+        reportType,
+        locales,
+        fields,
+        guidelines: [
+            'Copy drug names as written; if a name is illegible, say so rather than guessing',
+            'Spell out abbreviations such as OD, BD, TDS, HS and SOS',
+            'Use riskFactors for interactions, duplicate medicines or doses that look unusual',
+            'Ask relevant questions for doctor consultation, e.g. about side effects'
+        ]
+    }),
+    toInsight: (data) => ({
+        ...commonInsightFields(data),
+        keyFindings: [],
+        prescription: {
+            diagnosis: data.diagnosis,
+            prescriber: data.prescriber,
+            medications: data.medications || []
+        }
+    })
+};
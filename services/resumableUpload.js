@@ -0,0 +1,287 @@
+const crypto = require('crypto');
+const { Readable } = require('stream');
+const UploadSession = require('../models/UploadSession');
+const UploadChunk = require('../models/UploadChunk');
+const { getStorage, getFileStorage, getStorageOptions } = require('./storage');
+const { storePage } = require('../middleware/upload');
+const UploadError = require('./uploadError');
+const { PdfScanner, assertContentType, inspectUpload } = require('./contentSafety');
+
+// Largest file accepted through resumable uploads
+const MAX_UPLOAD_BYTES = parseInt(process.env.RESUMABLE_UPLOAD_MAX_BYTES) || 200 * 1024 * 1024;
+// Default chunk size; stays under serverless request body limits
+const DEFAULT_CHUNK_SIZE = parseInt(process.env.RESUMABLE_UPLOAD_CHUNK_SIZE) || 4 * 1024 * 1024;
+// Chunks are stored as MongoDB documents, which are capped at 16MB
+const MAX_CHUNK_SIZE = 8 * 1024 * 1024;
+// How long an unfinished upload can be resumed
+const SESSION_TTL_MS = (parseInt(process.env.RESUMABLE_UPLOAD_TTL_HOURS) || 24) * 60 * 60 * 1000;
+
+const sha256 = (buffer) => crypto.createHash('sha256').update(buffer).digest('hex');
+
+// Start a resumable upload
+const createSession = (userId, { originalName, mimeType, totalSize, checksum, chunkSize }) => {
+    if (totalSize > MAX_UPLOAD_BYTES) {
+        throw new UploadError(413, 'FILE_TOO_LARGE', `File too large. Maximum size is ${Math.floor(MAX_UPLOAD_BYTES / (1024 * 1024))}MB.`);
+    }
+
+    return UploadSession.create({
+        user: userId,
+        originalName,
+        mimeType,
+        totalSize,
+        checksum,
+        chunkSize: Math.min(chunkSize || DEFAULT_CHUNK_SIZE, MAX_CHUNK_SIZE),
+        expiresAt: new Date(Date.now() + SESSION_TTL_MS)
+    });
+};
+
+// Find a user's upload session
+const getSession = (sessionId, userId) => UploadSession.findOne({ _id: sessionId, user: userId });
+
+// Store a chunk at the given byte offset. Chunks must arrive in order: a chunk for
+// any offset other than the session's current one is rejected with that offset, so
+// the client knows where to resume.
+const appendChunk = async (session, offset, data, checksum) => {
+    if (session.status !== 'uploading') {
+        throw new UploadError(409, 'UPLOAD_NOT_ACTIVE', `Upload is ${session.status}`);
+    }
+    if (offset !== session.receivedBytes) {
+        throw new UploadError(409, 'OFFSET_MISMATCH', 'Chunk does not start at the current offset', {
+            offset: session.receivedBytes
+        });
+    }
+    if (data.length === 0 || data.length > session.chunkSize) {
+        throw new UploadError(400, 'INVALID_CHUNK_SIZE', `Chunks must be between 1 and ${session.chunkSize} bytes`);
+    }
+    if (offset + data.length > session.totalSize) {
+        throw new UploadError(400, 'CHUNK_PAST_END', 'Chunk extends past the declared file size');
+    }
+
+    const actualChecksum = sha256(data);
+    if (actualChecksum !== checksum) {
+        throw new UploadError(422, 'CHUNK_CHECKSUM_MISMATCH', 'Chunk checksum does not match its contents', {
+            offset: session.receivedBytes
+        });
+    }
+
+    // Catch files that aren't what they claim to be before receiving the rest
+    if (offset === 0) {
+        assertContentType(data, session.mimeType);
+    }
+
+    try {
+        await UploadChunk.create({
+            session: session._id,
+            offset,
+            size: data.length,
+            checksum: actualChecksum,
+            data,
+            expiresAt: session.expiresAt
+        });
+    } catch (error) {
+        // Another request stored this chunk first
+        if (error.code === 11000) {
+            const current = await UploadSession.findById(session._id).select('receivedBytes');
+            throw new UploadError(409, 'OFFSET_MISMATCH', 'Chunk already received', {
+                offset: current ? current.receivedBytes : session.receivedBytes
+            });
+        }
+        throw error;
+    }
+
+    // Advance the offset only if nothing else moved it in the meantime
+    const updated = await UploadSession.findOneAndUpdate(
+        { _id: session._id, status: 'uploading', receivedBytes: offset },
+        { $inc: { receivedBytes: data.length } },
+        { new: true }
+    );
+
+    if (!updated) {
+        await UploadChunk.deleteOne({ session: session._id, offset });
+        const current = await UploadSession.findById(session._id).select('receivedBytes');
+        throw new UploadError(409, 'OFFSET_MISMATCH', 'Upload offset changed while the chunk was stored', {
+            offset: current ? current.receivedBytes : session.receivedBytes
+        });
+    }
+
+    return updated;
+};
+
+// Stream a session's chunks in order, as one continuous file
+const streamChunks = (session) => {
+    const cursor = UploadChunk.find({ session: session._id }).sort({ offset: 1 }).cursor();
+
+    return Readable.from((async function* () {
+        let expected = 0;
+        for await (const chunk of cursor) {
+            if (chunk.offset !== expected) {
+                throw new Error(`Missing upload data at byte ${expected}`);
+            }
+            expected += chunk.size;
+            yield chunk.data;
+        }
+        if (expected !== session.totalSize) {
+            throw new Error(`Upload ended at byte ${expected} of ${session.totalSize}`);
+        }
+    })());
+};
+
+// Hash the assembled file without holding it in memory, feeding each chunk to the scanner if given
+const hashChunks = async (session, scanner) => {
+    const hash = crypto.createHash('sha256');
+    for await (const data of streamChunks(session)) {
+        hash.update(data);
+        if (scanner) scanner.write(data);
+    }
+    return hash.digest('hex');
+};
+
+// Read the assembled file into memory; only used for images, which are resized on upload
+const readChunks = async (session) => {
+    const buffers = [];
+    for await (const data of streamChunks(session)) {
+        buffers.push(data);
+    }
+    return Buffer.concat(buffers);
+};
+
+// Claim a fully received session for completion, so it is only assembled once
+const beginCompletion = async (session) => {
+    const claimed = await UploadSession.findOneAndUpdate(
+        { _id: session._id, status: 'uploading', receivedBytes: session.totalSize },
+        { status: 'completing' },
+        { new: true }
+    );
+
+    if (!claimed) {
+        if (session.status === 'uploading') {
+            throw new UploadError(409, 'UPLOAD_INCOMPLETE', 'Upload is not complete', {
+                offset: session.receivedBytes,
+                totalSize: session.totalSize
+            });
+        }
+        throw new UploadError(409, 'UPLOAD_NOT_ACTIVE', `Upload is ${session.status}`);
+    }
+
+    return claimed;
+};
+
+// Verify the assembled file against the declared checksum and, for PDFs, check it
+// for encryption and JavaScript in the same pass. A failure fails the session and
+// discards its chunks: the client has to upload a different file.
+const verifyUpload = async (session) => {
+    const scanner = session.mimeType === 'application/pdf' ? new PdfScanner() : null;
+
+    const checksum = await hashChunks(session, scanner);
+    if (checksum !== session.checksum) {
+        await failSession(session, 'Checksum mismatch');
+        throw new UploadError(422, 'CHECKSUM_MISMATCH', 'The uploaded file does not match its checksum');
+    }
+
+    if (scanner) {
+        try {
+            scanner.end();
+        } catch (error) {
+            await failSession(session, error.message);
+            throw error;
+        }
+    }
+};
+
+// Write the assembled file to the configured storage backend, returning a page record
+// in the shape the multer upload path produces
+const storeSession = async (session) => {
+    const storage = getStorage();
+
+    if (session.mimeType.startsWith('image/')) {
+        const buffer = await readChunks(session);
+        try {
+            inspectUpload(buffer, session.mimeType);
+        } catch (error) {
+            await failSession(session, error.message);
+            throw error;
+        }
+        return storePage({ buffer, originalname: session.originalName, mimetype: session.mimeType }, session.user, storage);
+    }
+
+    const stored = await storage.putStream(streamChunks(session), {
+        name: `healthmate_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
+        folder: `healthmate/${session.user}`,
+        resourceType: 'raw',
+        mimeType: session.mimeType,
+        size: session.totalSize
+    });
+
+    return {
+        originalName: session.originalName,
+        fileName: session.originalName,
+        filePath: stored.key,
+        fileType: 'pdf',
+        mimeType: session.mimeType,
+        fileSize: stored.bytes,
+        storageProvider: storage.name,
+        resourceType: stored.resourceType,
+        storageAccess: stored.access,
+        contentHash: session.checksum
+    };
+};
+
+// Delete a stored page whose File record could not be created
+const discardStoredPage = async (page) => {
+    const result = await getFileStorage(page).delete(page.filePath, getStorageOptions(page));
+    if (!result.success) {
+        console.warn(`Failed to delete upload ${page.filePath}:`, result.error);
+    }
+};
+
+// Let the client retry completion after a transient failure
+const reopenSession = (session) => {
+    return UploadSession.updateOne({ _id: session._id, status: 'completing' }, { status: 'uploading' });
+};
+
+// Record the File created from a session and drop its chunks
+const finishSession = async (session, fileId) => {
+    await UploadSession.updateOne({ _id: session._id }, { status: 'completed', file: fileId });
+    await UploadChunk.deleteMany({ session: session._id });
+};
+
+const failSession = async (session, error) => {
+    await UploadSession.updateOne({ _id: session._id }, { status: 'failed', error });
+    await UploadChunk.deleteMany({ session: session._id });
+};
+
+// Cancel an upload and discard what was received
+const cancelSession = async (session) => {
+    await UploadChunk.deleteMany({ session: session._id });
+    await UploadSession.deleteOne({ _id: session._id });
+};
+
+// Client-facing view of a session
+const describeSession = (session) => ({
+    id: session._id,
+    originalName: session.originalName,
+    mimeType: session.mimeType,
+    totalSize: session.totalSize,
+    chunkSize: session.chunkSize,
+    offset: session.receivedBytes,
+    status: session.status,
+    file: session.file,
+    error: session.error,
+    expiresAt: session.expiresAt
+});
+
+module.exports = {
+    MAX_UPLOAD_BYTES,
+    MAX_CHUNK_SIZE,
+    createSession,
+    getSession,
+    appendChunk,
+    beginCompletion,
+    verifyUpload,
+    storeSession,
+    discardStoredPage,
+    reopenSession,
+    finishSession,
+    cancelSession,
+    describeSession
+};
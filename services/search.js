@@ -0,0 +1,139 @@
+const File = require('../models/File');
+const AiInsight = require('../models/AiInsight');
+const { BASE_LOCALE } = require('../config/locales');
+
+// Cap on candidates fetched from each text index before ranking
+const MAX_CANDIDATES = 200;
+// Characters of context shown either side of a match
+const SNIPPET_CONTEXT = 60;
+// Matches in report contents count for more than matches in file details
+const INSIGHT_SCORE_WEIGHT = 1.5;
+
+// Split a search string into plain terms for highlighting
+const getSearchTerms = (search) => {
+    return [...new Set(
+        search
+            .toLowerCase()
+            .split(/[^\p{L}\p{N}.%-]+/u)
+            .map(term => term.replace(/^[.%-]+|[.%-]+$/g, ''))
+            .filter(term => term.length > 1)
+    )];
+};
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Find term matches in a text, returning a snippet around the first one with
+// highlight ranges relative to the snippet
+const buildSnippet = (field, text, terms) => {
+    if (!text || terms.length === 0) return null;
+
+    const pattern = new RegExp(terms.map(escapeRegExp).join('|'), 'gi');
+    const first = pattern.exec(text);
+    if (!first) return null;
+
+    const start = Math.max(0, first.index - SNIPPET_CONTEXT);
+    const end = Math.min(text.length, first.index + first[0].length + SNIPPET_CONTEXT);
+    const prefix = start > 0 ? '…' : '';
+    const snippet = prefix + text.slice(start, end).replace(/\s+/g, ' ') + (end < text.length ? '…' : '');
+
+    // Recompute ranges on the whitespace-collapsed snippet
+    const highlights = [];
+    const snippetPattern = new RegExp(terms.map(escapeRegExp).join('|'), 'gi');
+    let match;
+    while ((match = snippetPattern.exec(snippet)) !== null) {
+        highlights.push([match.index, match.index + match[0].length]);
+    }
+
+    return { field, snippet, highlights };
+};
+
+// Snippets for every field of a file and its insight that mention a search term
+const buildSnippets = (file, insight, terms) => {
+    const snippets = [];
+
+    if (insight) {
+        (insight.keyFindings || []).forEach(finding => {
+            const line = [
+                `${finding.parameter}: ${finding.value}${finding.unit ? ' ' + finding.unit : ''}`,
+                finding.status ? `(${finding.status})` : ''
+            ].join(' ').trim();
+            const snippet = buildSnippet('keyFindings', line, terms);
+            if (snippet && getSearchTerms(finding.parameter).some(term => terms.includes(term))) {
+                snippets.push(snippet);
+            }
+        });
+
+        [
+            buildSnippet('summary', insight.summary && insight.summary.get(BASE_LOCALE), terms),
+            buildSnippet('rawText', insight.rawText, terms)
+        ].forEach(snippet => snippet && snippets.push(snippet));
+    }
+
+    ['originalName', 'labName', 'doctorName', 'description'].forEach(field => {
+        const snippet = buildSnippet(field, file[field], terms);
+        if (snippet) snippets.push(snippet);
+    });
+
+    return snippets.slice(0, 5);
+};
+
+// Ranked full-text search over a user's files: file details, extracted report text,
+// AI summaries and key finding parameters
+const searchFiles = async (userId, search, { reportType, page = 1, limit = 10 } = {}) => {
+    const textQuery = { $text: { $search: search } };
+    const scoreProjection = { score: { $meta: 'textScore' } };
+
+    const [fileMatches, insightMatches] = await Promise.all([
+        File.find({ user: userId, ...textQuery }, scoreProjection)
+            .sort({ score: { $meta: 'textScore' } })
+            .limit(MAX_CANDIDATES)
+            .select('_id'),
+        AiInsight.find({ user: userId, supersededAt: null, ...textQuery }, scoreProjection)
+            .sort({ score: { $meta: 'textScore' } })
+            .limit(MAX_CANDIDATES)
+            .select('file rawText summary keyFindings')
+    ]);
+
+    // Combine scores per file
+    const scores = new Map();
+    const insightsByFile = new Map();
+    fileMatches.forEach(file => {
+        scores.set(file._id.toString(), file.get('score'));
+    });
+    insightMatches.forEach(insight => {
+        const fileId = insight.file.toString();
+        scores.set(fileId, (scores.get(fileId) || 0) + insight.get('score') * INSIGHT_SCORE_WEIGHT);
+        insightsByFile.set(fileId, insight);
+    });
+
+    const fileQuery = { _id: { $in: [...scores.keys()] }, user: userId };
+    if (reportType) {
+        fileQuery.reportType = reportType;
+    }
+
+    const files = await File.find(fileQuery)
+        .populate('aiInsight', 'summary keyFindings recommendations confidence')
+        .select('-filePath');
+
+    const terms = getSearchTerms(search);
+    const ranked = files
+        .map(file => ({ file, score: scores.get(file._id.toString()) }))
+        .sort((a, b) => b.score - a.score);
+
+    const pageItems = ranked.slice((page - 1) * limit, page * limit).map(({ file, score }) => ({
+        file,
+        score: Math.round(score * 100) / 100,
+        snippets: buildSnippets(file, insightsByFile.get(file._id.toString()), terms)
+    }));
+
+    return {
+        results: pageItems,
+        total: ranked.length
+    };
+};
+
+module.exports = {
+    searchFiles,
+    getSearchTerms,
+    buildSnippet
+};
@@ -0,0 +1,169 @@
+const { Readable } = require('stream');
+const {
+    cloudinary,
+    uploadToCloudinary,
+    deleteFromCloudinary,
+    generateSignedUrl,
+    generateThumbnail
+} = require('../../config/cloudinary');
+
+// Cloudinary delivery type for each access mode. Authenticated assets are only reachable through signed URLs.
+const deliveryTypes = {
+    private: 'authenticated',
+    public: 'upload'
+};
+
+// Store a buffer in Cloudinary
+const put = async (buffer, { folder, name, mimeType, resourceType = 'image' } = {}) => {
+    const result = await uploadToCloudinary(buffer, {
+        public_id: name,
+        folder,
+        resource_type: resourceType,
+        type: deliveryTypes.private,
+        mimeType
+    });
+
+    if (!result.success) {
+        throw new Error(result.error);
+    }
+
+    return {
+        key: result.data.public_id,
+        bytes: result.data.bytes,
+        width: result.data.width,
+        height: result.data.height,
+        resourceType: result.data.resource_type,
+        format: result.data.format,
+        access: 'private'
+    };
+};
+
+// Upload a stream to Cloudinary in chunks, for files over its single-request limit
+const putStream = (stream, { folder, name, resourceType = 'image' } = {}) => {
+    return new Promise((resolve, reject) => {
+        const upload = cloudinary.uploader.upload_chunked_stream({
+            public_id: name,
+            folder,
+            resource_type: resourceType,
+            type: deliveryTypes.private,
+            overwrite: false
+        }, (error, result) => {
+            if (error) {
+                return reject(new Error(error.message || 'Cloudinary upload failed'));
+            }
+
+            resolve({
+                key: result.public_id,
+                bytes: result.bytes,
+                width: result.width,
+                height: result.height,
+                resourceType: result.resource_type,
+                format: result.format,
+                access: 'private'
+            });
+        });
+
+        stream.on('error', reject);
+        stream.pipe(upload);
+    });
+};
+
+// Short-lived signed URL for a stored asset
+const getSignedUrl = (key, { resourceType = 'image', access = 'public', format, expiresIn = 60 * 60 * 24, attachment = false } = {}) => {
+    const expiresAt = Math.floor(Date.now() / 1000) + expiresIn;
+
+    // Legacy assets were uploaded publicly and can only be signed, not expired
+    if (access !== 'private') {
+        return generateSignedUrl(key, {
+            resource_type: resourceType,
+            expires_at: expiresAt
+        });
+    }
+
+    return cloudinary.utils.private_download_url(key, format || '', {
+        resource_type: resourceType,
+        type: deliveryTypes.private,
+        expires_at: expiresAt,
+        attachment
+    });
+};
+
+// Stream a stored asset
+const getStream = async (key, options = {}) => {
+    const assetUrl = getSignedUrl(key, { ...options, expiresIn: 5 * 60 });
+    const response = await fetch(assetUrl, { headers: { 'User-Agent': 'HealthMate/1.0' } });
+
+    if (!response.ok) {
+        throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+    }
+
+    return Readable.fromWeb(response.body);
+};
+
+// Delete a stored asset
+const remove = async (key, { resourceType = 'image', access = 'public' } = {}) => {
+    const result = await deleteFromCloudinary(key, {
+        resource_type: resourceType,
+        type: deliveryTypes[access] || deliveryTypes.public
+    });
+
+    // Already gone counts as deleted, so cleanup can be retried safely
+    if (!result.success && result.data && result.data.result === 'not found') {
+        return { success: true, data: result.data };
+    }
+
+    return result;
+};
+
+// List assets under a key prefix, across resource and delivery types
+const list = async (prefix) => {
+    const assets = [];
+
+    for (const resourceType of ['image', 'raw']) {
+        for (const access of Object.keys(deliveryTypes)) {
+            let nextCursor;
+            do {
+                const result = await cloudinary.api.resources({
+                    resource_type: resourceType,
+                    type: deliveryTypes[access],
+                    prefix,
+                    max_results: 500,
+                    next_cursor: nextCursor
+                });
+
+                result.resources.forEach(resource => {
+                    assets.push({
+                        key: resource.public_id,
+                        resourceType,
+                        access,
+                        createdAt: new Date(resource.created_at)
+                    });
+                });
+                nextCursor = result.next_cursor;
+            } while (nextCursor);
+        }
+    }
+
+    return assets;
+};
+
+// Cloudinary renders thumbnails on the fly from a transformation URL
+const getThumbnailUrl = (key, { resourceType = 'image', access = 'public', ...options } = {}) => {
+    if (resourceType !== 'image') return null;
+    return generateThumbnail(key, {
+        type: deliveryTypes[access] || deliveryTypes.public,
+        sign_url: access === 'private',
+        ...options
+    });
+};
+
+module.exports = {
+    name: 'cloudinary',
+    put,
+    putStream,
+    getStream,
+    delete: remove,
+    list,
+    getSignedUrl,
+    getThumbnailUrl
+};
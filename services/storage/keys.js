@@ -0,0 +1,17 @@
+const path = require('path');
+
+const extensions = {
+    'application/pdf': '.pdf',
+    'image/jpeg': '.jpg',
+    'image/png': '.png',
+    'image/webp': '.webp'
+};
+
+// Object key for a stored file, e.g. healthmate/<userId>/healthmate_123_abc.pdf
+const buildKey = (folder = 'healthmate', name, mimeType) => {
+    return path.posix.join(folder, `${name}${extensions[mimeType] || ''}`);
+};
+
+module.exports = {
+    buildKey
+};
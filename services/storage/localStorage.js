@@ -0,0 +1,158 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { pipeline } = require('stream/promises');
+const { buildKey } = require('./keys');
+
+// Root directory for stored files
+const getRootDir = () => path.resolve(process.env.STORAGE_LOCAL_DIR || 'uploads');
+
+const getSigningSecret = () => process.env.STORAGE_SIGNING_SECRET || process.env.JWT_SECRET;
+
+// Resolve a storage key to a path inside the root directory
+const resolveKey = (key) => {
+    const root = getRootDir();
+    const filePath = path.resolve(root, key);
+
+    if (!filePath.startsWith(root + path.sep)) {
+        throw new Error('Invalid storage key');
+    }
+
+    return filePath;
+};
+
+// Signature for a key and expiry time (seconds since epoch)
+const sign = (key, expires) => {
+    return crypto
+        .createHmac('sha256', getSigningSecret())
+        .update(`${key}:${expires}`)
+        .digest('hex');
+};
+
+// Check a signature produced by getSignedUrl
+const verifySignature = (key, expires, signature) => {
+    if (!key || !expires || !signature || Number(expires) < Math.floor(Date.now() / 1000)) {
+        return false;
+    }
+
+    const expected = Buffer.from(sign(key, expires));
+    const actual = Buffer.from(String(signature));
+    return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+};
+
+// Short-lived signed URL served by the /api/storage/local route
+const getSignedUrl = (key, { expiresIn = 60 * 60 * 24 } = {}) => {
+    const expires = Math.floor(Date.now() / 1000) + expiresIn;
+    const baseUrl = process.env.API_BASE_URL || '';
+    const query = new URLSearchParams({ key, expires, signature: sign(key, expires) });
+
+    return `${baseUrl}/api/storage/local?${query.toString()}`;
+};
+
+// Write a buffer to disk
+const put = async (buffer, { folder = 'healthmate', name, mimeType, resourceType = 'image' } = {}) => {
+    const key = buildKey(folder, name, mimeType);
+    const filePath = resolveKey(key);
+
+    await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+    await fs.promises.writeFile(filePath, buffer, { flag: 'wx' });
+
+    return {
+        key,
+        bytes: buffer.length,
+        resourceType,
+        access: 'private'
+    };
+};
+
+// Write a stream to disk
+const putStream = async (stream, { folder = 'healthmate', name, mimeType, resourceType = 'image' } = {}) => {
+    const key = buildKey(folder, name, mimeType);
+    const filePath = resolveKey(key);
+
+    await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+    const output = fs.createWriteStream(filePath, { flags: 'wx' });
+    await pipeline(stream, output);
+
+    return {
+        key,
+        bytes: output.bytesWritten,
+        resourceType,
+        access: 'private'
+    };
+};
+
+// Stream a stored file
+const getStream = async (key) => {
+    const filePath = resolveKey(key);
+    await fs.promises.access(filePath);
+    return fs.createReadStream(filePath);
+};
+
+// Delete a stored file
+const remove = async (key) => {
+    try {
+        await fs.promises.unlink(resolveKey(key));
+        return { success: true };
+    } catch (error) {
+        // Already gone counts as deleted, so cleanup can be retried safely
+        if (error.code === 'ENOENT') {
+            return { success: true };
+        }
+
+        console.error('Local storage delete error:', error);
+        return {
+            success: false,
+            error: error.message
+        };
+    }
+};
+
+// List stored files under a key prefix
+const list = async (prefix) => {
+    const root = getRootDir();
+    const assets = [];
+
+    const walk = async (dir) => {
+        let entries;
+        try {
+            entries = await fs.promises.readdir(dir, { withFileTypes: true });
+        } catch (error) {
+            if (error.code === 'ENOENT') return;
+            throw error;
+        }
+
+        for (const entry of entries) {
+            const entryPath = path.join(dir, entry.name);
+            if (entry.isDirectory()) {
+                await walk(entryPath);
+                continue;
+            }
+
+            const key = path.relative(root, entryPath).split(path.sep).join('/');
+            if (key.startsWith(prefix)) {
+                const stats = await fs.promises.stat(entryPath);
+                assets.push({ key, access: 'private', createdAt: stats.mtime });
+            }
+        }
+    };
+
+    await walk(root);
+    return assets;
+};
+
+// No on-the-fly transformations on disk; previews are generated at upload time
+const getThumbnailUrl = () => null;
+
+module.exports = {
+    name: 'local',
+    put,
+    putStream,
+    getStream,
+    delete: remove,
+    list,
+    getSignedUrl,
+    getThumbnailUrl,
+    verifySignature,
+    resolveKey
+};
@@ -0,0 +1,136 @@
+const { buildKey } = require('./keys');
+
+let client = null;
+
+// Create the S3 client on first use, so the SDK only loads when this driver is selected
+const getClient = () => {
+    if (!client) {
+        const { S3Client } = require('@aws-sdk/client-s3');
+        client = new S3Client({
+            region: process.env.S3_REGION || 'us-east-1',
+            endpoint: process.env.S3_ENDPOINT || undefined,
+            forcePathStyle: process.env.S3_FORCE_PATH_STYLE === 'true',
+            credentials: process.env.S3_ACCESS_KEY_ID ? {
+                accessKeyId: process.env.S3_ACCESS_KEY_ID,
+                secretAccessKey: process.env.S3_SECRET_ACCESS_KEY
+            } : undefined
+        });
+    }
+    return client;
+};
+
+const getBucket = () => {
+    if (!process.env.S3_BUCKET) {
+        throw new Error('Missing S3_BUCKET in environment variables.');
+    }
+    return process.env.S3_BUCKET;
+};
+
+// Short-lived presigned GET URL
+const getSignedUrl = async (key, { expiresIn = 60 * 60 * 24 } = {}) => {
+    const { GetObjectCommand } = require('@aws-sdk/client-s3');
+    const { getSignedUrl: presign } = require('@aws-sdk/s3-request-presigner');
+
+    return presign(getClient(), new GetObjectCommand({ Bucket: getBucket(), Key: key }), {
+        expiresIn: Math.min(expiresIn, 7 * 24 * 60 * 60) // S3 presigned URLs last at most 7 days
+    });
+};
+
+// Upload a buffer as a private object
+const put = async (buffer, { folder = 'healthmate', name, mimeType, resourceType = 'image' } = {}) => {
+    const { PutObjectCommand } = require('@aws-sdk/client-s3');
+    const key = buildKey(folder, name, mimeType);
+
+    await getClient().send(new PutObjectCommand({
+        Bucket: getBucket(),
+        Key: key,
+        Body: buffer,
+        ContentType: mimeType
+    }));
+
+    return {
+        key,
+        bytes: buffer.length,
+        resourceType,
+        access: 'private'
+    };
+};
+
+// Upload a stream of known size as a private object
+const putStream = async (stream, { folder = 'healthmate', name, mimeType, resourceType = 'image', size } = {}) => {
+    const { PutObjectCommand } = require('@aws-sdk/client-s3');
+    const key = buildKey(folder, name, mimeType);
+
+    await getClient().send(new PutObjectCommand({
+        Bucket: getBucket(),
+        Key: key,
+        Body: stream,
+        ContentLength: size,
+        ContentType: mimeType
+    }));
+
+    return {
+        key,
+        bytes: size,
+        resourceType,
+        access: 'private'
+    };
+};
+
+// Stream an object
+const getStream = async (key) => {
+    const { GetObjectCommand } = require('@aws-sdk/client-s3');
+    const result = await getClient().send(new GetObjectCommand({ Bucket: getBucket(), Key: key }));
+    return result.Body;
+};
+
+// Delete an object
+const remove = async (key) => {
+    try {
+        const { DeleteObjectCommand } = require('@aws-sdk/client-s3');
+        await getClient().send(new DeleteObjectCommand({ Bucket: getBucket(), Key: key }));
+        return { success: true };
+    } catch (error) {
+        console.error('S3 delete error:', error);
+        return {
+            success: false,
+            error: error.message
+        };
+    }
+};
+
+// List objects under a key prefix
+const list = async (prefix) => {
+    const { ListObjectsV2Command } = require('@aws-sdk/client-s3');
+    const assets = [];
+    let continuationToken;
+
+    do {
+        const result = await getClient().send(new ListObjectsV2Command({
+            Bucket: getBucket(),
+            Prefix: prefix,
+            ContinuationToken: continuationToken
+        }));
+
+        (result.Contents || []).forEach(object => {
+            assets.push({ key: object.Key, access: 'private', createdAt: object.LastModified });
+        });
+        continuationToken = result.IsTruncated ? result.NextContinuationToken : undefined;
+    } while (continuationToken);
+
+    return assets;
+};
+
+// No on-the-fly transformations in S3; previews are generated at upload time
+const getThumbnailUrl = () => null;
+
+module.exports = {
+    name: 's3',
+    put,
+    putStream,
+    getStream,
+    delete: remove,
+    list,
+    getSignedUrl,
+    getThumbnailUrl
+};
@@ -0,0 +1,80 @@
+const File = require('../models/File');
+const { getStorage, getDefaultProvider } = require('./storage');
+
+// Assets younger than this may belong to an upload whose File record is not saved yet
+const MIN_ORPHAN_AGE_MS = parseInt(process.env.ORPHAN_MIN_AGE_MS) || 24 * 60 * 60 * 1000;
+
+// Storage keys referenced by file records
+const getReferencedKeys = async (provider, keys) => {
+    const providers = provider === 'cloudinary' ? ['cloudinary', null] : [provider];
+
+    // Files in the trash still own their assets until purged
+    const files = await File.find({
+        $or: [
+            { storageProvider: { $in: providers }, filePath: { $in: keys } },
+            { pages: { $elemMatch: { storageProvider: { $in: providers }, filePath: { $in: keys } } } },
+            { 'versions.pages': { $elemMatch: { storageProvider: { $in: providers }, filePath: { $in: keys } } } },
+            { 'preview.storageProvider': provider, 'preview.filePath': { $in: keys } }
+        ]
+    })
+        .setOptions({ withDeleted: true })
+        .select('filePath storageProvider pages.filePath pages.storageProvider versions.pages.filePath versions.pages.storageProvider preview');
+
+    const referenced = new Set();
+    files.forEach(file => {
+        if (providers.includes(file.storageProvider || null)) {
+            referenced.add(file.filePath);
+        }
+        // Pages of the current and earlier revisions
+        [...file.pages, ...file.versions.flatMap(version => version.pages)].forEach(page => {
+            if (providers.includes(page.storageProvider || null)) {
+                referenced.add(page.filePath);
+            }
+        });
+        if (file.preview && file.preview.storageProvider === provider) {
+            referenced.add(file.preview.filePath);
+        }
+    });
+    return referenced;
+};
+
+// Find stored assets with no File record and delete them (or only report them with dryRun)
+const sweepOrphanedAssets = async ({ provider = getDefaultProvider(), dryRun = false, minAgeMs = MIN_ORPHAN_AGE_MS } = {}) => {
+    const storage = getStorage(provider);
+    const cutoff = Date.now() - minAgeMs;
+
+    const assets = (await storage.list('healthmate/'))
+        .filter(asset => !asset.createdAt || asset.createdAt.getTime() < cutoff);
+
+    const orphans = [];
+    for (let i = 0; i < assets.length; i += 500) {
+        const batch = assets.slice(i, i + 500);
+        const referenced = await getReferencedKeys(provider, batch.map(asset => asset.key));
+        orphans.push(...batch.filter(asset => !referenced.has(asset.key)));
+    }
+
+    let deleted = 0;
+    if (!dryRun) {
+        for (const asset of orphans) {
+            const result = await storage.delete(asset.key, asset);
+            if (result.success) {
+                deleted++;
+            } else {
+                console.warn(`Failed to delete orphaned asset ${asset.key}:`, result.error);
+            }
+        }
+    }
+
+    console.log(`Storage sweep (${provider}): ${assets.length} checked, ${orphans.length} orphaned, ${deleted} deleted`);
+
+    return {
+        provider,
+        checked: assets.length,
+        orphaned: orphans.map(asset => asset.key),
+        deleted
+    };
+};
+
+module.exports = {
+    sweepOrphanedAssets
+};
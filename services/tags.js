@@ -0,0 +1,103 @@
+const mongoose = require('mongoose');
+const File = require('../models/File');
+const Vitals = require('../models/Vitals');
+const { normalizeTag } = require('../models/plugins/tags');
+
+// Record types that carry tags, keyed by the name used in responses
+const TAGGED_MODELS = { files: File, vitals: Vitals };
+
+// Count how many of a user's records use each tag; records in the trash are not counted.
+// Tags written before normalization are folded into their normalized form.
+const listTags = async (userId) => {
+    const counts = new Map();
+
+    for (const [kind, Model] of Object.entries(TAGGED_MODELS)) {
+        const results = await Model.aggregate([
+            { $match: { user: userId, 'tags.0': { $exists: true } } },
+            // Count each record once per tag, even if it holds variants of it
+            { $project: { tags: { $setUnion: [{ $map: { input: '$tags', in: { $toLower: { $trim: { input: '$$this' } } } } }] } } },
+            { $unwind: '$tags' },
+            { $group: { _id: '$tags', count: { $sum: 1 } } }
+        ]);
+
+        results.forEach(({ _id, count }) => {
+            const tag = normalizeTag(_id);
+            if (!tag) return;
+
+            const entry = counts.get(tag) || { tag, files: 0, vitals: 0, total: 0 };
+            entry[kind] += count;
+            entry.total += count;
+            counts.set(tag, entry);
+        });
+    }
+
+    return [...counts.values()].sort((a, b) => b.total - a.total || a.tag.localeCompare(b.tag));
+};
+
+// Stored spellings of the given tags, including ones written before normalization
+const findVariants = async (Model, userId, tags) => {
+    const stored = await Model.distinct('tags', { user: userId }).setOptions({ withDeleted: true });
+    return stored.filter(value => tags.includes(normalizeTag(value)));
+};
+
+// Remove stored spellings of tags from a user's records, in the trash or not. This goes
+// to the driver directly: the model would normalize the values and miss old spellings.
+const pullVariants = (Model, userId, variants) => {
+    return Model.collection.updateMany(
+        { user: new mongoose.Types.ObjectId(userId), tags: { $in: variants } },
+        { $pull: { tags: { $in: variants } } }
+    );
+};
+
+// Replace the source tags with the target on every record that has any of them, keeping
+// records in the trash consistent for when they are restored. Renaming a tag to one that
+// already exists merges them. Returns the number of records changed per type.
+const replaceTags = async (userId, sources, target) => {
+    const result = {};
+
+    for (const [kind, Model] of Object.entries(TAGGED_MODELS)) {
+        const variants = (await findVariants(Model, userId, sources)).filter(value => value !== target);
+        if (variants.length === 0) {
+            result[kind] = 0;
+            continue;
+        }
+
+        const filter = { user: userId, tags: { $in: variants } };
+        const updated = await Model.updateMany(filter, { $addToSet: { tags: target } })
+            .setOptions({ withDeleted: true });
+        await pullVariants(Model, userId, variants);
+
+        result[kind] = updated.matchedCount;
+    }
+
+    return result;
+};
+
+const renameTag = (userId, tag, name) => replaceTags(userId, [normalizeTag(tag)], normalizeTag(name));
+
+const mergeTags = (userId, tags, into) => replaceTags(userId, tags.map(normalizeTag), normalizeTag(into));
+
+// Remove a tag from every record that has it. Returns the number of records changed per type.
+const deleteTag = async (userId, tag) => {
+    const result = {};
+
+    for (const [kind, Model] of Object.entries(TAGGED_MODELS)) {
+        const variants = await findVariants(Model, userId, [normalizeTag(tag)]);
+        if (variants.length === 0) {
+            result[kind] = 0;
+            continue;
+        }
+
+        const updated = await pullVariants(Model, userId, variants);
+        result[kind] = updated.modifiedCount;
+    }
+
+    return result;
+};
+
+module.exports = {
+    listTags,
+    renameTag,
+    mergeTags,
+    deleteTag
+};
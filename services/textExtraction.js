@@ -0,0 +1,262 @@
+// Require the library entry directly: the package index runs a debug self-test
+// when it has no parent module, which breaks under bundlers such as Vercel's
+const pdfParse = require('pdf-parse/lib/pdf-parse.js');
+const PDFJS = require('pdf-parse/lib/pdf.js/v1.10.100/build/pdf.js');
+const sharp = require('sharp');
+const { recognizePages } = require('./ocr');
+
+// Minimum number of non-whitespace characters for a PDF to count as having a text layer
+const MIN_TEXT_LENGTH = 20;
+
+// Embedded images smaller than this (in pixels, either side) are logos or stamps, not scanned pages
+const MIN_SCAN_DIMENSION = 200;
+
+// pdf.js image kinds (ImageKind in pdf.js)
+const IMAGE_KIND = {
+    GRAYSCALE_1BPP: 1,
+    RGB_24BPP: 2,
+    RGBA_32BPP: 3
+};
+
+// Convert a pdf.js text content object into plain text, keeping line breaks
+const renderTextContent = (textContent) => {
+    let lastY;
+    let text = '';
+
+    for (const item of textContent.items) {
+        if (lastY === undefined || lastY === item.transform[5]) {
+            text += item.str;
+        } else {
+            text += '\n' + item.str;
+        }
+        lastY = item.transform[5];
+    }
+
+    return text;
+};
+
+// Copy a Buffer into a standalone Uint8Array. pdf.js reads the underlying
+// ArrayBuffer from offset 0, which breaks on small Buffers sliced from Node's pool
+const toPdfData = (buffer) => {
+    const data = new Uint8Array(buffer.length);
+    data.set(buffer);
+    return data;
+};
+
+// Extract text from a PDF buffer, page by page
+const extractPdfText = async (buffer) => {
+    const pages = [];
+
+    const result = await pdfParse(toPdfData(buffer), {
+        pagerender: async (pageData) => {
+            const textContent = await pageData.getTextContent({
+                normalizeWhitespace: true,
+                disableCombineTextItems: false
+            });
+            const text = renderTextContent(textContent).trim();
+
+            pages.push({
+                pageNumber: pages.length + 1,
+                text
+            });
+
+            return text;
+        }
+    });
+
+    const text = pages.map(page => page.text).join('\n\n').trim();
+
+    return {
+        text,
+        pages,
+        numPages: result.numpages,
+        hasTextLayer: text.replace(/\s/g, '').length >= MIN_TEXT_LENGTH
+    };
+};
+
+// Convert a decoded pdf.js image into a PNG buffer
+const pdfImageToPng = (image) => {
+    const { width, height, kind, data } = image;
+
+    if (kind === IMAGE_KIND.GRAYSCALE_1BPP) {
+        // Unpack 1-bit rows (padded to whole bytes) into 8-bit grayscale, where a set bit is white
+        const rowBytes = (width + 7) >> 3;
+        const pixels = Buffer.alloc(width * height);
+        for (let y = 0; y < height; y++) {
+            for (let x = 0; x < width; x++) {
+                const byte = data[y * rowBytes + (x >> 3)];
+                pixels[y * width + x] = byte & (0x80 >> (x & 7)) ? 255 : 0;
+            }
+        }
+        return sharp(pixels, { raw: { width, height, channels: 1 } }).png().toBuffer();
+    }
+
+    const channels = kind === IMAGE_KIND.RGBA_32BPP ? 4 : 3;
+    return sharp(Buffer.from(data.buffer, data.byteOffset, data.length), {
+        raw: { width, height, channels }
+    }).png().toBuffer();
+};
+
+// Pull the scanned page images out of an image-only PDF, one entry per page
+const extractPdfPageImages = async (buffer, options = {}) => {
+    const maxPages = options.maxPages || parseInt(process.env.OCR_MAX_PAGES) || 20;
+
+    PDFJS.disableWorker = true;
+    // Only images are needed, and loading fonts requires a DOM
+    PDFJS.PDFJS.disableFontFace = true;
+    // Decode JPEGs inside pdf.js: there is no native image decoder in Node
+    const doc = await PDFJS.getDocument({
+        data: toPdfData(buffer),
+        nativeImageDecoderSupport: 'none'
+    });
+
+    try {
+        const pages = [];
+        const pageCount = Math.min(doc.numPages, maxPages);
+
+        for (let pageNumber = 1; pageNumber <= pageCount; pageNumber++) {
+            const page = await doc.getPage(pageNumber);
+            const operatorList = await page.getOperatorList();
+            const images = [];
+
+            for (let i = 0; i < operatorList.fnArray.length; i++) {
+                const fn = operatorList.fnArray[i];
+                if (fn !== PDFJS.OPS.paintImageXObject && fn !== PDFJS.OPS.paintJpegXObject) {
+                    continue;
+                }
+
+                const image = page.objs.get(operatorList.argsArray[i][0]);
+                if (!image || !image.data || image.width < MIN_SCAN_DIMENSION || image.height < MIN_SCAN_DIMENSION) {
+                    continue;
+                }
+
+                images.push(await pdfImageToPng(image));
+            }
+
+            pages.push({ pageNumber, images });
+        }
+
+        return pages;
+    } finally {
+        doc.destroy();
+    }
+};
+
+// OCR an image-only PDF page by page
+const ocrPdf = async (buffer) => {
+    const pdfPages = await extractPdfPageImages(buffer);
+
+    // Pages can hold several scanned images; OCR each and merge them back per page
+    const images = [];
+    const owners = [];
+    pdfPages.forEach(page => {
+        page.images.forEach(image => {
+            images.push(image);
+            owners.push(page.pageNumber);
+        });
+    });
+
+    if (images.length === 0) {
+        return { pages: [], languages: [], confidence: 0 };
+    }
+
+    const ocr = await recognizePages(images);
+
+    const pages = pdfPages
+        .filter(page => page.images.length > 0)
+        .map(page => {
+            const parts = ocr.pages.filter((part, index) => owners[index] === page.pageNumber);
+            return {
+                pageNumber: page.pageNumber,
+                text: parts.map(part => part.text).filter(Boolean).join('\n'),
+                confidence: Math.round(parts.reduce((sum, part) => sum + part.confidence, 0) / parts.length)
+            };
+        });
+
+    return { ...ocr, pages };
+};
+
+// Extract the text of an uploaded report, using the PDF text layer when it
+// has one and falling back to OCR for scans and photos
+const extractText = async (buffer, fileType) => {
+    if (fileType === 'pdf') {
+        const extraction = await extractPdfText(buffer);
+        console.log(`Extracted ${extraction.text.length} characters from ${extraction.numPages} PDF page(s)`);
+
+        if (extraction.hasTextLayer) {
+            return {
+                method: 'pdf-text',
+                pages: extraction.pages.map(page => ({ ...page, confidence: 100 })),
+                confidence: 100
+            };
+        }
+
+        console.log('PDF has no text layer, running OCR');
+        const ocr = await ocrPdf(buffer);
+        return {
+            method: 'ocr',
+            languages: ocr.languages,
+            pages: ocr.pages,
+            confidence: ocr.confidence
+        };
+    }
+
+    // Photos still go to the model as images, so an OCR failure should not stop the analysis
+    try {
+        const ocr = await recognizePages([buffer]);
+        return {
+            method: 'ocr',
+            languages: ocr.languages,
+            pages: ocr.pages,
+            confidence: ocr.confidence
+        };
+    } catch (error) {
+        console.warn('Image OCR failed, continuing without transcript:', error.message);
+        return { method: 'ocr', languages: [], pages: [], confidence: 0 };
+    }
+};
+
+// Extract the text of a report stored as several parts (PDFs or photos), in order,
+// numbering pages continuously across parts
+const extractTextFromParts = async (parts) => {
+    const extractions = [];
+    for (const part of parts) {
+        extractions.push(await extractText(part.buffer, part.fileType));
+    }
+    if (extractions.length === 1) return extractions[0];
+
+    const pages = [];
+    extractions.forEach(extraction => {
+        extraction.pages.forEach(page => {
+            pages.push({ ...page, pageNumber: pages.length + 1 });
+        });
+    });
+
+    const withText = pages.filter(page => page.text);
+    const languages = [...new Set(extractions.flatMap(extraction => extraction.languages || []))];
+
+    return {
+        method: extractions.every(extraction => extraction.method === 'pdf-text') ? 'pdf-text' : 'ocr',
+        languages,
+        pages,
+        confidence: withText.length > 0
+            ? Math.round(withText.reduce((sum, page) => sum + page.confidence, 0) / withText.length)
+            : 0
+    };
+};
+
+// Join extracted pages into a single document, marking page boundaries for the model
+const formatPagesForAnalysis = (pages) => {
+    return pages
+        .filter(page => page.text)
+        .map(page => `--- Page ${page.pageNumber} ---\n${page.text}`)
+        .join('\n\n');
+};
+
+module.exports = {
+    extractText,
+    extractTextFromParts,
+    extractPdfText,
+    extractPdfPageImages,
+    formatPagesForAnalysis
+};
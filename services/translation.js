@@ -0,0 +1,86 @@
+const { generateJson } = require('./llm');
+const { LOCALES, BASE_LOCALE } = require('../config/locales');
+
+// AiInsight fields holding text by locale; $ stands for each item of a list
+const LOCALIZED_FIELDS = [
+    'summary',
+    'keyFindings.$.significance',
+    'recommendations',
+    'doctorQuestions',
+    'riskFactors.$.description',
+    'imaging.impression',
+    'ecg.interpretation',
+    'prescription.medications.$.instructions',
+    'prescription.medications.$.purpose'
+];
+
+const getPath = (object, path) => path.split('.').reduce((value, key) => (value == null ? undefined : value[key]), object);
+
+// Paths of the localized values present in a plain insight object, e.g. 'keyFindings.2.significance'
+const findLocalizedPaths = (insight) => LOCALIZED_FIELDS.flatMap(field => {
+    const [list, rest] = field.split('.$.');
+    if (!rest) {
+        return getPath(insight, field) ? [field] : [];
+    }
+    return (getPath(insight, list) || [])
+        .map((item, index) => `${list}.${index}.${rest}`)
+        .filter(path => getPath(insight, path));
+});
+
+const hasText = (value) => (Array.isArray(value) ? value.length > 0 : Boolean(value));
+
+const buildPrompt = (source, locale) => `You are a medical translator helping patients read their own reports.
+Translate the values of the following JSON object from English into ${LOCALES[locale].prompt}.
+
+${JSON.stringify(source, null, 2)}
+
+Important guidelines:
+1. Keep every key exactly as it is, and translate lists item by item in the same order
+2. Keep test names, values, units and medicine names accurate
+3. Use simple, clear language
+4. Respond with only the translated JSON object`;
+
+// Fill in an insight's text in a locale the analysis did not write, translating from
+// English, and save it. Text already in the locale is kept.
+const translateInsight = async (insight, locale, { signal } = {}) => {
+    const plain = insight.toObject({ flattenMaps: true });
+    const source = {};
+    findLocalizedPaths(plain).forEach(path => {
+        const text = getPath(plain, path);
+        if (hasText(text[BASE_LOCALE]) && text[locale] === undefined) {
+            source[path] = text[BASE_LOCALE];
+        }
+    });
+
+    if (Object.keys(source).length === 0) {
+        return insight;
+    }
+
+    const schema = {
+        type: 'object',
+        required: true,
+        properties: Object.fromEntries(Object.entries(source).map(([path, text]) => [
+            path,
+            Array.isArray(text)
+                ? { type: 'array', required: true, items: { type: 'string' } }
+                : { type: 'string', required: true }
+        ]))
+    };
+
+    const result = await generateJson('translation', schema, {
+        prompt: buildPrompt(source, locale),
+        signal
+    });
+
+    Object.entries(result.data).forEach(([path, text]) => {
+        insight.get(path).set(locale, text);
+    });
+    await insight.save();
+    return insight;
+};
+
+module.exports = {
+    LOCALIZED_FIELDS,
+    findLocalizedPaths,
+    translateInsight
+};
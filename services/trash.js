@@ -0,0 +1,98 @@
+const File = require('../models/File');
+const Vitals = require('../models/Vitals');
+const AiInsight = require('../models/AiInsight');
+const Job = require('../models/Job');
+const { getFileStorage, getStorageOptions } = require('./storage');
+
+// Days items stay in the trash before they are purged for good
+const getRetentionDays = () => parseInt(process.env.TRASH_RETENTION_DAYS) || 30;
+
+// When a trashed item will be purged
+const getPurgeDate = (deletedAt) => {
+    return new Date(deletedAt.getTime() + getRetentionDays() * 24 * 60 * 60 * 1000);
+};
+
+// Move a file and its insights to the trash
+const trashFile = async (file) => {
+    const deletedAt = new Date();
+
+    await File.updateOne({ _id: file._id }, { deletedAt });
+    // Stamp insights with the file's deletedAt so a restore brings back exactly these
+    await AiInsight.updateMany({ file: file._id }, { deletedAt });
+    // Nothing left to analyze
+    await Job.deleteMany({ file: file._id, status: 'queued' });
+
+    return deletedAt;
+};
+
+// Restore a trashed file and the insights trashed with it
+const restoreFile = async (file) => {
+    await AiInsight.updateMany({ file: file._id, deletedAt: file.deletedAt }, { deletedAt: null });
+    await File.updateOne({ _id: file._id, deletedAt: { $ne: null } }, { deletedAt: null });
+};
+
+// Move vitals to the trash
+const trashVitals = (vitals) => {
+    return Vitals.updateOne({ _id: vitals._id }, { deletedAt: new Date() });
+};
+
+// Restore trashed vitals
+const restoreVitals = (vitals) => {
+    return Vitals.updateOne({ _id: vitals._id, deletedAt: { $ne: null } }, { deletedAt: null });
+};
+
+// Delete a file's stored assets, then its records. Records are only removed once the
+// assets are gone, so a failed run leaves enough behind to pick up where it stopped.
+const purgeFile = async (file) => {
+    const assets = file.getAllPages();
+    if (file.preview && file.preview.filePath) {
+        assets.push(file.preview);
+    }
+
+    for (const asset of assets) {
+        const result = await getFileStorage(asset).delete(asset.filePath, getStorageOptions(asset));
+        if (!result.success) {
+            throw new Error(`Failed to delete asset ${asset.filePath}: ${result.error || 'unknown error'}`);
+        }
+    }
+
+    await AiInsight.deleteMany({ file: file._id });
+    await Job.deleteMany({ file: file._id, status: { $ne: 'running' } });
+    await File.deleteOne({ _id: file._id });
+};
+
+// Permanently delete everything that has been in the trash longer than the retention period
+const purgeExpiredTrash = async ({ retentionDays = getRetentionDays() } = {}) => {
+    const cutoff = new Date(Date.now() - retentionDays * 24 * 60 * 60 * 1000);
+
+    const files = await File.find({ deletedAt: { $ne: null, $lt: cutoff } });
+    let purgedFiles = 0;
+    for (const file of files) {
+        try {
+            await purgeFile(file);
+            purgedFiles++;
+        } catch (error) {
+            console.error(`Failed to purge file ${file._id}:`, error);
+        }
+    }
+
+    const vitalsResult = await Vitals.deleteMany({ deletedAt: { $ne: null, $lt: cutoff } });
+
+    console.log(`Trash purge: ${purgedFiles} file(s), ${vitalsResult.deletedCount} vitals entr(ies)`);
+
+    return {
+        purgedFiles,
+        purgedVitals: vitalsResult.deletedCount
+    };
+};
+
+module.exports = {
+    getRetentionDays,
+    getPurgeDate,
+    trashFile,
+    restoreFile,
+    trashVitals,
+    restoreVitals,
+    purgeFile,
+    purgeExpiredTrash
+};
@@ -0,0 +1,13 @@
+// An upload rejected for a reason the client should see, with an HTTP status and a
+// machine-readable code
+class UploadError extends Error {
+    constructor(status, code, message, data) {
+        super(message);
+        this.name = 'UploadError';
+        this.status = status;
+        this.code = code;
+        this.data = data;
+    }
+}
+
+module.exports = UploadError;
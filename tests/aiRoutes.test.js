@@ -0,0 +1,56 @@
+const express = require('express');
+const request = require('supertest');
+
+jest.mock('../middleware/auth', () => ({
+    authenticateToken: (req, res, next) => {
+        req.user = { _id: '64b000000000000000000001', preferences: {} };
+        next();
+    }
+}));
+jest.mock('../services/jobQueue', () => ({
+    ...jest.requireActual('../services/jobQueue'),
+    enqueueJob: jest.fn(),
+    runJobNow: jest.fn(),
+    getActiveJobForFile: jest.fn()
+}));
+
+const File = require('../models/File');
+const { enqueueJob, runJobNow, getActiveJobForFile } = require('../services/jobQueue');
+const aiRoutes = require('../routes/ai');
+
+const app = express();
+app.use(express.json());
+app.use('/api/ai', aiRoutes);
+
+const fileId = '64b000000000000000000002';
+
+beforeEach(() => {
+    jest.clearAllMocks();
+    jest.spyOn(File, 'findOne').mockResolvedValue({ _id: fileId, isProcessed: false });
+});
+
+describe('POST /api/ai/analyze-file/:fileId', () => {
+    it('answers 409 when another request queued the file first', async () => {
+        enqueueJob.mockRejectedValue(Object.assign(new Error('E11000 duplicate key error'), {
+            code: 11000,
+            keyPattern: { file: 1 }
+        }));
+        getActiveJobForFile.mockResolvedValue({ _id: 'job0', status: 'running', attempts: 1 });
+
+        const res = await request(app).post(`/api/ai/analyze-file/${fileId}`);
+
+        expect(res.status).toBe(409);
+        expect(res.body.data.job).toEqual({ id: 'job0', status: 'running', attempts: 1 });
+        expect(runJobNow).not.toHaveBeenCalled();
+    });
+
+    it('answers 202 when a worker claimed the job before the request ran it', async () => {
+        enqueueJob.mockResolvedValue({ _id: 'job1', status: 'queued' });
+        runJobNow.mockResolvedValue({ job: { _id: 'job1', status: 'running' }, unclaimed: true });
+
+        const res = await request(app).post(`/api/ai/analyze-file/${fileId}`);
+
+        expect(res.status).toBe(202);
+        expect(res.body.data.job).toEqual({ id: 'job1', status: 'running' });
+    });
+});
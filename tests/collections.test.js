@@ -0,0 +1,205 @@
+const mongoose = require('mongoose');
+const Collection = require('../models/Collection');
+const File = require('../models/File');
+const Vitals = require('../models/Vitals');
+const {
+    getCollectionPermission,
+    syncCollectionShares,
+    loadItemRecords,
+    resolveItems,
+    buildCoverSummary
+} = require('../services/collections');
+
+const id = () => new mongoose.Types.ObjectId();
+
+describe('getCollectionPermission', () => {
+    const owner = id();
+    const viewer = id();
+    const collection = new Collection({
+        user: owner,
+        name: 'Checkups',
+        sharedWith: [{ user: viewer, permission: 'view' }]
+    });
+
+    it('gives the owner full access', () => {
+        expect(getCollectionPermission(collection, owner.toString())).toBe('owner');
+    });
+
+    it('gives a shared user their permission', () => {
+        expect(getCollectionPermission(collection, viewer)).toBe('view');
+    });
+
+    it('gives anyone else nothing', () => {
+        expect(getCollectionPermission(collection, id())).toBeNull();
+    });
+});
+
+describe('loadItemRecords', () => {
+    beforeEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    it('loads only the display fields of reports, since shared viewers see them', async () => {
+        const fileId = id();
+        let fields;
+        jest.spyOn(File, 'find').mockReturnValue({
+            populate: () => ({
+                select: (selected) => {
+                    fields = selected.split(' ');
+                    return Promise.resolve([{ _id: fileId }]);
+                }
+            })
+        });
+        jest.spyOn(Vitals, 'find').mockResolvedValue([]);
+        const collection = new Collection({ user: id(), name: 'Checkups', items: [{ kind: 'file', file: fileId }] });
+
+        const records = await loadItemRecords(collection);
+
+        expect(records.files.get(fileId.toString())).toEqual({ _id: fileId });
+        expect(fields).toEqual(expect.arrayContaining(['originalName', 'reportType', 'testDate', 'aiInsight', 'pages.fileType']));
+        ['sharedWith', 'contentHash', 'versions', 'metadataSuggestions', 'filePath', 'pages', 'pages.contentHash', 'pages.filePath']
+            .forEach(field => expect(fields).not.toContain(field));
+        // A projection cannot mix inclusions and exclusions
+        fields.forEach(field => expect(field.startsWith('-')).toBe(false));
+    });
+});
+
+describe('resolveItems', () => {
+    it('keeps the arranged order and skips items whose record is gone', () => {
+        const fileId = id();
+        const trashedId = id();
+        const vitalsId = id();
+        const collection = new Collection({
+            user: id(),
+            name: 'Checkups',
+            items: [
+                { kind: 'vitals', vitals: vitalsId },
+                { kind: 'file', file: trashedId },
+                { kind: 'note', note: { title: 'Started statins', date: new Date('2024-03-01') } },
+                { kind: 'file', file: fileId }
+            ]
+        });
+        const file = { _id: fileId, testDate: new Date('2024-02-01') };
+        const vitals = { _id: vitalsId, date: new Date('2024-01-15') };
+
+        const items = resolveItems(collection, {
+            files: new Map([[fileId.toString(), file]]),
+            vitals: new Map([[vitalsId.toString(), vitals]])
+        });
+
+        expect(items.map(item => item.kind)).toEqual(['vitals', 'note', 'file']);
+        expect(items[0]).toMatchObject({ date: vitals.date, vitals });
+        expect(items[1].date).toEqual(new Date('2024-03-01'));
+        expect(items[2]).toMatchObject({ date: file.testDate, file });
+    });
+});
+
+describe('buildCoverSummary', () => {
+    const file = (fields) => ({ _id: id(), originalName: 'report.pdf', ...fields });
+
+    it('counts items, spans their dates and tallies report types and abnormal findings', () => {
+        const blood = file({
+            reportType: 'blood_test',
+            testDate: new Date('2024-01-10'),
+            aiInsight: { keyFindings: [{ status: 'abnormal' }, { status: 'normal' }, { status: 'critical' }] }
+        });
+        const xray = file({ reportType: 'x_ray', testDate: new Date('2024-04-02') });
+        const items = [
+            { kind: 'file', date: blood.testDate, file: blood },
+            { kind: 'vitals', date: new Date('2024-02-20') },
+            { kind: 'file', date: xray.testDate, file: xray },
+            { kind: 'note', date: null }
+        ];
+
+        const summary = buildCoverSummary({}, items);
+
+        expect(summary).toMatchObject({
+            fileCount: 2,
+            vitalsCount: 1,
+            noteCount: 1,
+            startDate: new Date('2024-01-10'),
+            endDate: new Date('2024-04-02'),
+            reportTypes: { blood_test: 1, x_ray: 1 },
+            abnormalFindings: 2
+        });
+        expect(summary.coverFile).toMatchObject({
+            id: blood._id,
+            fileUrl: `/api/files/${blood._id}/download`,
+            previewUrl: null
+        });
+    });
+
+    it('uses the chosen cover report and the collection\'s own dates', () => {
+        const first = file({ reportType: 'blood_test' });
+        const chosen = file({ reportType: 'mri', preview: { filePath: 'previews/mri.png' } });
+        const collection = {
+            coverFile: chosen._id,
+            startDate: new Date('2023-12-01'),
+            endDate: new Date('2024-12-01')
+        };
+
+        const summary = buildCoverSummary(collection, [
+            { kind: 'file', date: new Date('2024-05-01'), file: first },
+            { kind: 'file', date: new Date('2024-06-01'), file: chosen }
+        ]);
+
+        expect(summary.startDate).toEqual(collection.startDate);
+        expect(summary.endDate).toEqual(collection.endDate);
+        expect(summary.coverFile).toMatchObject({ id: chosen._id, previewUrl: `/api/files/${chosen._id}/preview` });
+    });
+
+    it('has no dates or cover for an empty collection', () => {
+        expect(buildCoverSummary({}, [])).toMatchObject({
+            fileCount: 0,
+            startDate: null,
+            endDate: null,
+            coverFile: null
+        });
+    });
+});
+
+describe('syncCollectionShares', () => {
+    let updates;
+
+    beforeEach(() => {
+        jest.restoreAllMocks();
+        updates = [];
+        jest.spyOn(File, 'updateMany').mockImplementation((filter, update) => {
+            updates.push({ filter, update });
+            return { setOptions: () => Promise.resolve({}) };
+        });
+    });
+
+    it('rebuilds the file shares from the collection\'s shares', async () => {
+        const fileId = id();
+        const viewer = id();
+        const collection = new Collection({
+            user: id(),
+            name: 'Checkups',
+            items: [{ kind: 'file', file: fileId }, { kind: 'note', note: { title: 'Note' } }],
+            sharedWith: [{ user: viewer, permission: 'download' }]
+        });
+
+        await syncCollectionShares(collection);
+
+        expect(updates).toHaveLength(2);
+        expect(updates[0].update).toEqual({ $pull: { sharedWith: { sourceCollection: collection._id } } });
+        expect(updates[1].filter).toEqual({ _id: { $in: [fileId] }, user: collection.user });
+        expect(updates[1].update.$push.sharedWith.$each).toEqual([
+            expect.objectContaining({ user: viewer, permission: 'download', sourceCollection: collection._id })
+        ]);
+    });
+
+    it('only removes the old shares when the collection is not shared', async () => {
+        const collection = new Collection({
+            user: id(),
+            name: 'Checkups',
+            items: [{ kind: 'file', file: id() }]
+        });
+
+        await syncCollectionShares(collection);
+
+        expect(updates).toHaveLength(1);
+        expect(updates[0].update).toHaveProperty('$pull');
+    });
+});
@@ -0,0 +1,159 @@
+const zlib = require('zlib');
+const UploadError = require('../services/uploadError');
+const {
+    PdfScanner,
+    sniffMimeType,
+    assertContentType,
+    assertSafePdf,
+    inspectUpload
+} = require('../services/contentSafety');
+
+const JPEG = Buffer.from([0xff, 0xd8, 0xff, 0xe0, 0x00, 0x10]);
+const PNG = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a, 0x00]);
+
+const pdf = (...objects) => Buffer.concat([
+    Buffer.from('%PDF-1.7\n', 'latin1'),
+    ...objects.map(object => (Buffer.isBuffer(object) ? object : Buffer.from(object, 'latin1'))),
+    Buffer.from('%%EOF\n', 'latin1')
+]);
+
+const streamObject = (number, data) => Buffer.concat([
+    Buffer.from(`${number} 0 obj\n<< /Length ${data.length} /Filter /FlateDecode >>\nstream\n`, 'latin1'),
+    data,
+    Buffer.from('\nendstream\nendobj\n', 'latin1')
+]);
+
+// An object stream hiding an OpenAction that runs JavaScript
+const hiddenScript = streamObject(2, zlib.deflateSync('<< /Type /Action /S /JavaScript /JS (app.alert(1)) >>'));
+
+const rejection = (fn) => {
+    try {
+        fn();
+    } catch (error) {
+        return error;
+    }
+    throw new Error('Expected the content to be rejected');
+};
+
+describe('sniffMimeType', () => {
+    it('recognises accepted types from their leading bytes', () => {
+        expect(sniffMimeType(JPEG)).toBe('image/jpeg');
+        expect(sniffMimeType(PNG)).toBe('image/png');
+        expect(sniffMimeType(Buffer.from('GIF89a...'))).toBe('image/gif');
+        expect(sniffMimeType(Buffer.from('RIFF\0\0\0\0WEBPVP8 '))).toBe('image/webp');
+        expect(sniffMimeType(pdf())).toBe('application/pdf');
+    });
+
+    it('finds a PDF header after leading junk', () => {
+        expect(sniffMimeType(Buffer.concat([Buffer.alloc(100, 0x20), pdf()]))).toBe('application/pdf');
+    });
+
+    it('recognises nothing else', () => {
+        expect(sniffMimeType(Buffer.from('<html><script>alert(1)</script></html>'))).toBeNull();
+        expect(sniffMimeType(Buffer.from('MZ\x90\x00', 'latin1'))).toBeNull();
+    });
+});
+
+describe('assertContentType', () => {
+    it('accepts content matching the declared type, treating image/jpg as JPEG', () => {
+        expect(assertContentType(JPEG, 'image/jpg')).toBe('image/jpeg');
+        expect(assertContentType(pdf(), 'application/pdf')).toBe('application/pdf');
+    });
+
+    it('rejects content that is not the declared type', () => {
+        const error = rejection(() => assertContentType(pdf(), 'image/png'));
+        expect(error).toBeInstanceOf(UploadError);
+        expect(error).toMatchObject({
+            status: 415,
+            code: 'CONTENT_TYPE_MISMATCH',
+            data: { claimed: 'image/png', detected: 'application/pdf' }
+        });
+    });
+
+    it('rejects content of a type we do not accept', () => {
+        expect(rejection(() => assertContentType(Buffer.from('#!/bin/sh\n'), 'application/pdf')))
+            .toMatchObject({ status: 415, code: 'UNSUPPORTED_CONTENT' });
+    });
+});
+
+describe('assertSafePdf', () => {
+    it('accepts a plain PDF with compressed content', () => {
+        const content = streamObject(1, zlib.deflateSync('BT /F1 12 Tf (Hemoglobin 13.2) Tj ET'));
+        expect(() => assertSafePdf(pdf(content))).not.toThrow();
+    });
+
+    it('rejects an encrypted PDF', () => {
+        const trailer = 'trailer\n<< /Root 1 0 R /Encrypt 5 0 R >>\n';
+        expect(rejection(() => assertSafePdf(pdf(trailer)))).toMatchObject({ status: 422, code: 'PDF_ENCRYPTED' });
+    });
+
+    it('rejects JavaScript, including names written with escapes', () => {
+        expect(rejection(() => assertSafePdf(pdf('1 0 obj\n<< /S /JavaScript /JS (x) >>\nendobj\n'))))
+            .toMatchObject({ code: 'PDF_ACTIVE_CONTENT' });
+        expect(rejection(() => assertSafePdf(pdf('1 0 obj\n<< /S /Java#53cript >>\nendobj\n'))))
+            .toMatchObject({ code: 'PDF_ACTIVE_CONTENT' });
+    });
+
+    it('does not mistake longer names for /JS', () => {
+        expect(() => assertSafePdf(pdf('1 0 obj\n<< /JSONData 2 0 R >>\nendobj\n'))).not.toThrow();
+    });
+
+    it('rejects JavaScript hidden in a Flate-compressed object stream', () => {
+        expect(rejection(() => assertSafePdf(pdf(hiddenScript)))).toMatchObject({ status: 422, code: 'PDF_ACTIVE_CONTENT' });
+    });
+
+    it('scans PDFs with many streams in linear time', () => {
+        const objects = [];
+        for (let i = 0; i < 20000; i++) {
+            objects.push(streamObject(i + 1, Buffer.alloc(40, 0x78)));
+        }
+        const started = Date.now();
+
+        assertSafePdf(pdf(...objects));
+
+        expect(Date.now() - started).toBeLessThan(1500);
+    });
+});
+
+describe('PdfScanner', () => {
+    const scanInChunks = (buffer, size) => {
+        const scanner = new PdfScanner();
+        for (let offset = 0; offset < buffer.length; offset += size) {
+            scanner.write(buffer.subarray(offset, offset + size));
+        }
+        scanner.end();
+    };
+
+    it.each([1, 3, 7, 16])('finds hidden JavaScript when written %i byte(s) at a time', (size) => {
+        expect(rejection(() => scanInChunks(pdf(hiddenScript), size))).toMatchObject({ code: 'PDF_ACTIVE_CONTENT' });
+    });
+
+    it('finds stream and endstream tokens split across writes', () => {
+        const buffer = pdf(hiddenScript);
+        const text = buffer.toString('latin1');
+        const splits = [text.indexOf('stream\n') + 3, text.indexOf('endstream') + 5, buffer.length];
+
+        const scanner = new PdfScanner();
+        let offset = 0;
+        splits.forEach(split => {
+            scanner.write(buffer.subarray(offset, split));
+            offset = split;
+        });
+
+        expect(rejection(() => scanner.end())).toMatchObject({ code: 'PDF_ACTIVE_CONTENT' });
+    });
+
+    it('finds /Encrypt split across writes', () => {
+        expect(rejection(() => scanInChunks(pdf('trailer\n<< /Encrypt 5 0 R >>\n'), 5))).toMatchObject({ code: 'PDF_ENCRYPTED' });
+    });
+});
+
+describe('inspectUpload', () => {
+    it('returns the detected type of a safe upload', () => {
+        expect(inspectUpload(PNG, 'image/png')).toBe('image/png');
+    });
+
+    it('checks the contents of PDFs', () => {
+        expect(rejection(() => inspectUpload(pdf(hiddenScript), 'application/pdf'))).toMatchObject({ code: 'PDF_ACTIVE_CONTENT' });
+    });
+});
@@ -0,0 +1,76 @@
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const File = require('../models/File');
+
+const page = (name, hash, fileType = 'image') => ({
+    originalName: name,
+    fileName: name,
+    filePath: `reports/${name}`,
+    fileType,
+    mimeType: fileType === 'image' ? 'image/jpeg' : 'application/pdf',
+    fileSize: 100,
+    contentHash: hash
+});
+
+const makeFile = (fields = {}) => new File({
+    user: new mongoose.Types.ObjectId(),
+    originalName: 'cbc.pdf',
+    fileName: 'cbc.pdf',
+    filePath: 'reports/cbc.pdf',
+    fileUrl: '/api/files/x/download',
+    fileType: 'pdf',
+    mimeType: 'application/pdf',
+    fileSize: 100,
+    contentHash: 'a',
+    reportType: 'blood-test',
+    testDate: new Date('2026-03-01'),
+    ...fields
+});
+
+describe('combinePageHashes', () => {
+    it('uses the page hash of a single-page report', () => {
+        expect(File.combinePageHashes(['abc'])).toBe('abc');
+    });
+
+    it('hashes the ordered page hashes of a multi-page report', () => {
+        const expected = crypto.createHash('sha256').update('abc:def').digest('hex');
+        expect(File.combinePageHashes(['abc', 'def'])).toBe(expected);
+        expect(File.combinePageHashes(['def', 'abc'])).not.toBe(expected);
+    });
+
+    it('has no fingerprint when a page has no hash', () => {
+        expect(File.combinePageHashes(['abc', undefined])).toBeUndefined();
+    });
+});
+
+describe('versions', () => {
+    it('archives the current pages and insight for a new revision', () => {
+        const insightId = new mongoose.Types.ObjectId();
+        const file = makeFile({ aiInsight: insightId, versionNote: 'first scan' });
+
+        file.archiveCurrentVersion();
+        file.pages = [page('p1.jpg', 'h1'), page('p2.jpg', 'h2')];
+        file.syncPages();
+        file.currentVersion += 1;
+
+        expect(file.versions).toHaveLength(1);
+        expect(file.versions[0].number).toBe(1);
+        expect(file.versions[0].note).toBe('first scan');
+        expect(file.versions[0].aiInsight).toEqual(insightId);
+        expect(file.getVersionPages(1).map(entry => entry.filePath)).toEqual(['reports/cbc.pdf']);
+        expect(file.getVersionPages(2).map(entry => entry.filePath)).toEqual(['reports/p1.jpg', 'reports/p2.jpg']);
+        expect(file.getVersionPages(3)).toBeNull();
+        expect(file.getAllPages()).toHaveLength(3);
+    });
+
+    it('syncs the combined type, size and hash from the pages', () => {
+        const file = makeFile();
+        file.pages = [page('p1.jpg', 'h1'), page('p2.pdf', 'h2', 'pdf')];
+        file.syncPages();
+
+        expect(file.filePath).toBe('reports/p1.jpg');
+        expect(file.fileType).toBe('document');
+        expect(file.fileSize).toBe(200);
+        expect(file.contentHash).toBe(File.combinePageHashes(['h1', 'h2']));
+    });
+});
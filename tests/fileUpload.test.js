@@ -0,0 +1,51 @@
+const express = require('express');
+const request = require('supertest');
+const mongoose = require('mongoose');
+
+const mockUserId = new mongoose.Types.ObjectId();
+const mockProcessAndUpload = jest.fn((req, res, next) => next());
+
+jest.mock('../middleware/auth', () => ({
+    authenticateToken: (req, res, next) => {
+        req.user = { _id: mockUserId };
+        next();
+    }
+}));
+jest.mock('../middleware/upload', () => ({
+    ...jest.requireActual('../middleware/upload'),
+    upload: { array: () => (req, res, next) => next() },
+    handleUploadError: (req, res, next) => next(),
+    processAndUpload: (...args) => mockProcessAndUpload(...args)
+}));
+
+const fileRoutes = require('../routes/files');
+
+const app = express();
+app.use(express.json());
+app.use('/api/files', fileRoutes);
+
+beforeEach(() => {
+    mockProcessAndUpload.mockClear();
+});
+
+describe('POST /api/files/upload', () => {
+    it('rejects invalid report details without storing the pages', async () => {
+        const res = await request(app)
+            .post('/api/files/upload')
+            .send({ reportType: 'horoscope', testDate: 'yesterday' });
+
+        expect(res.status).toBe(400);
+        expect(res.body.errors.map(error => error.msg)).toEqual(['Invalid report type', 'Invalid test date']);
+        expect(mockProcessAndUpload).not.toHaveBeenCalled();
+    });
+
+    it('rejects missing details when detection is turned off without storing the pages', async () => {
+        const res = await request(app)
+            .post('/api/files/upload')
+            .send({ autoFillMetadata: 'false', reportType: 'mri' });
+
+        expect(res.status).toBe(400);
+        expect(res.body.message).toBe('Validation failed');
+        expect(mockProcessAndUpload).not.toHaveBeenCalled();
+    });
+});
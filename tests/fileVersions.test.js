@@ -0,0 +1,101 @@
+const express = require('express');
+const request = require('supertest');
+const mongoose = require('mongoose');
+
+const mockUserId = new mongoose.Types.ObjectId();
+const mockUploadedPage = {
+    originalName: 'cbc-corrected.pdf',
+    fileName: 'cbc-corrected.pdf',
+    filePath: 'reports/cbc-corrected',
+    storageProvider: 'local',
+    resourceType: 'raw',
+    storageAccess: 'private',
+    fileType: 'pdf',
+    mimeType: 'application/pdf',
+    fileSize: 2048,
+    contentHash: 'b'.repeat(64)
+};
+
+jest.mock('../middleware/auth', () => ({
+    authenticateToken: (req, res, next) => {
+        req.user = { _id: mockUserId };
+        next();
+    }
+}));
+jest.mock('../middleware/upload', () => ({
+    ...jest.requireActual('../middleware/upload'),
+    upload: { array: () => (req, res, next) => next() },
+    handleUploadError: (req, res, next) => next(),
+    processAndUpload: (req, res, next) => {
+        req.uploadedFile = { ...mockUploadedPage, pages: [mockUploadedPage] };
+        next();
+    },
+    deleteStoredPages: jest.fn()
+}));
+jest.mock('../services/jobQueue', () => ({
+    ...jest.requireActual('../services/jobQueue'),
+    ensureAnalysisJob: jest.fn()
+}));
+
+const File = require('../models/File');
+const { deleteStoredPages } = require('../middleware/upload');
+const { ensureAnalysisJob } = require('../services/jobQueue');
+const fileRoutes = require('../routes/files');
+
+const app = express();
+app.use(express.json());
+app.use('/api/files', fileRoutes);
+
+const makeFile = () => new File({
+    user: mockUserId,
+    originalName: 'cbc.pdf',
+    fileName: 'cbc.pdf',
+    filePath: 'reports/cbc',
+    fileUrl: '/api/files/x/download',
+    fileType: 'pdf',
+    mimeType: 'application/pdf',
+    fileSize: 1024,
+    contentHash: 'a'.repeat(64),
+    reportType: 'blood-test',
+    testDate: new Date('2026-03-01'),
+    processingStatus: 'completed',
+    isProcessed: true
+});
+
+let file;
+
+beforeEach(() => {
+    jest.restoreAllMocks();
+    jest.clearAllMocks();
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    file = makeFile();
+    jest.spyOn(File, 'findOne').mockResolvedValue(file);
+});
+
+describe('POST /api/files/:id/versions', () => {
+    it('keeps the stored pages of a saved revision when its analysis cannot be queued', async () => {
+        jest.spyOn(File.prototype, 'save').mockResolvedValue();
+        ensureAnalysisJob.mockRejectedValue(new Error('connection lost'));
+
+        const res = await request(app).post(`/api/files/${file._id}/versions`);
+
+        expect(res.status).toBe(201);
+        expect(res.body.data.file.currentVersion).toBe(2);
+        expect(file.filePath).toBe('reports/cbc-corrected');
+        expect(file.versions[0].filePath).toBeUndefined();
+        expect(file.versions[0].pages[0].filePath).toBe('reports/cbc');
+        // Recovery picks up pending files with no job
+        expect(file.processingStatus).toBe('pending');
+        expect(deleteStoredPages).not.toHaveBeenCalled();
+    });
+
+    it('deletes the uploaded pages when the revision is not saved', async () => {
+        jest.spyOn(File.prototype, 'save').mockRejectedValue(new Error('write conflict'));
+
+        const res = await request(app).post(`/api/files/${file._id}/versions`);
+
+        expect(res.status).toBe(500);
+        expect(deleteStoredPages).toHaveBeenCalledWith([mockUploadedPage]);
+        expect(ensureAnalysisJob).not.toHaveBeenCalled();
+    });
+});
@@ -0,0 +1,50 @@
+const mongoose = require('mongoose');
+const AiInsight = require('../models/AiInsight');
+const Vitals = require('../models/Vitals');
+const { buildChatContext } = require('../services/healthChat');
+
+const chain = (result) => {
+    const query = {
+        select: () => query,
+        populate: () => query,
+        sort: () => query,
+        limit: () => Promise.resolve(result)
+    };
+    return query;
+};
+
+describe('buildChatContext', () => {
+    beforeEach(() => {
+        jest.restoreAllMocks();
+        jest.spyOn(Vitals, 'find').mockReturnValue(chain([]));
+    });
+
+    it('lists abnormal findings first and findings with an unknown status last', async () => {
+        const insight = {
+            _id: new mongoose.Types.ObjectId(),
+            file: {
+                _id: new mongoose.Types.ObjectId(),
+                originalName: 'lipids.pdf',
+                reportType: 'blood_test',
+                testDate: new Date('2024-05-01')
+            },
+            summary: new Map([['en', 'Cholesterol is high.']]),
+            keyFindings: [
+                { parameter: 'HDL', value: '50', unit: 'mg/dL', status: 'normal' },
+                { parameter: 'Lp(a)', value: '30', unit: 'mg/dL', status: 'borderline' },
+                { parameter: 'LDL', value: '190', unit: 'mg/dL', status: 'critical' },
+                { parameter: 'Triglycerides', value: '180', unit: 'mg/dL', status: 'high' }
+            ]
+        };
+        jest.spyOn(AiInsight, 'find').mockReturnValue(chain([insight]));
+
+        const [source] = await buildChatContext({ _id: new mongoose.Types.ObjectId() });
+
+        expect(source.text.split('\n')).toContain('Findings: ' + [
+            'LDL: 190 mg/dL (critical)',
+            'Triglycerides: 180 mg/dL (high)',
+            'HDL: 50 mg/dL (normal)',
+            'Lp(a): 30 mg/dL (borderline)'
+        ].join('; '));
+    });
+});
@@ -0,0 +1,158 @@
+jest.mock('../services/reportProcessor', () => ({ analyzeFile: jest.fn() }));
+
+const Job = require('../models/Job');
+const File = require('../models/File');
+const { analyzeFile } = require('../services/reportProcessor');
+const { getBackoffDelay, failJob, runJobNow, runPendingJobs, ensureAnalysisJob } = require('../services/jobQueue');
+
+const makeJob = (fields = {}) => ({
+    _id: 'job1',
+    type: 'analyze-file',
+    file: 'file1',
+    status: 'running',
+    attempts: 1,
+    maxAttempts: 5,
+    runAt: new Date('2026-01-01'),
+    ...fields
+});
+
+beforeEach(() => {
+    jest.restoreAllMocks();
+    analyzeFile.mockReset();
+    jest.spyOn(File, 'findByIdAndUpdate').mockResolvedValue(null);
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+});
+
+describe('getBackoffDelay', () => {
+    it('doubles the delay with each attempt', () => {
+        expect(getBackoffDelay(1)).toBe(30 * 1000);
+        expect(getBackoffDelay(2)).toBe(60 * 1000);
+        expect(getBackoffDelay(3)).toBe(120 * 1000);
+    });
+
+    it('caps the delay', () => {
+        expect(getBackoffDelay(20)).toBe(60 * 60 * 1000);
+    });
+
+    it('treats a job that never ran as a first attempt', () => {
+        expect(getBackoffDelay(0)).toBe(30 * 1000);
+    });
+});
+
+describe('failJob', () => {
+    it('re-queues the job after the backoff delay while attempts remain', async () => {
+        const update = jest.spyOn(Job, 'findOneAndUpdate').mockImplementation((filter, change) => (
+            Promise.resolve({ ...makeJob(), ...change.$set })
+        ));
+        const before = Date.now();
+
+        const job = await failJob(makeJob({ attempts: 2 }), 'worker', new Error('rate limited'));
+
+        const [filter, change] = update.mock.calls[0];
+        expect(filter).toEqual({ _id: 'job1', lockedBy: 'worker' });
+        expect(change.$set.status).toBe('queued');
+        expect(change.$set.runAt.getTime()).toBeGreaterThanOrEqual(before + 60 * 1000);
+        expect(change.$push.failures).toEqual({ attempt: 2, message: 'rate limited' });
+        expect(job.status).toBe('queued');
+        expect(File.findByIdAndUpdate).toHaveBeenCalledWith('file1', { processingStatus: 'pending' });
+    });
+
+    it('dead-letters the job on its last attempt', async () => {
+        const update = jest.spyOn(Job, 'findOneAndUpdate').mockImplementation((filter, change) => (
+            Promise.resolve({ ...makeJob(), ...change.$set })
+        ));
+
+        await failJob(makeJob({ attempts: 5 }), 'worker', new Error('rate limited'));
+
+        const [, change] = update.mock.calls[0];
+        expect(change.$set.status).toBe('dead');
+        expect(change.$set.runAt).toEqual(new Date('2026-01-01'));
+        expect(File.findByIdAndUpdate).toHaveBeenCalledWith('file1', { processingStatus: 'failed' });
+    });
+});
+
+describe('runJobNow', () => {
+    it('fails the job for a retry when the analysis throws', async () => {
+        jest.spyOn(Job, 'findOneAndUpdate')
+            // claimJob
+            .mockResolvedValueOnce(makeJob())
+            // failJob
+            .mockImplementationOnce((filter, change) => Promise.resolve({ ...makeJob(), ...change.$set }));
+        analyzeFile.mockRejectedValueOnce(new Error('AI analysis unavailable: quota exceeded'));
+
+        const { job, error } = await runJobNow('job1', { workerId: 'worker' });
+
+        expect(error.message).toMatch(/quota exceeded/);
+        expect(job.status).toBe('queued');
+        expect(job.lastError).toBe('AI analysis unavailable: quota exceeded');
+    });
+
+    it('leaves a job a worker claimed first to that worker', async () => {
+        jest.spyOn(Job, 'findOneAndUpdate').mockResolvedValueOnce(null);
+        jest.spyOn(Job, 'findById').mockResolvedValueOnce(makeJob({ lockedBy: 'cron' }));
+
+        const { job, unclaimed, error } = await runJobNow('job1', { workerId: 'worker' });
+
+        expect(unclaimed).toBe(true);
+        expect(error).toBeUndefined();
+        expect(job.lockedBy).toBe('cron');
+        expect(analyzeFile).not.toHaveBeenCalled();
+    });
+});
+
+describe('runPendingJobs', () => {
+    let clock;
+    let claims;
+
+    beforeEach(() => {
+        clock = 1000000;
+        claims = 0;
+        jest.spyOn(Date, 'now').mockImplementation(() => clock);
+        // Nothing to recover
+        jest.spyOn(Job, 'find').mockResolvedValue([]);
+        jest.spyOn(File, 'find').mockReturnValue({ select: () => Promise.resolve([]) });
+        // An endless queue: every claim finds a job, and every job completes
+        jest.spyOn(Job, 'findOneAndUpdate').mockImplementation((filter, change) => {
+            if (change.$inc) {
+                claims++;
+                return Promise.resolve(makeJob({ _id: `job${claims}` }));
+            }
+            return Promise.resolve({ ...makeJob({ _id: filter._id }), ...change });
+        });
+    });
+
+    it('stops claiming jobs when the slowest so far would overrun the budget', async () => {
+        analyzeFile.mockImplementation(async () => {
+            clock += 25 * 1000;
+        });
+
+        const processed = await runPendingJobs({ budgetMs: 60 * 1000, estimateMs: 10 * 1000, workerId: 'worker' });
+
+        expect(processed.map(job => job.id)).toEqual(['job1', 'job2']);
+        expect(processed[1].status).toBe('completed');
+        expect(claims).toBe(2);
+    });
+
+    it('claims nothing when the budget is shorter than one job', async () => {
+        const processed = await runPendingJobs({ budgetMs: 20 * 1000, estimateMs: 30 * 1000, workerId: 'worker' });
+
+        expect(processed).toEqual([]);
+        expect(claims).toBe(0);
+    });
+});
+
+describe('ensureAnalysisJob', () => {
+    it('resolves with null when the file already has an active job', async () => {
+        const conflict = Object.assign(new Error('E11000 duplicate key error'), { code: 11000, keyPattern: { file: 1 } });
+        jest.spyOn(Job, 'create').mockRejectedValueOnce(conflict);
+
+        await expect(ensureAnalysisJob({ user: 'user1', file: 'file1' })).resolves.toBeNull();
+    });
+
+    it('rethrows other errors', async () => {
+        jest.spyOn(Job, 'create').mockRejectedValueOnce(new Error('connection lost'));
+
+        await expect(ensureAnalysisJob({ user: 'user1', file: 'file1' })).rejects.toThrow('connection lost');
+    });
+});
@@ -0,0 +1,148 @@
+const { validateOutput, extractJson, formatErrorsForPrompt } = require('../services/llm/validation');
+
+const findingSchema = {
+    type: 'object',
+    required: true,
+    properties: {
+        parameter: { type: 'string', required: true },
+        status: {
+            type: 'enum',
+            required: true,
+            values: ['normal', 'abnormal', 'critical'],
+            aliases: { high: 'abnormal', low: 'abnormal' },
+            fallback: 'normal'
+        }
+    }
+};
+
+const insightSchema = {
+    type: 'object',
+    required: true,
+    keyAliases: { key_findings: 'keyFindings' },
+    properties: {
+        confidence: { type: 'number', required: true, min: 0, max: 1, fallback: 0.5 },
+        urgent: { type: 'boolean' },
+        note: { type: 'string' },
+        keyFindings: { type: 'array', required: true, dropInvalid: true, items: findingSchema }
+    }
+};
+
+describe('validateOutput', () => {
+    it('accepts valid output unchanged', () => {
+        const data = { confidence: 0.9, urgent: false, keyFindings: [{ parameter: 'LDL', status: 'abnormal' }] };
+        expect(validateOutput(insightSchema, data)).toEqual({ value: data, errors: [], repairs: [] });
+    });
+
+    it('coerces numbers, booleans and enum variants and records each repair', () => {
+        const { value, errors, repairs } = validateOutput(insightSchema, {
+            confidence: '0.8 (high)',
+            urgent: 'yes',
+            note: 12,
+            keyFindings: [{ parameter: 'LDL', status: 'High' }]
+        });
+
+        expect(errors).toEqual([]);
+        expect(value).toEqual({
+            confidence: 0.8,
+            urgent: true,
+            note: '12',
+            keyFindings: [{ parameter: 'LDL', status: 'abnormal' }]
+        });
+        expect(repairs.map(repair => [repair.path, repair.action])).toEqual([
+            ['confidence', 'coerced'],
+            ['urgent', 'coerced'],
+            ['note', 'coerced'],
+            ['keyFindings[0].status', 'coerced']
+        ]);
+    });
+
+    it('clamps numbers to their range', () => {
+        const { value, repairs } = validateOutput(insightSchema, { confidence: 85, keyFindings: [] });
+        expect(value.confidence).toBe(1);
+        expect(repairs).toEqual([expect.objectContaining({ path: 'confidence', action: 'clamped', from: 85, to: 1 })]);
+    });
+
+    it('renames keys by alias and case', () => {
+        const { value, repairs } = validateOutput(insightSchema, {
+            Confidence: 0.7,
+            key_findings: [{ parameter: 'HbA1c', status: 'normal' }]
+        });
+        expect(value).toEqual({ confidence: 0.7, keyFindings: [{ parameter: 'HbA1c', status: 'normal' }] });
+        expect(repairs.map(repair => repair.action)).toEqual(['renamed', 'renamed']);
+    });
+
+    it('wraps a single item in a list', () => {
+        const { value } = validateOutput(insightSchema, { confidence: 0.7, keyFindings: { parameter: 'TSH', status: 'low' } });
+        expect(value.keyFindings).toEqual([{ parameter: 'TSH', status: 'abnormal' }]);
+    });
+
+    it('reports what is still wrong with paths for re-prompting', () => {
+        const { errors } = validateOutput(insightSchema, {
+            confidence: 'unsure',
+            keyFindings: [{ status: 'elevated' }]
+        });
+        expect(errors).toEqual([
+            { path: 'confidence', message: 'must be a number (got "unsure")' },
+            { path: 'keyFindings[0].parameter', message: 'is required' },
+            { path: 'keyFindings[0].status', message: 'must be one of normal, abnormal, critical (got "elevated")' }
+        ]);
+        expect(formatErrorsForPrompt(errors.slice(0, 1))).toBe('- confidence must be a number (got "unsure")');
+    });
+
+    it('applies fallbacks, drops invalid items and leaves out invalid optional fields on the final pass', () => {
+        const { value, errors, repairs } = validateOutput(insightSchema, {
+            confidence: 'unsure',
+            urgent: 'maybe',
+            keyFindings: [{ status: 'normal' }, { parameter: 'LDL', status: 'elevated' }]
+        }, { final: true });
+
+        expect(errors).toEqual([]);
+        expect(value).toEqual({ confidence: 0.5, keyFindings: [{ parameter: 'LDL', status: 'normal' }] });
+        expect(repairs.map(repair => [repair.path, repair.action])).toEqual([
+            ['confidence', 'defaulted'],
+            ['urgent', 'dropped'],
+            ['keyFindings[0]', 'dropped'],
+            ['keyFindings[1].status', 'defaulted']
+        ]);
+    });
+
+    it('fills an object from a bare string and keeps only allowed extra keys', () => {
+        const schema = {
+            type: 'object',
+            required: true,
+            properties: {
+                summary: {
+                    type: 'object',
+                    required: true,
+                    fromString: 'en',
+                    additional: { type: 'string' },
+                    keys: ['en', 'ur-Latn']
+                }
+            }
+        };
+
+        expect(validateOutput(schema, { summary: 'All normal' }).value).toEqual({ summary: { en: 'All normal' } });
+        expect(validateOutput(schema, { summary: { en: 'Hi', 'ur-Latn': 'Salaam', fr: 'Salut' } }).value)
+            .toEqual({ summary: { en: 'Hi', 'ur-Latn': 'Salaam' } });
+    });
+});
+
+describe('extractJson', () => {
+    it('parses a bare object', () => {
+        expect(extractJson(' {"a": 1} ')).toEqual({ a: 1 });
+    });
+
+    it('parses a fenced code block', () => {
+        expect(extractJson('Here you go:\n```json\n{"a": [1, 2]}\n```\nThanks')).toEqual({ a: [1, 2] });
+    });
+
+    it('finds the first balanced object, ignoring braces inside strings', () => {
+        expect(extractJson('Result: {"text": "a } brace", "n": {"m": 2}} and more {"b": 1}'))
+            .toEqual({ text: 'a } brace', n: { m: 2 } });
+    });
+
+    it('returns undefined when there is no object', () => {
+        expect(extractJson('[1, 2, 3]')).toBeUndefined();
+        expect(extractJson('no json here')).toBeUndefined();
+    });
+});
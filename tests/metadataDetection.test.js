@@ -0,0 +1,96 @@
+const { detectMetadata, parseDate } = require('../services/metadataDetection');
+
+const utc = (year, month, day) => new Date(Date.UTC(year, month - 1, day));
+
+describe('parseDate', () => {
+    it('reads ISO dates', () => {
+        expect(parseDate('2024-03-05')).toEqual(utc(2024, 3, 5));
+    });
+
+    it('reads ambiguous numeric dates day-first', () => {
+        expect(parseDate('05/03/2024')).toEqual(utc(2024, 3, 5));
+        expect(parseDate('05.03.24')).toEqual(utc(2024, 3, 5));
+    });
+
+    it('falls back to month-first when day-first is impossible', () => {
+        expect(parseDate('03/25/2024')).toEqual(utc(2024, 3, 25));
+    });
+
+    it('reads dates with month names', () => {
+        expect(parseDate('12th Jan 2024')).toEqual(utc(2024, 1, 12));
+        expect(parseDate('September 3, 2023')).toEqual(utc(2023, 9, 3));
+    });
+
+    it('rejects impossible, future and implausibly old dates', () => {
+        expect(parseDate('31/02/2024')).toBeNull();
+        expect(parseDate('25/25/2024')).toBeNull();
+        expect(parseDate(`01/01/${new Date().getFullYear() + 1}`)).toBeNull();
+        expect(parseDate('1901-06-01')).toBeNull();
+        expect(parseDate('no date here')).toBeNull();
+    });
+});
+
+describe('detectMetadata', () => {
+    const bloodReport = [
+        'Chughtai Lab',
+        'Clinical Pathology Laboratory',
+        'Patient Name: Ali Raza    Age: 42',
+        'Referred By: Dr. Sana Malik',
+        'Reported On: 16/01/2024',
+        'Sample Collected: 15/01/2024 08:30',
+        'COMPLETE BLOOD COUNT (CBC)',
+        'Hemoglobin 13.2 g/dL',
+        'Platelet count 250 x10^9/L',
+        'WBC 7.1'
+    ].join('\n');
+
+    it('detects the report type from keywords, weighting titles', () => {
+        const { reportType } = detectMetadata(bloodReport);
+        expect(reportType.value).toBe('blood-test');
+        expect(reportType.confidence).toBeGreaterThanOrEqual(60);
+    });
+
+    it('gives lower confidence when the evidence for a type is thin', () => {
+        const { reportType } = detectMetadata('Notes\n\nPatient seen.\nSerum sample retained.\nDoppler pending.');
+        expect(reportType.confidence).toBeLessThan(60);
+    });
+
+    it('prefers the collection date over other labelled dates', () => {
+        expect(detectMetadata(bloodReport).testDate).toEqual({ value: utc(2024, 1, 15), confidence: 90 });
+    });
+
+    it('falls back to the first date in the text with low confidence', () => {
+        expect(detectMetadata('Ultrasound abdomen\n2023-11-02\nLiver normal').testDate).toEqual({
+            value: utc(2023, 11, 2),
+            confidence: 35
+        });
+    });
+
+    it('finds a letterhead lab line, with less confidence further down', () => {
+        expect(detectMetadata(bloodReport).labName).toEqual({ value: 'Chughtai Lab', confidence: 75 });
+    });
+
+    it('skips letterhead lines about the patient or the page', () => {
+        const text = 'Patient: Lab Copy\nwww.citylabs.pk\nCity Diagnostics Centre\nUrinalysis';
+        expect(detectMetadata(text).labName).toEqual({ value: 'City Diagnostics Centre', confidence: 69 });
+    });
+
+    it('prefers a labelled lab name', () => {
+        const text = 'City Hospital\nLab Name: Excel Labs, Lahore.\nX-Ray chest';
+        expect(detectMetadata(text).labName).toEqual({ value: 'Excel Labs, Lahore', confidence: 85 });
+    });
+
+    it('finds the labelled referring doctor', () => {
+        expect(detectMetadata(bloodReport).doctorName).toEqual({ value: 'Dr. Sana Malik', confidence: 85 });
+    });
+
+    it('ignores a self referral and falls back to a titled name on its own line', () => {
+        const text = 'Ref. By: Self\nReviewed by Dr. Imran Khan\nECG';
+        expect(detectMetadata(text).doctorName).toEqual({ value: 'Dr. Imran Khan', confidence: 50 });
+    });
+
+    it('finds nothing in empty text', () => {
+        expect(detectMetadata('  ')).toEqual({ reportType: null, testDate: null, labName: null, doctorName: null });
+        expect(detectMetadata('hello world')).toMatchObject({ reportType: null, testDate: null, labName: null, doctorName: null });
+    });
+});
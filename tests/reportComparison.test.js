@@ -0,0 +1,150 @@
+jest.mock('../services/llm', () => ({ generateJson: jest.fn() }));
+
+const { generateJson } = require('../services/llm');
+const { parameterKey, measureChange, compareFindings, compareReports } = require('../services/reportComparison');
+const { getComparisonText } = require('../services/reportComparisonText');
+const { LOCALE_CODES } = require('../config/locales');
+
+const finding = (parameter, value, status = 'normal', unit = 'mg/dL') => ({ parameter, value, unit, status, normalRange: '' });
+
+describe('parameterKey', () => {
+    it('matches names regardless of word order, case, punctuation and parenthesized notes', () => {
+        expect(parameterKey('Cholesterol, Total (serum)')).toBe(parameterKey('total cholesterol'));
+        expect(parameterKey('HbA1c')).not.toBe(parameterKey('Hb'));
+    });
+});
+
+describe('measureChange', () => {
+    it('gives the direction, delta and percentage of a change', () => {
+        expect(measureChange(finding('LDL', '160'), finding('LDL', '120'))).toEqual({ direction: 'down', delta: -40, percent: -25 });
+        expect(measureChange(finding('Platelets', '1,200'), finding('Platelets', '1,500'))).toEqual({ direction: 'up', delta: 300, percent: 25 });
+    });
+
+    it('counts a change under 2% as unchanged', () => {
+        expect(measureChange(finding('Sodium', '140'), finding('Sodium', '141')).direction).toBe('unchanged');
+    });
+
+    it('handles an earlier value of zero', () => {
+        expect(measureChange(finding('CRP', '0'), finding('CRP', '< 0.5'))).toEqual({ direction: 'up', delta: 0.5, percent: null });
+        expect(measureChange(finding('CRP', '0'), finding('CRP', '0')).direction).toBe('unchanged');
+    });
+
+    it('does not compare values in different units or without a number', () => {
+        expect(measureChange(finding('Glucose', '100', 'normal', 'mg/dL'), finding('Glucose', '5.6', 'normal', 'mmol/L'))).toBeNull();
+        expect(measureChange(finding('Urine protein', 'trace'), finding('Urine protein', 'negative'))).toBeNull();
+        expect(measureChange(finding('LDL', '160', 'normal', 'mg / dL'), finding('LDL', '150', 'normal', 'MG/DL'))).not.toBeNull();
+    });
+});
+
+describe('compareFindings', () => {
+    it('matches findings by parameter and lists the ones in only one report', () => {
+        const earlier = {
+            keyFindings: [
+                finding('Cholesterol, Total', '240', 'abnormal'),
+                finding('Glucose, Fasting', '95'),
+                finding('Vitamin D', '15', 'abnormal')
+            ]
+        };
+        const later = {
+            keyFindings: [
+                finding('Fasting Glucose', '130', 'abnormal'),
+                finding('Total Cholesterol', '190'),
+                finding('TSH', '2.1', 'normal', 'mIU/L')
+            ]
+        };
+
+        const { matched, onlyInEarlier, onlyInLater } = compareFindings(earlier, later);
+
+        expect(matched.map(item => item.parameter)).toEqual(['Total Cholesterol', 'Fasting Glucose']);
+        expect(matched[0]).toMatchObject({
+            change: { direction: 'down' },
+            statusChanged: true,
+            rangeChange: 'entered-normal-range'
+        });
+        expect(matched[1]).toMatchObject({ change: { direction: 'up' }, rangeChange: 'left-normal-range' });
+        expect(onlyInEarlier.map(item => item.parameter)).toEqual(['Vitamin D']);
+        expect(onlyInLater.map(item => item.parameter)).toEqual(['TSH']);
+    });
+
+    it('matches a repeated parameter only once', () => {
+        const earlier = { keyFindings: [finding('LDL', '150'), finding('ldl', '155')] };
+        const later = { keyFindings: [finding('LDL', '140')] };
+
+        const { matched, onlyInEarlier, onlyInLater } = compareFindings(earlier, later);
+
+        expect(matched).toHaveLength(1);
+        expect(matched[0].before.value).toBe('150');
+        expect(onlyInEarlier).toEqual([]);
+        expect(onlyInLater).toEqual([]);
+    });
+});
+
+describe('compareReports', () => {
+    const report = (id, testDate, keyFindings) => ({
+        _id: id,
+        originalName: `${id}.pdf`,
+        reportType: 'blood_test',
+        testDate: new Date(testDate),
+        aiInsight: { _id: `${id}-insight`, keyFindings }
+    });
+
+    const earlier = report('january', '2024-01-10', [finding('LDL', '160', 'abnormal')]);
+    const later = report('june', '2024-06-10', [finding('LDL', '120')]);
+
+    beforeEach(() => {
+        generateJson.mockReset();
+        jest.spyOn(console, 'error').mockImplementation(() => {});
+    });
+
+    it('compares from the earlier test date to the later, in either order', async () => {
+        generateJson.mockResolvedValue({ data: { narrative: { en: 'LDL improved.' } } });
+
+        const result = await compareReports(later, earlier, { locales: ['en'] });
+
+        expect(result.earlier.insight).toBe('january-insight');
+        expect(result.later.insight).toBe('june-insight');
+        expect(result.counts).toEqual({ matched: 1, changed: 1, enteredNormalRange: 1, leftNormalRange: 0 });
+        expect(result.narrative).toEqual({ en: 'LDL improved.' });
+        expect(result.narrativeFallback).toBe(false);
+        expect(generateJson.mock.calls[0][2].prompt).toContain('- LDL went down from 160 to 120 mg/dL (25%); it is now within the normal range.');
+    });
+
+    it('uses the list of differences in every requested locale when the model fails', async () => {
+        generateJson.mockRejectedValue(new Error('model unavailable'));
+        const withNewFinding = report('june', '2024-06-10', [finding('LDL', '120'), finding('TSH', '6.1', 'high', 'mIU/L')]);
+
+        const result = await compareReports(earlier, withNewFinding, { locales: ['en', 'ur-Latn', 'ur-Arab'] });
+
+        expect(result.narrativeFallback).toBe(true);
+        expect(result.narrative).toEqual({
+            'en': 'LDL went down from 160 to 120 mg/dL (25%); it is now within the normal range. '
+                + 'TSH (6.1 mIU/L, high) is new in the later report.',
+            'ur-Latn': 'LDL 160 se kam ho kar 120 mg/dL ho gaya (25%); ab ye normal range mein hai. '
+                + 'TSH (6.1 mIU/L, high) nayi report mein pehli dafa aaya hai.',
+            'ur-Arab': 'LDL 160 سے کم ہو کر 120 mg/dL ہو گیا (25%)؛ اب یہ نارمل رینج میں ہے۔ '
+                + 'TSH (6.1 mIU/L، زیادہ) نئی رپورٹ میں پہلی بار آیا ہے۔'
+        });
+    });
+
+    it('does not ask the model when there is nothing to compare', async () => {
+        const result = await compareReports(report('a', '2024-01-01', []), report('b', '2024-02-01', []));
+
+        expect(generateJson).not.toHaveBeenCalled();
+        expect(result.narrative).toEqual({
+            'en': 'The two reports have no key findings to compare.',
+            'ur-Latn': 'Dono reports mein compare karne ke liye koi key findings nahi hain.'
+        });
+    });
+});
+
+describe('getComparisonText', () => {
+    it('has the same wording for every locale', () => {
+        const english = getComparisonText('en');
+        LOCALE_CODES.forEach(locale => {
+            const text = getComparisonText(locale);
+            expect(Object.keys(text).sort()).toEqual(Object.keys(english).sort());
+            expect(Object.keys(text.statuses).sort()).toEqual(Object.keys(english.statuses).sort());
+        });
+        expect(getComparisonText('fr')).toBe(english);
+    });
+});
@@ -0,0 +1,134 @@
+jest.mock('../services/storage', () => ({ readFile: jest.fn() }));
+jest.mock('../services/previews', () => ({ refreshPreview: jest.fn() }));
+jest.mock('../services/textExtraction', () => ({
+    extractTextFromParts: jest.fn(),
+    formatPagesForAnalysis: jest.fn()
+}));
+jest.mock('../services/aiAnalysis', () => ({ analyzeMedicalReport: jest.fn() }));
+jest.mock('../services/metadataDetection', () => ({
+    ...jest.requireActual('../services/metadataDetection'),
+    detectMetadata: jest.fn()
+}));
+
+const File = require('../models/File');
+const User = require('../models/User');
+const AiInsight = require('../models/AiInsight');
+const { readFile } = require('../services/storage');
+const { extractTextFromParts, formatPagesForAnalysis } = require('../services/textExtraction');
+const { analyzeMedicalReport } = require('../services/aiAnalysis');
+const { detectMetadata } = require('../services/metadataDetection');
+const { analyzeFile } = require('../services/reportProcessor');
+
+// File.findById resolves to the file whether or not select() is chained
+const mockFile = (fields, latest = fields) => {
+    const file = {
+        _id: 'file1',
+        user: 'user1',
+        fileType: 'pdf',
+        reportType: 'blood-test',
+        getPages: () => [{ fileType: 'pdf' }],
+        ...fields
+    };
+    jest.spyOn(File, 'findById').mockImplementation(() => Object.assign(Promise.resolve(file), {
+        select: () => Promise.resolve({ ...file, ...latest })
+    }));
+};
+
+beforeEach(() => {
+    jest.restoreAllMocks();
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+
+    mockFile({ contentHash: 'hash1' });
+    jest.spyOn(File, 'updateOne').mockResolvedValue({ modifiedCount: 0 });
+    jest.spyOn(File, 'findByIdAndUpdate').mockResolvedValue(null);
+    jest.spyOn(User, 'findById').mockReturnValue({ select: () => Promise.resolve(null) });
+    jest.spyOn(AiInsight.prototype, 'save').mockResolvedValue();
+
+    readFile.mockResolvedValue(Buffer.from('%PDF'));
+    extractTextFromParts.mockResolvedValue({ method: 'pdf-text', confidence: 100, pages: [] });
+    formatPagesForAnalysis.mockReturnValue('Hemoglobin 11.2 g/dL');
+    detectMetadata.mockReturnValue({});
+});
+
+describe('analyzeFile', () => {
+    it('throws instead of saving the canned response when the model fails', async () => {
+        analyzeMedicalReport.mockResolvedValue({
+            success: true,
+            fallback: true,
+            error: '429 Too Many Requests',
+            data: { summary: { en: 'AI analysis temporarily unavailable.' }, confidence: 30 }
+        });
+
+        await expect(analyzeFile('file1')).rejects.toThrow('AI analysis unavailable: 429 Too Many Requests');
+        expect(AiInsight.prototype.save).not.toHaveBeenCalled();
+        expect(File.findByIdAndUpdate).not.toHaveBeenCalled();
+    });
+
+    it('throws when the pages changed while the analysis ran', async () => {
+        mockFile({ contentHash: 'hash1' }, { contentHash: 'hash2' });
+        analyzeMedicalReport.mockResolvedValue({
+            success: true,
+            data: { summary: { en: 'Mildly low hemoglobin.' }, confidence: 85 }
+        });
+
+        await expect(analyzeFile('file1')).rejects.toThrow('Report pages changed during analysis');
+        expect(AiInsight.prototype.save).not.toHaveBeenCalled();
+    });
+
+    it('saves the insight and links it to the file', async () => {
+        analyzeMedicalReport.mockResolvedValue({
+            success: true,
+            provider: 'mock',
+            model: 'mock',
+            processingTime: 5,
+            data: { summary: { en: 'Mildly low hemoglobin.' }, keyFindings: [], confidence: 85 }
+        });
+
+        const insight = await analyzeFile('file1');
+
+        expect(insight.summary.get('en')).toBe('Mildly low hemoglobin.');
+        expect(AiInsight.prototype.save).toHaveBeenCalled();
+        expect(File.findByIdAndUpdate).toHaveBeenCalledWith('file1', { aiInsight: insight._id, isProcessed: true });
+    });
+});
+
+describe('detected metadata', () => {
+    beforeEach(() => {
+        analyzeMedicalReport.mockResolvedValue({
+            success: true,
+            data: { summary: { en: 'Mildly low hemoglobin.' }, keyFindings: [], confidence: 85 }
+        });
+    });
+
+    it('marks placeholders as defaults and clears pending fields when nothing is detected', async () => {
+        await analyzeFile('file1');
+
+        const updates = File.updateOne.mock.calls.slice(1);
+        expect(updates).toEqual([
+            [{ _id: 'file1', 'metadataSource.reportType': 'pending' }, { 'metadataSource.reportType': 'default' }],
+            [{ _id: 'file1', 'metadataSource.testDate': 'pending' }, { 'metadataSource.testDate': 'default' }],
+            [{ _id: 'file1', 'metadataSource.labName': 'pending' }, { $unset: { 'metadataSource.labName': 1 } }],
+            [{ _id: 'file1', 'metadataSource.doctorName': 'pending' }, { $unset: { 'metadataSource.doctorName': 1 } }]
+        ]);
+    });
+
+    it('fills pending and default fields from a confident detection', async () => {
+        detectMetadata.mockReturnValue({
+            reportType: { value: 'blood-test', confidence: 95 },
+            labName: { value: 'City Lab', confidence: 10 }
+        });
+
+        await analyzeFile('file1');
+
+        const updates = File.updateOne.mock.calls.slice(1);
+        expect(updates[0]).toEqual([
+            { _id: 'file1', 'metadataSource.reportType': { $in: ['pending', 'default'] } },
+            { reportType: 'blood-test', 'metadataSource.reportType': 'detected' }
+        ]);
+        // Too unsure to fill in
+        expect(updates[2]).toEqual([
+            { _id: 'file1', 'metadataSource.labName': 'pending' },
+            { $unset: { 'metadataSource.labName': 1 } }
+        ]);
+    });
+});
@@ -0,0 +1,131 @@
+const crypto = require('crypto');
+const UploadSession = require('../models/UploadSession');
+const UploadChunk = require('../models/UploadChunk');
+const { appendChunk, verifyUpload } = require('../services/resumableUpload');
+
+const sha256 = (buffer) => crypto.createHash('sha256').update(buffer).digest('hex');
+
+// A JPEG, so the content type check on the first chunk passes
+const FILE = Buffer.concat([Buffer.from([0xff, 0xd8, 0xff, 0xe0]), Buffer.alloc(20, 1)]);
+
+const makeSession = (fields = {}) => ({
+    _id: 'session1',
+    status: 'uploading',
+    mimeType: 'image/jpeg',
+    totalSize: FILE.length,
+    chunkSize: 10,
+    receivedBytes: 0,
+    checksum: sha256(FILE),
+    expiresAt: new Date(Date.now() + 60 * 1000),
+    ...fields
+});
+
+// UploadChunk.find(...).sort(...).cursor() over the given chunks
+const mockStoredChunks = (chunks) => {
+    jest.spyOn(UploadChunk, 'find').mockReturnValue({
+        sort: () => ({
+            cursor: () => (async function* () {
+                yield* chunks;
+            })()
+        })
+    });
+};
+
+const chunkAt = (offset, end) => ({ offset, size: end - offset, data: FILE.subarray(offset, end) });
+
+beforeEach(() => {
+    jest.restoreAllMocks();
+});
+
+describe('appendChunk', () => {
+    it('stores the chunk and advances the offset', async () => {
+        const data = FILE.subarray(0, 10);
+        const create = jest.spyOn(UploadChunk, 'create').mockResolvedValue({});
+        const advance = jest.spyOn(UploadSession, 'findOneAndUpdate').mockResolvedValue(makeSession({ receivedBytes: 10 }));
+
+        const updated = await appendChunk(makeSession(), 0, data, sha256(data));
+
+        expect(updated.receivedBytes).toBe(10);
+        expect(create).toHaveBeenCalledWith(expect.objectContaining({ session: 'session1', offset: 0, size: 10 }));
+        expect(advance).toHaveBeenCalledWith(
+            { _id: 'session1', status: 'uploading', receivedBytes: 0 },
+            { $inc: { receivedBytes: 10 } },
+            { new: true }
+        );
+    });
+
+    it('rejects a chunk at the wrong offset with the offset to resume from', async () => {
+        const data = FILE.subarray(10, 20);
+
+        await expect(appendChunk(makeSession({ receivedBytes: 10 }), 20, data, sha256(data))).rejects.toMatchObject({
+            status: 409,
+            code: 'OFFSET_MISMATCH',
+            data: { offset: 10 }
+        });
+    });
+
+    it('rejects a chunk whose checksum does not match', async () => {
+        await expect(appendChunk(makeSession(), 0, FILE.subarray(0, 10), sha256(Buffer.from('other')))).rejects.toMatchObject({
+            status: 422,
+            code: 'CHUNK_CHECKSUM_MISMATCH'
+        });
+    });
+
+    it('rejects chunks larger than the session chunk size or past the end', async () => {
+        const large = FILE.subarray(0, 11);
+        await expect(appendChunk(makeSession(), 0, large, sha256(large))).rejects.toMatchObject({ code: 'INVALID_CHUNK_SIZE' });
+
+        const tail = Buffer.alloc(10);
+        await expect(appendChunk(makeSession({ receivedBytes: 20 }), 20, tail, sha256(tail))).rejects.toMatchObject({ code: 'CHUNK_PAST_END' });
+    });
+
+    it('removes the chunk when another request moved the offset first', async () => {
+        const data = FILE.subarray(0, 10);
+        jest.spyOn(UploadChunk, 'create').mockResolvedValue({});
+        jest.spyOn(UploadSession, 'findOneAndUpdate').mockResolvedValue(null);
+        jest.spyOn(UploadSession, 'findById').mockReturnValue({ select: () => Promise.resolve({ receivedBytes: 10 }) });
+        const remove = jest.spyOn(UploadChunk, 'deleteOne').mockResolvedValue({});
+
+        await expect(appendChunk(makeSession(), 0, data, sha256(data))).rejects.toMatchObject({
+            code: 'OFFSET_MISMATCH',
+            data: { offset: 10 }
+        });
+        expect(remove).toHaveBeenCalledWith({ session: 'session1', offset: 0 });
+    });
+});
+
+describe('verifyUpload', () => {
+    beforeEach(() => {
+        jest.spyOn(UploadSession, 'updateOne').mockResolvedValue({});
+        jest.spyOn(UploadChunk, 'deleteMany').mockResolvedValue({});
+    });
+
+    it('accepts chunks that assemble into the declared file', async () => {
+        mockStoredChunks([chunkAt(0, 10), chunkAt(10, 20), chunkAt(20, FILE.length)]);
+
+        await expect(verifyUpload(makeSession())).resolves.toBeUndefined();
+        expect(UploadSession.updateOne).not.toHaveBeenCalled();
+    });
+
+    it('fails the session when the assembled file does not match its checksum', async () => {
+        mockStoredChunks([chunkAt(0, 10), chunkAt(10, 20), chunkAt(20, FILE.length)]);
+
+        await expect(verifyUpload(makeSession({ checksum: sha256(Buffer.from('other')) }))).rejects.toMatchObject({
+            code: 'CHECKSUM_MISMATCH'
+        });
+        expect(UploadSession.updateOne).toHaveBeenCalledWith({ _id: 'session1' }, { status: 'failed', error: 'Checksum mismatch' });
+        expect(UploadChunk.deleteMany).toHaveBeenCalledWith({ session: 'session1' });
+    });
+
+    it('refuses to assemble a file with a gap between chunks', async () => {
+        mockStoredChunks([chunkAt(0, 10), chunkAt(20, FILE.length)]);
+
+        await expect(verifyUpload(makeSession())).rejects.toThrow('Missing upload data at byte 10');
+    });
+
+    it('refuses to assemble a file missing its end', async () => {
+        mockStoredChunks([chunkAt(0, 10), chunkAt(10, 20)]);
+
+        await expect(verifyUpload(makeSession())).rejects.toThrow(`Upload ended at byte 20 of ${FILE.length}`);
+    });
+});
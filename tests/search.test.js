@@ -0,0 +1,139 @@
+const File = require('../models/File');
+const AiInsight = require('../models/AiInsight');
+const { searchFiles, getSearchTerms, buildSnippet } = require('../services/search');
+
+// A text index match with its score
+const match = (fields, score) => ({ ...fields, get: (key) => (key === 'score' ? score : undefined) });
+
+let limits;
+let fileQuery;
+
+// Text index candidates, and the files that remain once trashed or filtered files are left out
+const mockSearch = ({ fileMatches = [], insightMatches = [], files }) => {
+    limits = [];
+    const candidates = (result) => {
+        const query = {
+            sort: () => query,
+            limit: (count) => {
+                limits.push(count);
+                return query;
+            },
+            select: () => Promise.resolve(result.slice(0, limits[limits.length - 1]))
+        };
+        return query;
+    };
+
+    jest.spyOn(File, 'find').mockImplementation((filter) => {
+        if (filter.$text) return candidates(fileMatches);
+        fileQuery = filter;
+        const ids = filter._id.$in;
+        return {
+            populate: () => ({
+                select: () => Promise.resolve(files.filter(file => ids.includes(file._id)))
+            })
+        };
+    });
+    jest.spyOn(AiInsight, 'find').mockImplementation(() => candidates(insightMatches));
+};
+
+beforeEach(() => {
+    jest.restoreAllMocks();
+});
+
+describe('getSearchTerms', () => {
+    it('splits a search into distinct lowercase terms, keeping decimals and hyphenated names', () => {
+        expect(getSearchTerms('HbA1c 6.5% hba1c, a LDL-C.')).toEqual(['hba1c', '6.5', 'ldl-c']);
+    });
+});
+
+describe('buildSnippet', () => {
+    it('returns the text around the first match with highlight ranges', () => {
+        const text = `${'x'.repeat(100)} Cholesterol   total 240 mg/dL, cholesterol high`;
+        const result = buildSnippet('rawText', text, ['cholesterol']);
+
+        expect(result.snippet.startsWith('…')).toBe(true);
+        expect(result.highlights).toHaveLength(2);
+        result.highlights.forEach(([start, end]) => {
+            expect(result.snippet.slice(start, end).toLowerCase()).toBe('cholesterol');
+        });
+    });
+
+    it('returns null without a match', () => {
+        expect(buildSnippet('summary', 'All values normal', ['glucose'])).toBeNull();
+    });
+});
+
+describe('searchFiles', () => {
+    it('ranks files by their combined score, weighting matches in report contents', async () => {
+        mockSearch({
+            fileMatches: [match({ _id: 'details' }, 2), match({ _id: 'both' }, 1)],
+            insightMatches: [
+                match({ file: 'contents', summary: new Map([['en', 'Glucose is high']]) }, 1.5),
+                match({ file: 'both', rawText: 'Fasting glucose 130' }, 1)
+            ],
+            files: [
+                { _id: 'details', originalName: 'glucose-march.pdf' },
+                { _id: 'both', originalName: 'sugar.pdf' },
+                { _id: 'contents', originalName: 'report.pdf' }
+            ]
+        });
+
+        const { results, total } = await searchFiles('user1', 'glucose', { reportType: 'blood-test' });
+
+        expect(fileQuery).toEqual({ _id: { $in: ['details', 'both', 'contents'] }, user: 'user1', reportType: 'blood-test' });
+        expect(results.map(result => [result.file._id, result.score])).toEqual([
+            ['both', 2.5],
+            ['contents', 2.25],
+            ['details', 2]
+        ]);
+        expect(results[0].snippets.map(snippet => snippet.field)).toEqual(['rawText']);
+        expect(results[2].snippets.map(snippet => snippet.field)).toEqual(['originalName']);
+        expect(total).toBe(3);
+    });
+
+    it('counts only files that remain after filtering, so pages are not padded with missing files', async () => {
+        mockSearch({
+            fileMatches: [match({ _id: 'kept' }, 1)],
+            insightMatches: [match({ file: 'trashed' }, 5)],
+            files: [{ _id: 'kept' }]
+        });
+
+        const { results, total } = await searchFiles('user1', 'glucose');
+
+        expect(results.map(result => result.file._id)).toEqual(['kept']);
+        expect(total).toBe(1);
+    });
+
+    describe('at the candidate cap', () => {
+        // More matches than each index returns, with scores falling by rank
+        const fileMatches = Array.from({ length: 250 }, (value, index) => match({ _id: `file${index}` }, 1000 - index));
+        const files = fileMatches.map(file => ({ _id: file._id }));
+
+        beforeEach(() => {
+            mockSearch({ fileMatches, files });
+        });
+
+        it('ranks at most the capped candidates of each index', async () => {
+            const { total } = await searchFiles('user1', 'report', { limit: 50 });
+
+            expect(limits).toEqual([200, 200]);
+            expect(total).toBe(200);
+        });
+
+        it('returns the last page of ranked candidates in order', async () => {
+            const { results, total } = await searchFiles('user1', 'report', { page: 4, limit: 60 });
+
+            expect(total).toBe(200);
+            expect(results).toHaveLength(20);
+            expect(results[0].file._id).toBe('file180');
+            expect(results[19].file._id).toBe('file199');
+        });
+
+        it('returns nothing past the last page', async () => {
+            const { results, total } = await searchFiles('user1', 'report', { page: 5, limit: 50 });
+
+            expect(results).toEqual([]);
+            expect(total).toBe(200);
+        });
+    });
+});
@@ -0,0 +1,42 @@
+const { excludeDeleted } = require('../models/plugins/softDelete');
+
+describe('excludeDeleted', () => {
+    it('adds a $match stage to a pipeline that has none first', () => {
+        const pipeline = [{ $group: { _id: '$reportType', count: { $sum: 1 } } }];
+        excludeDeleted(pipeline);
+        expect(pipeline).toEqual([
+            { $match: { deletedAt: null } },
+            { $group: { _id: '$reportType', count: { $sum: 1 } } }
+        ]);
+    });
+
+    it('merges into a leading $match so a $text search stays first', () => {
+        const match = { $text: { $search: 'cholesterol' }, user: 'user1' };
+        const pipeline = [{ $match: match }, { $limit: 10 }];
+        excludeDeleted(pipeline);
+        expect(pipeline).toEqual([
+            { $match: { $text: { $search: 'cholesterol' }, user: 'user1', deletedAt: null } },
+            { $limit: 10 }
+        ]);
+        // The caller's stage is not modified
+        expect(match).not.toHaveProperty('deletedAt');
+    });
+
+    it('leaves a pipeline that filters on deletedAt itself alone', () => {
+        const pipeline = [{ $match: { deletedAt: { $ne: null } } }];
+        excludeDeleted(pipeline);
+        expect(pipeline).toEqual([{ $match: { deletedAt: { $ne: null } } }]);
+    });
+
+    it.each(['$geoNear', '$search', '$vectorSearch'])('filters after a leading %s stage', (stage) => {
+        const pipeline = [{ [stage]: {} }, { $limit: 5 }];
+        excludeDeleted(pipeline);
+        expect(pipeline).toEqual([{ [stage]: {} }, { $match: { deletedAt: null } }, { $limit: 5 }]);
+    });
+
+    it('filters an empty pipeline', () => {
+        const pipeline = [];
+        excludeDeleted(pipeline);
+        expect(pipeline).toEqual([{ $match: { deletedAt: null } }]);
+    });
+});
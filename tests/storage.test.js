@@ -0,0 +1,32 @@
+const { getStorageOptions, getResourceType } = require('../services/storage');
+
+describe('getStorageOptions', () => {
+    it('derives the image format from the MIME type', () => {
+        expect(getStorageOptions({ fileType: 'image', mimeType: 'image/jpeg', storageAccess: 'private' })).toEqual({
+            resourceType: 'image',
+            access: 'private',
+            format: 'jpg'
+        });
+    });
+
+    it('leaves the format out for an image record with no MIME type', () => {
+        expect(getStorageOptions({ fileType: 'image' })).toEqual({
+            resourceType: 'image',
+            access: 'public',
+            format: undefined
+        });
+        expect(getStorageOptions({ fileType: 'image', mimeType: 'image' }).format).toBeUndefined();
+    });
+
+    it('has no format for PDFs', () => {
+        expect(getStorageOptions({ fileType: 'pdf', mimeType: 'application/pdf' }).format).toBeUndefined();
+    });
+});
+
+describe('getResourceType', () => {
+    it('falls back to the file type for older records', () => {
+        expect(getResourceType({ fileType: 'image' })).toBe('image');
+        expect(getResourceType({ fileType: 'pdf' })).toBe('raw');
+        expect(getResourceType({ fileType: 'pdf', resourceType: 'image' })).toBe('image');
+    });
+});
@@ -0,0 +1,92 @@
+const mongoose = require('mongoose');
+const File = require('../models/File');
+const Vitals = require('../models/Vitals');
+const { normalizeTag, normalizeTags } = require('../models/plugins/tags');
+const { renameTag, mergeTags, deleteTag } = require('../services/tags');
+
+describe('normalizeTags', () => {
+    it('trims, lowercases and collapses spaces', () => {
+        expect(normalizeTag('  Blood   Test ')).toBe('blood test');
+    });
+
+    it('splits a comma-separated string and drops empty and repeated tags', () => {
+        expect(normalizeTags('Blood Test, blood  test,,Annual ')).toEqual(['blood test', 'annual']);
+    });
+
+    it('accepts an array or nothing', () => {
+        expect(normalizeTags(['Diabetes', ' DIABETES', 'Thyroid'])).toEqual(['diabetes', 'thyroid']);
+        expect(normalizeTags(undefined)).toEqual([]);
+    });
+
+    it('normalizes tags as they are written to a record', () => {
+        const file = new File({ tags: 'Cardiology, cardiology ,Follow Up' });
+        expect(file.tags.toObject()).toEqual(['cardiology', 'follow up']);
+    });
+});
+
+describe('tag management', () => {
+    const userId = new mongoose.Types.ObjectId().toString();
+    let stored;
+    let updates;
+    let pulls;
+
+    beforeEach(() => {
+        jest.restoreAllMocks();
+        stored = { files: [], vitals: [] };
+        updates = { files: [], vitals: [] };
+        pulls = { files: [], vitals: [] };
+
+        [['files', File], ['vitals', Vitals]].forEach(([kind, Model]) => {
+            jest.spyOn(Model, 'distinct').mockImplementation(() => ({
+                setOptions: () => Promise.resolve(stored[kind])
+            }));
+            jest.spyOn(Model, 'updateMany').mockImplementation((filter, update) => {
+                updates[kind].push({ filter, update });
+                return { setOptions: () => Promise.resolve({ matchedCount: 2 }) };
+            });
+            jest.spyOn(Model.collection, 'updateMany').mockImplementation((filter, update) => {
+                pulls[kind].push({ filter, update });
+                return Promise.resolve({ modifiedCount: 3 });
+            });
+        });
+    });
+
+    it('renames every stored spelling of a tag, including old unnormalized ones', async () => {
+        stored.files = ['bloodwork', 'Bloodwork ', 'annual'];
+
+        const result = await renameTag(userId, 'BloodWork', 'Blood Test');
+
+        expect(result).toEqual({ files: 2, vitals: 0 });
+        expect(updates.files).toEqual([{
+            filter: { user: userId, tags: { $in: ['bloodwork', 'Bloodwork '] } },
+            update: { $addToSet: { tags: 'blood test' } }
+        }]);
+        expect(pulls.files[0].update).toEqual({ $pull: { tags: { $in: ['bloodwork', 'Bloodwork '] } } });
+        expect(updates.vitals).toEqual([]);
+    });
+
+    it('merges tags into one that already exists without removing it', async () => {
+        stored.files = ['annual', 'yearly', 'checkup'];
+        stored.vitals = ['Yearly'];
+
+        const result = await mergeTags(userId, ['Yearly', 'checkup', 'annual'], 'Annual');
+
+        expect(result).toEqual({ files: 2, vitals: 2 });
+        expect(updates.files[0].filter.tags).toEqual({ $in: ['yearly', 'checkup'] });
+        expect(pulls.files[0].update).toEqual({ $pull: { tags: { $in: ['yearly', 'checkup'] } } });
+        expect(pulls.vitals[0].update).toEqual({ $pull: { tags: { $in: ['Yearly'] } } });
+    });
+
+    it('deletes a tag from the records that have it', async () => {
+        stored.vitals = ['morning', 'Morning'];
+
+        const result = await deleteTag(userId, 'morning');
+
+        expect(result).toEqual({ files: 0, vitals: 3 });
+        expect(pulls.files).toEqual([]);
+        expect(pulls.vitals[0].filter).toEqual({
+            user: new mongoose.Types.ObjectId(userId),
+            tags: { $in: ['morning', 'Morning'] }
+        });
+    });
+});